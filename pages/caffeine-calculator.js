@@ -1,26 +1,56 @@
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect, useMemo, useCallback, useRef, Fragment } from 'react'
 import { Line } from 'react-chartjs-2'
 import Select from 'react-select'
 import {
   Chart as ChartJS,
-  CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
   Title,
   Tooltip,
   Legend,
+  Filler,
 } from 'chart.js'
 import {
   getStorageKey,
   getTodayDate,
   saveDailyData,
   loadDailyData,
+  describeStorageError,
+  loadPreviousDays,
+  loadDateRange,
   getHistoryData,
+  shiftDate,
   savePersonalInfo,
   loadPersonalInfo,
-  saveBedtime,
-  loadBedtime,
+  saveSleepSchedule,
+  loadSleepSchedule,
+  saveAbsorptionModel,
+  loadAbsorptionModel,
+  saveDisplayMode,
+  loadDisplayMode,
+  saveChartView,
+  loadChartView,
+  saveThresholdSettings,
+  loadThresholdSettings,
+  saveAlertnessSettings,
+  loadAlertnessSettings,
+  saveSleepMode,
+  loadSleepMode,
+  saveSleepPeriods,
+  loadSleepPeriods,
+  saveScenarios,
+  loadScenarios,
+  loadQuarantine,
+  clearQuarantine,
+  saveDarkMode,
+  loadDarkMode,
+  loadAllDays,
+  loadStoredSettings,
+  exportBackup,
+  applyRestorePlan,
+  saveTaperPlan,
+  loadTaperPlan,
   saveRecentDrinks,
   loadRecentDrinks,
   updateRecentDrinks,
@@ -31,19 +61,98 @@ import {
   loadCustomDrinks,
   addCustomDrink,
   updateCustomDrink,
-  deleteCustomDrink
+  deleteCustomDrink,
+  DEFAULT_PERSONAL_INFO,
+  DEFAULT_ALERTNESS_SETTINGS
 } from '../utils/storage'
-import { verticalLinePlugin } from '../utils/plugins'
+import {
+  verticalLinePlugin,
+  sleepPeriodsPlugin,
+  zoomPanPlugin,
+  annotationStripPlugin,
+  zoneBandsPlugin,
+  nowLinePlugin,
+  intakeMarkersPlugin,
+  thresholdCrossingPlugin,
+  formatChartHours,
+  formatTooltipLabel,
+  getTimeStep,
+  clampTimeRange
+} from '../utils/plugins'
+import { getBackupFileName, parseBackup, planRestore } from '../utils/backup'
+import {
+  CSV_FIELDS,
+  CSV_FIELD_LABELS,
+  DATE_FORMATS,
+  TIME_FORMATS,
+  toCsv,
+  getCsvFileName,
+  parseCsv,
+  guessColumnMapping,
+  detectFormats,
+  convertCsvRows,
+  planCsvImport
+} from '../utils/csv'
+import {
+  CARRY_OVER_DAYS,
+  TOLERANCE_WINDOW_DAYS,
+  PREGNANCY_TRIMESTERS,
+  SECONDARY_COMPOUNDS,
+  LIVER_FUNCTION_LEVELS,
+  CYP1A2_INHIBITORS,
+  analyzeDay,
+  calculateAdjustedHalfLife,
+  calculateCarryOverAt,
+  calculateDailyIntake,
+  calculateMaxDoseAt,
+  calculateTotalCaffeineAtBedtime,
+  calculateVolumeOfDistribution,
+  estimateTolerance,
+  findDrinksThatFit,
+  formatClockTime,
+  getBedtimeDate,
+  getMainSleepPeriod,
+  isValidDrink,
+  planAlertness,
+  planDay,
+  resolveIntakeTime,
+  scaleCompounds,
+  resolveSleepPeriods,
+  toConcentration,
+  toReferenceConcentration,
+  toReferenceDate
+} from '../utils/engine'
+import {
+  THRESHOLD_PRESETS,
+  THRESHOLD_FIELDS,
+  DEFAULT_THRESHOLD_SETTINGS,
+  resolveThresholds
+} from '../utils/thresholds'
+import {
+  TAPER_AVERAGE_DAYS,
+  calculateAverageIntake,
+  createTaperSchedule,
+  evaluateTaper
+} from '../utils/taper'
+import {
+  WEEKDAYS,
+  WEEKDAY_LABELS,
+  DEFAULT_SLEEP_SCHEDULE,
+  resolveSleepSchedule,
+  setScheduleOverride,
+  setWeekdaySchedule,
+  clearScheduleOverride
+} from '../utils/sleepSchedule'
 
 // Register Chart.js components
 ChartJS.register(
-  CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  Filler
 )
 
 
@@ -56,31 +165,91 @@ export default function CaffeineCalculator() {
   const [recentDrinks, setRecentDrinks] = useState([])
   const [customDrinks, setCustomDrinks] = useState([])
   const [selectedDate, setSelectedDate] = useState(getTodayDate())
-  const [bedtime, setBedtime] = useState('')
-  const [personalInfo, setPersonalInfo] = useState({
-    age: '',
-    sex: '',
-    weight: ''
-  })
+  const [sleepSchedule, setSleepSchedule] = useState(DEFAULT_SLEEP_SCHEDULE)
+  const [showWeeklySchedule, setShowWeeklySchedule] = useState(false)
+  const [isBedtimeForDateOnly, setIsBedtimeForDateOnly] = useState(false) // Bedtime edits override just the selected date
+  const [sleepMode, setSleepMode] = useState('bedtime') // 'bedtime' or 'periods' (shift work)
+  const [sleepPeriods, setSleepPeriods] = useState([])
+  const [sleepResults, setSleepResults] = useState([])
+  const [compoundLevels, setCompoundLevels] = useState([])
+  const [stimulantTotals, setStimulantTotals] = useState(null)
+  const [scenarios, setScenarios] = useState([]) // What-if copies of the selected day's drinks
+  const [scenarioResults, setScenarioResults] = useState([])
+  const [editingScenarioId, setEditingScenarioId] = useState(null)
+  const [scenarioName, setScenarioName] = useState('')
+  const [quarantinedCount, setQuarantinedCount] = useState(0) // Stored records set aside as unreadable
+  const [storageError, setStorageError] = useState(null) // { message, unsaved } when a storage call failed
+  const [saveRetries, setSaveRetries] = useState(0) // Bumped to run the auto-save again after a failure
+
+  // Every failed storage call ends up here, so the user always learns why (e.g. another tab blocking
+  // a database upgrade). `unsaved` means changes on the page are waiting to be saved
+  const reportStorageError = useCallback((error, { unsaved = false } = {}) => {
+    console.error('Storage error:', error)
+    setStorageError({ message: describeStorageError(error), unsaved })
+  }, [])
+
+  const retrySave = () => {
+    setStorageError(null)
+    setSaveRetries(retries => retries + 1)
+  }
+  const [backupRestore, setBackupRestore] = useState(null) // Backup file being restored, with the data it would change
+  const [restoreMode, setRestoreMode] = useState('merge') // 'merge' or 'replace'
+  const [backupError, setBackupError] = useState(null)
+  const [csvRange, setCsvRange] = useState(() => ({ start: shiftDate(getTodayDate(), -29), end: getTodayDate() }))
+  const [csvImport, setCsvImport] = useState(null) // CSV file being imported: rows, column mapping and formats
+  const [csvError, setCsvError] = useState(null)
+  const [previousDays, setPreviousDays] = useState([]) // Logs of the days before selectedDate, for carry-over
+  
+  // Bedtime and wake time that apply to the selected day (weekday schedule or a one-off override)
+  const { bedtime, wakeTime, weekday, isOverride: isScheduleOverride } = useMemo(
+    () => resolveSleepSchedule(sleepSchedule, selectedDate),
+    [sleepSchedule, selectedDate]
+  )
+  const [absorptionModel, setAbsorptionModel] = useState('absorption') // 'absorption' or 'bolus'
+  const [displayMode, setDisplayMode] = useState('amount') // 'amount' (mg) or 'concentration' (mg/L)
+  const [chartView, setChartView] = useState('lines') // 'lines' (overlaid) or 'stacked'
+  const [chartRange, setChartRange] = useState(null) // Visible { min, max } hours when zoomed, null for the whole chart
+  const [thresholdSettings, setThresholdSettings] = useState(DEFAULT_THRESHOLD_SETTINGS)
+  const [alertnessSettings, setAlertnessSettings] = useState(DEFAULT_ALERTNESS_SETTINGS)
+  const [personalInfo, setPersonalInfo] = useState({ ...DEFAULT_PERSONAL_INFO })
   const [units, setUnits] = useState({
     weight: 'metric'   // 'metric' or 'imperial'
   })
   const [result, setResult] = useState(null)
+  const [carryOverAtBedtime, setCarryOverAtBedtime] = useState(0)
+  const [bedtimeRange, setBedtimeRange] = useState(null)
   const [adjustedHalfLife, setAdjustedHalfLife] = useState(null)
+  const [halfLifeAdjustments, setHalfLifeAdjustments] = useState([])
   const [individualCutoffs, setIndividualCutoffs] = useState([])
   const [chartData, setChartData] = useState(null)
   const [dailyIntake, setDailyIntake] = useState(0)
   const [warningMessage, setWarningMessage] = useState(null)
   const [todayData, setTodayData] = useState([])
+  const savedDrinksRef = useRef([]) // The stored drinks this tab's list was last based on, for the auto-save
+  const [tolerance, setTolerance] = useState(() => estimateTolerance([]))
   const [historyData, setHistoryData] = useState([])
   const [show7DaySummary, setShow7DaySummary] = useState(false)
+  
+  // Taper planner
+  const [taperPlan, setTaperPlan] = useState(null)
+  const [taperReport, setTaperReport] = useState(null)
+  const [taperDraft, setTaperDraft] = useState({ startAverage: '', target: '', durationDays: '21' })
+  const [currentAverage, setCurrentAverage] = useState(null)
+  const [showTaperSchedule, setShowTaperSchedule] = useState(false)
   const [isDarkMode, setIsDarkMode] = useState(false)
   const [isTransitioning, setIsTransitioning] = useState(false)
   
+  // "How much can I still have?" panel
+  const [allowanceTime, setAllowanceTime] = useState('now') // 'now' or 'HH:MM'
+  const [now, setNow] = useState(() => new Date())
+  
+  // Day planner
+  const [showPlanner, setShowPlanner] = useState(false)
+  const [plannedDrinks, setPlannedDrinks] = useState([])
+  
   // Auto-save state tracking
   const [saveStatus, setSaveStatus] = useState('upToDate') // 'upToDate', 'saving', 'saved'
   const [lastSaveTime, setLastSaveTime] = useState(null)
-  const [saveTimeout, setSaveTimeout] = useState(null)
   const [isActivelyEditing, setIsActivelyEditing] = useState(false)
   
   // Modal state
@@ -90,38 +259,145 @@ export default function CaffeineCalculator() {
     name: '',
     caffeine: '',
     category: 'Custom',
-    colorTag: null
+    colorTag: null,
+    compounds: { theobromine: '', theophylline: '' }
   })
 
-  const baseHalfLife = 5 // hours
-  const safeSleepThreshold = 30 // mg
+  // Concentration mode needs a weight to estimate the volume of distribution
+  const volumeOfDistribution = useMemo(
+    () => calculateVolumeOfDistribution(personalInfo, units),
+    [personalInfo, units]
+  )
+  const isConcentrationMode = displayMode === 'concentration' && Boolean(volumeOfDistribution)
+  
+  // User-configured limits (mg/kg presets depend on the profile)
+  const thresholds = useMemo(
+    () => resolveThresholds(thresholdSettings, personalInfo, units),
+    [thresholdSettings, personalInfo, units]
+  )
   
-  // Helper function to calculate total caffeine from all drinks at bedtime
-  function calculateTotalCaffeineAtBedtime(drinks, bedtime, halfLife) {
-    const bedtimeDate = new Date(`${new Date().toDateString()} ${bedtime}`);
-    if (bedtimeDate.getHours() < 12) bedtimeDate.setDate(bedtimeDate.getDate() + 1);
-
-    return drinks.reduce((total, drink) => {
-      if (!drink.dose || !drink.startTimeString) return total;
-      const dose = Number(drink.dose || 0);
-      const caffeineRemaining = calculateCaffeineRemaining(
-        dose,
-        bedtime,
-        halfLife,
-        drink.startTimeString,
-        drink.endTimeString
-      );
-      return total + Math.max(0, caffeineRemaining);
-    }, 0);
+  // Sleep threshold in mg; in concentration mode it scales with body size
+  const sleepThreshold = isConcentrationMode
+    ? toReferenceConcentration(thresholds.sleep) * volumeOfDistribution
+    : thresholds.sleep
+  
+  // Format a modeled amount in the active display unit
+  const formatLevel = (mg, digits = 2) => {
+    return isConcentrationMode
+      ? `${toConcentration(mg, volumeOfDistribution).toFixed(digits)} mg/L`
+      : `${mg.toFixed(digits)} mg`
   }
   
-  // Calculate chart hours based on bedtime and drink times
-  const chartHours = useMemo(() => {
-    if (!bedtime) return 24 // Default to 24 hours if no bedtime set
+  // Explicit sleep periods replace the single bedtime; the main (longest) one's start acts as bedtime
+  const resolvedSleepPeriods = useMemo(
+    () => sleepMode === 'periods' ? resolveSleepPeriods(sleepPeriods) : [],
+    [sleepMode, sleepPeriods]
+  )
+  const effectiveBedtime = useMemo(() => {
+    if (sleepMode !== 'periods') return bedtime
+    const mainSleep = getMainSleepPeriod(resolvedSleepPeriods)
+    return mainSleep ? mainSleep.start : null
+  }, [sleepMode, bedtime, resolvedSleepPeriods])
+  // Hours from midnight of the selected day, the chart's x-axis unit
+  const toChartHours = (time) => (time - toReferenceDate(selectedDate)) / (1000 * 60 * 60)
+  const bedtimeLabel = effectiveBedtime ? formatClockTime(getBedtimeDate(effectiveBedtime, selectedDate)) : ''
+  
+  // Drinks the user can pick from: their custom drinks plus the database
+  const drinkOptions = useMemo(
+    () => [...customDrinks, ...drinksDatabase]
+      .filter((drink, index, all) => all.findIndex(other => other.name === drink.name) === index),
+    [customDrinks, drinksDatabase]
+  )
+  
+  // Half-life and earlier days' residual at bedtime for the selected day, worked out from the
+  // profile and logs directly so they hold before anything is logged
+  const profileHalfLife = useMemo(
+    () => personalInfo.age && personalInfo.sex && personalInfo.weight ? calculateAdjustedHalfLife(personalInfo, units) : null,
+    [personalInfo, units]
+  )
+  const bedtimeCarryOver = useMemo(() => {
+    if (profileHalfLife === null || !effectiveBedtime) return 0
+    return calculateCarryOverAt(previousDays, getBedtimeDate(effectiveBedtime, selectedDate), profileHalfLife, { model: absorptionModel })
+  }, [profileHalfLife, effectiveBedtime, previousDays, selectedDate, absorptionModel])
+  
+  // Largest dose that still keeps bedtime under the sleep threshold
+  const allowance = useMemo(() => {
+    if (profileHalfLife === null || !effectiveBedtime) return null
     
-    // Check if bedtime is past midnight (likely next day)
-    const bedtimeHour = parseInt(bedtime.split(':')[0])
-    if (bedtimeHour < 12) return 48 // Bedtime is likely next day (like 01:00, 02:00, etc.)
+    const validDrinks = drinks.filter(isValidDrink)
+    const useNow = allowanceTime === 'now' && selectedDate === getTodayDate()
+    const intakeTime = useNow
+      ? now
+      : resolveIntakeTime(allowanceTime === 'now' ? now.toTimeString().slice(0, 5) : allowanceTime, effectiveBedtime, selectedDate)
+    const maxDose = calculateMaxDoseAt(validDrinks, intakeTime, effectiveBedtime, profileHalfLife, {
+      date: selectedDate,
+      threshold: sleepThreshold,
+      baseline: bedtimeCarryOver,
+      kinetics: { model: absorptionModel },
+      dailyRemaining: thresholds.dailyLimit - calculateDailyIntake(validDrinks)
+    })
+    
+    // Suggest concrete drinks from the database and the user's custom drinks
+    return { ...maxDose, ...findDrinksThatFit(drinkOptions, maxDose.maxDose) }
+  }, [profileHalfLife, effectiveBedtime, allowanceTime, selectedDate, now, drinks, sleepThreshold, bedtimeCarryOver, absorptionModel, thresholds, drinkOptions])
+  
+  // Schedule for the drinks the user intends to have, on top of what's already logged
+  const dayPlan = useMemo(() => {
+    if (!showPlanner || !effectiveBedtime || !wakeTime || profileHalfLife === null) {
+      return null
+    }
+    // Already at bedtime: what's logged for the selected day plus what carried over from before it
+    const kinetics = { model: absorptionModel }
+    const baseline = bedtimeCarryOver +
+      calculateTotalCaffeineAtBedtime(drinks.filter(isValidDrink), effectiveBedtime, profileHalfLife, selectedDate, kinetics)
+    return planDay(plannedDrinks, {
+      wakeTime,
+      bedtime: effectiveBedtime,
+      halfLife: profileHalfLife,
+      date: selectedDate,
+      kinetics,
+      threshold: sleepThreshold,
+      baseline
+    })
+  }, [showPlanner, plannedDrinks, wakeTime, effectiveBedtime, profileHalfLife, drinks, bedtimeCarryOver, selectedDate, absorptionModel, sleepThreshold])
+  
+  const addPlannedDrink = () => {
+    const firstOption = drinkOptions[0]
+    setPlannedDrinks([...plannedDrinks, {
+      id: generateStableId(),
+      name: firstOption ? firstOption.name : '',
+      dose: firstOption ? firstOption.caffeine.toString() : ''
+    }])
+  }
+  
+  const updatePlannedDrink = (id, changes) => {
+    setPlannedDrinks(plannedDrinks.map(drink => drink.id === id ? { ...drink, ...changes } : drink))
+  }
+  
+  const removePlannedDrink = (id) => {
+    setPlannedDrinks(plannedDrinks.filter(drink => drink.id !== id))
+  }
+  
+  const describePlanSuggestion = (suggestion) => {
+    switch (suggestion.type) {
+      case 'drop':
+        return `Drop ${suggestion.name} (${suggestion.dose} mg)`
+      case 'downsize':
+        return `Downsize ${suggestion.name} from ${suggestion.dose} mg to ${suggestion.newDose} mg or less`
+      case 'reduce':
+        return `Cut at least ${suggestion.amount} mg from the plan`
+      case 'skip':
+      default:
+        return 'Caffeine already in your system keeps you over the limit at bedtime, even without these drinks'
+    }
+  }
+  
+  // Calculate chart hours based on bedtime, sleep periods and drink times
+  const chartHours = useMemo(() => {
+    // Extend when bedtime or any sleep period falls on the next day
+    const nextDay = new Date(`${shiftDate(selectedDate, 1)}T00:00:00`)
+    if (effectiveBedtime && getBedtimeDate(effectiveBedtime, selectedDate) >= nextDay) return 48
+    if (resolvedSleepPeriods.some(period => period.end > nextDay)) return 48
     
     // Check if any drink's end time extends past midnight
     const needsExtension = drinks.some(drink => {
@@ -132,41 +408,35 @@ export default function CaffeineCalculator() {
       return false
     })
     
-    return needsExtension ? 48 : 24
-  }, [drinks, bedtime])
-
-  const calculateCaffeineCurve = (startTime, endTime, caffeineMg, halfLifeHours = 5, totalHours = 48) => {
-    const start = new Date(startTime);
-    const end = new Date(endTime);
-    const durationHours = Math.max((end - start) / (1000 * 60 * 60), 0);
-    const isInstant = durationHours < 0.016; // <1 min = instant
-    const stepMinutes = 10;
-    const step = stepMinutes / 60; // hours
-    const intakeRate = isInstant ? 0 : caffeineMg / durationHours;
-
-    let caffeine = 0;
-    const points = [];
-
-    for (let t = 0; t <= totalHours; t += step) {
-      const currentTime = new Date(start.getTime() + t * 60 * 60 * 1000);
-
-      if (isInstant) {
-        if (t === 0 || t <= 0.01) {
-          caffeine = caffeineMg;
-        } else {
-          caffeine = caffeineMg * Math.pow(0.5, t / halfLifeHours);
-        }
-      } else {
-        const consuming = t < durationHours;
-        caffeine *= Math.pow(0.5, step / halfLifeHours); // decay
-        if (consuming) caffeine += intakeRate * step; // add intake
-      }
+    // An alertness window ending before it starts runs into the next day
+    const alertnessPastMidnight = alertnessSettings.enabled && alertnessSettings.end < alertnessSettings.start
+    
+    return needsExtension || alertnessPastMidnight ? 48 : 24
+  }, [drinks, effectiveBedtime, resolvedSleepPeriods, selectedDate, alertnessSettings])
 
-      points.push({ time: currentTime, caffeine: Math.max(0, caffeine) });
+  // Doses that keep the level above the alertness floor through the target window
+  const alertnessPlan = useMemo(() => {
+    const floor = parseFloat(alertnessSettings.floor)
+    if (!alertnessSettings.enabled || !alertnessSettings.start || !alertnessSettings.end || !(floor > 0) ||
+        !personalInfo.age || !personalInfo.sex || !personalInfo.weight) {
+      return null
     }
-
-    return points;
-  };
+    return planAlertness({
+      windowStart: alertnessSettings.start,
+      windowEnd: alertnessSettings.end,
+      // Like the sleep limit, the floor scales with body size in concentration mode
+      floor: isConcentrationMode ? toReferenceConcentration(floor) * volumeOfDistribution : floor,
+      drinks: drinks.filter(isValidDrink),
+      previousDays,
+      halfLife: calculateAdjustedHalfLife(personalInfo, units),
+      date: selectedDate,
+      kinetics: { model: absorptionModel },
+      bedtime: effectiveBedtime || null,
+      threshold: sleepThreshold,
+      dailyRemaining: Math.max(0, thresholds.dailyLimit - calculateDailyIntake(drinks.filter(isValidDrink))),
+      chartHours
+    })
+  }, [alertnessSettings, personalInfo, units, drinks, previousDays, selectedDate, absorptionModel, effectiveBedtime, sleepThreshold, thresholds, chartHours, isConcentrationMode, volumeOfDistribution])
   
   // Helper function to sort drinks by start time
   const sortDrinksByTime = (drinksList) => {
@@ -199,9 +469,19 @@ export default function CaffeineCalculator() {
     setPersonalInfo(savedData.personalInfo)
     setUnits(savedData.units)
     
-    // Load saved bedtime
-    const savedBedtime = loadBedtime()
-    setBedtime(savedBedtime)
+    // Load weekly sleep schedule
+    setSleepSchedule(loadSleepSchedule())
+    
+    // Load absorption model and display mode
+    setAbsorptionModel(loadAbsorptionModel())
+    setDisplayMode(loadDisplayMode())
+    setChartView(loadChartView())
+    
+    // Load sleep and daily limits
+    setThresholdSettings(loadThresholdSettings())
+    setAlertnessSettings(loadAlertnessSettings())
+    setSleepMode(loadSleepMode())
+    setTaperPlan(loadTaperPlan())
     
     // Load recent drinks
     const savedRecentDrinks = loadRecentDrinks()
@@ -214,57 +494,278 @@ export default function CaffeineCalculator() {
   
   // Load data for selected date whenever it changes
   useEffect(() => {
+    let isCurrent = true // Ignore a slow load once another date has been picked
     setIsTransitioning(true)
+    setChartRange(null)
     
-    const selectedDateData = loadDailyData(selectedDate)
-    setTodayData(selectedDateData)
-    setHistoryData(getHistoryData())
+    // Reset save status when switching dates
+    setSaveStatus('upToDate')
+    setLastSaveTime(null)
     
-    // Convert selected date's logged drinks to the drinks format
-    const loggedDrinks = selectedDateData.map((drink, index) => ({
-      id: `logged-${index}`,
-      name: drink.name,
-      dose: drink.dose.toString(),
-      intakeTime: drink.time,
-      startTime: drink.startTime || Date.now(),
-      endTime: drink.endTime || Date.now(),
-      startTimeString: drink.startTimeString || '',
-      endTimeString: drink.endTimeString || '',
-      isLogged: true,
-      loggedIndex: index
-    }))
+    const loadSelectedDate = async () => {
+      const [selectedDateData, carryOverDays] = await Promise.all([
+        loadDailyData(selectedDate),
+        loadPreviousDays(selectedDate, CARRY_OVER_DAYS)
+      ])
+      if (!isCurrent) return
+      setStorageError(null)
+      setTodayData(selectedDateData)
+      savedDrinksRef.current = selectedDateData
+      setPreviousDays(carryOverDays)
+      
+      // Convert selected date's logged drinks to the drinks format
+      const loggedDrinks = selectedDateData.map(drink => ({
+        id: drink.id, // The stored id, so edits and deletes reach this drink whatever the list order
+        name: drink.name,
+        dose: drink.dose.toString(),
+        intakeTime: drink.startTimeString,
+        startTime: drink.startTime || Date.now(),
+        endTime: drink.endTime || Date.now(),
+        startTimeString: drink.startTimeString || '',
+        endTimeString: drink.endTimeString || '',
+        category: drink.category || null,
+        compounds: drink.compounds || null,
+        isLogged: true
+      }))
+      
+      // If there are no logged drinks, show one empty drink in edit mode
+      if (loggedDrinks.length === 0) {
+        setDrinks([{ 
+          id: generateStableId(), 
+          name: '', 
+          dose: '', 
+          intakeTime: '', 
+          startTime: Date.now(), 
+          endTime: Date.now(), 
+          startTimeString: '', 
+          endTimeString: '', 
+          isEditing: true 
+        }])
+      } else {
+        setDrinks(sortDrinksByTime(loggedDrinks))
+      }
+      
+      // Fade in animation
+      setTimeout(() => setIsTransitioning(false), 300)
+    }
+    loadSelectedDate().catch(error => {
+      if (!isCurrent) return
+      reportStorageError(error)
+      setIsTransitioning(false)
+    })
     
-    // If there are no logged drinks, show one empty drink in edit mode
-    if (loggedDrinks.length === 0) {
-      setDrinks([{ 
-        id: generateStableId(), 
-        name: '', 
-        dose: '', 
-        intakeTime: '', 
-        startTime: Date.now(), 
-        endTime: Date.now(), 
-        startTimeString: '', 
-        endTimeString: '', 
-        isEditing: true 
-      }])
-    } else {
-      setDrinks(sortDrinksByTime(loggedDrinks))
+    return () => {
+      isCurrent = false
+    }
+  }, [selectedDate, reportStorageError])
+  
+  // Tolerance from the weeks before the selected day
+  useEffect(() => {
+    let isCurrent = true
+    loadPreviousDays(selectedDate, TOLERANCE_WINDOW_DAYS).then(days => {
+      if (isCurrent) setTolerance(estimateTolerance(days))
+    }).catch(reportStorageError)
+    return () => {
+      isCurrent = false
+    }
+  }, [selectedDate, todayData, reportStorageError])
+  
+  // Check logged totals against the taper plan, and keep the current average fresh for new plans
+  useEffect(() => {
+    let isCurrent = true
+    const checkTaper = async () => {
+      const recentDays = await loadPreviousDays(getTodayDate(), TAPER_AVERAGE_DAYS)
+      if (!isCurrent) return
+      setCurrentAverage(calculateAverageIntake(recentDays))
+      if (!taperPlan) {
+        setTaperReport(null)
+        return
+      }
+      
+      const schedule = createTaperSchedule(taperPlan)
+      const loggedDays = await loadDateRange(schedule[0].date, schedule[schedule.length - 1].date)
+      if (!isCurrent) return
+      const loggedTotals = {}
+      loggedDays.forEach(day => {
+        if (day.drinks.length > 0) loggedTotals[day.date] = calculateDailyIntake(day.drinks)
+      })
+      setTaperReport(evaluateTaper(taperPlan, loggedTotals, getTodayDate()))
     }
+    checkTaper().catch(reportStorageError)
     
-    // Fade in animation
-    setTimeout(() => setIsTransitioning(false), 300)
+    return () => {
+      isCurrent = false
+    }
+  }, [taperPlan, todayData, reportStorageError])
+  
+  // Loading sets aside anything that fails validation; let the user know
+  useEffect(() => {
+    setQuarantinedCount(loadQuarantine().length)
+  }, [selectedDate, todayData])
+  
+  const dismissQuarantine = () => {
+    clearQuarantine()
+    setQuarantinedCount(0)
+  }
+  
+  // Hand a generated file to the browser as a download
+  const downloadFile = (fileName, contents, type) => {
+    const url = URL.createObjectURL(new Blob([contents], { type }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+  
+  const downloadBackup = async () => {
+    let backup
+    try {
+      backup = await exportBackup()
+    } catch (error) {
+      reportStorageError(error)
+      return
+    }
+    downloadFile(getBackupFileName(getTodayDate()), JSON.stringify(backup, null, 2), 'application/json')
+  }
+  
+  // Read a backup file and compare it with what's stored, ready for a merge/replace preview
+  const handleBackupFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = '' // Allow picking the same file again
+    if (!file) return
     
-    // Reset save status when switching dates
-    setSaveStatus('upToDate')
-    setLastSaveTime(null)
+    const { backup, rejected, error } = parseBackup(await file.text())
+    if (error) {
+      setBackupError(error)
+      setBackupRestore(null)
+      return
+    }
+    setBackupError(null)
+    try {
+      setBackupRestore({
+        fileName: file.name,
+        backup,
+        rejected,
+        currentDays: await loadAllDays(),
+        currentSettings: loadStoredSettings()
+      })
+    } catch (error) {
+      reportStorageError(error)
+    }
+  }
+  
+  const restorePlan = useMemo(() => (
+    backupRestore
+      ? planRestore(backupRestore.backup, backupRestore.currentDays, backupRestore.currentSettings, restoreMode)
+      : null
+  ), [backupRestore, restoreMode])
+  
+  // Restored data reaches every part of the page, so start it afresh. If writing stops part-way the
+  // preview stays open and says which days were restored; settings are only written at the end
+  const confirmRestore = async () => {
+    try {
+      await applyRestorePlan(restorePlan)
+    } catch (error) {
+      console.error('Restore failed:', error)
+      const restored = error.restoredDates || []
+      const total = restorePlan.days.filter(day => day.status !== 'unchanged').length
+      const restoredList = restored.length > 0
+        ? ` (${restored.slice(0, 5).join(', ')}${restored.length > 5 ? ` and ${restored.length - 5} more` : ''})`
+        : ''
+      setBackupError(
+        `Restore stopped after ${restored.length} of ${total} days${restoredList}; settings weren't changed. ${describeStorageError(error)}`
+      )
+      return
+    }
+    window.location.reload()
+  }
+  
+  const downloadCsv = async () => {
+    let days
+    try {
+      days = await loadDateRange(csvRange.start, csvRange.end)
+    } catch (error) {
+      reportStorageError(error)
+      return
+    }
+    downloadFile(getCsvFileName(csvRange.start, csvRange.end), toCsv(days), 'text/csv')
+  }
+  
+  // Read a CSV file, guessing which column is which and how dates and times are written
+  const handleCsvFile = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = '' // Allow picking the same file again
+    if (!file) return
+    
+    const { header, rows } = parseCsv(await file.text())
+    if (rows.length === 0) {
+      setCsvError('No drinks found: the file needs a header row and at least one row below it')
+      setCsvImport(null)
+      return
+    }
+    const mapping = guessColumnMapping(header)
+    setCsvError(null)
+    try {
+      setCsvImport({
+        fileName: file.name,
+        header,
+        rows,
+        mapping,
+        ...detectFormats(rows, mapping),
+        currentDays: await loadAllDays()
+      })
+    } catch (error) {
+      reportStorageError(error)
+    }
+  }
+  
+  // Remapping a column detects the formats again from its values
+  const changeCsvMapping = (field, index) => {
+    const mapping = { ...csvImport.mapping, [field]: index }
+    setCsvImport({ ...csvImport, mapping, ...detectFormats(csvImport.rows, mapping) })
+  }
+  
+  // Dry run: what the import would add, and which rows can't be read
+  const csvPlan = useMemo(() => {
+    if (!csvImport) return null
+    const { rows, mapping, dateFormat, timeFormat, currentDays } = csvImport
+    return planCsvImport(convertCsvRows(rows, mapping, { dateFormat, timeFormat }), currentDays)
+  }, [csvImport])
+  
+  // Imported drinks join what's already logged on each day
+  const confirmCsvImport = async () => {
+    try {
+      for (const { date, drinks } of csvPlan.days) {
+        await saveDailyData(date, [...(csvImport.currentDays[date] || []), ...drinks], csvImport.currentDays[date])
+      }
+    } catch (error) {
+      reportStorageError(error)
+      return
+    }
+    window.location.reload()
+  }
+  
+  // Sleep periods and what-if scenarios are kept per day
+  useEffect(() => {
+    setSleepPeriods(loadSleepPeriods(selectedDate))
+    setScenarios(loadScenarios(selectedDate))
+    setEditingScenarioId(null)
+    setIsBedtimeForDateOnly(false)
   }, [selectedDate])
   
   // Update history when drinks change
   useEffect(() => {
-    setHistoryData(getHistoryData())
-  }, [todayData])
+    let isCurrent = true
+    getHistoryData().then(history => {
+      if (isCurrent) setHistoryData(history)
+    }).catch(reportStorageError)
+    return () => {
+      isCurrent = false
+    }
+  }, [todayData, reportStorageError])
   
-  // Debounced auto-save system (only for personal info and bedtime, not drinks while editing)
+  // Debounced auto-save system (only for personal info, not drinks while editing)
   useEffect(() => {
     // Skip if we're transitioning between dates
     if (isTransitioning) return
@@ -277,31 +778,30 @@ export default function CaffeineCalculator() {
       return
     }
     
-    // Clear any existing timeout
-    if (saveTimeout) {
-      clearTimeout(saveTimeout)
-    }
-    
     // Set status to saving
     setSaveStatus('saving')
     
     // Debounce the actual save operation (800ms)
-    const timeout = setTimeout(() => {
+    const timeout = setTimeout(async () => {
       // Save personal info
       if (personalInfo.age || personalInfo.sex || personalInfo.weight) {
         savePersonalInfo(personalInfo, units)
       }
       
-      // Save bedtime
-      if (bedtime) {
-        saveBedtime(bedtime)
-      }
-      
       // Save drinks for selected date (only if not actively editing)
       if (!isActivelyEditing) {
-        const validDrinks = drinks.filter(drink => drink.dose && drink.startTimeString)
-        saveDailyData(selectedDate, validDrinks)
-        setTodayData(loadDailyData(selectedDate))
+        // Only this tab's edits and removals are written, so drinks logged in another tab stay
+        try {
+          const savedDrinks = await saveDailyData(selectedDate, drinks, savedDrinksRef.current)
+          savedDrinksRef.current = savedDrinks.filter(saved => drinks.some(drink => drink.id === saved.id))
+          setTodayData(savedDrinks)
+          setStorageError(null)
+        } catch (error) {
+          // The list keeps the unsaved changes; the next edit or "Try again" saves them
+          reportStorageError(error, { unsaved: true })
+          setSaveStatus('error')
+          return
+        }
       }
       
       // Update save status
@@ -314,29 +814,200 @@ export default function CaffeineCalculator() {
       }, 2000)
     }, 800)
     
-    setSaveTimeout(timeout)
-    
-    // Cleanup function
+    // Cleanup function: a newer change restarts the debounce
     return () => {
       if (timeout) {
         clearTimeout(timeout)
       }
     }
-  }, [personalInfo, units, bedtime, drinks, selectedDate, isTransitioning, isActivelyEditing])
+  }, [personalInfo, units, drinks, selectedDate, isTransitioning, isActivelyEditing, saveRetries, reportStorageError])
+
+  // Keep the "now" allowance live
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 60000)
+    return () => clearInterval(interval)
+  }, [])
 
   // Load dark mode preference from localStorage
   useEffect(() => {
-    const savedDarkMode = localStorage.getItem('cupacity-dark-mode')
+    const savedDarkMode = loadDarkMode()
     if (savedDarkMode !== null) {
-      setIsDarkMode(JSON.parse(savedDarkMode))
+      setIsDarkMode(savedDarkMode)
     }
   }, [])
 
   // Save dark mode preference to localStorage
   useEffect(() => {
-    localStorage.setItem('cupacity-dark-mode', JSON.stringify(isDarkMode))
+    saveDarkMode(isDarkMode)
   }, [isDarkMode])
 
+  // Persist limit settings
+  const changeThresholdSettings = (settings) => {
+    setThresholdSettings(settings)
+    saveThresholdSettings(settings)
+  }
+
+  // Persist the weekly sleep schedule
+  const changeSleepSchedule = (schedule) => {
+    setSleepSchedule(schedule)
+    saveSleepSchedule(schedule)
+  }
+
+  // Editing the selected day's times only overrides that date
+  const changeScheduleForDate = (changes) => {
+    changeSleepSchedule(setScheduleOverride(sleepSchedule, selectedDate, changes))
+  }
+
+  // Bedtime and wake time set the usual times for the weekday unless "just this date" is ticked
+  const changeSleepTimes = (changes) => {
+    if (isScheduleOverride || isBedtimeForDateOnly) {
+      changeScheduleForDate(changes)
+    } else {
+      changeSleepSchedule(setWeekdaySchedule(sleepSchedule, selectedDate, changes))
+    }
+  }
+
+  const changeBedtimeForDateOnly = (isForDateOnly) => {
+    setIsBedtimeForDateOnly(isForDateOnly)
+    if (!isForDateOnly && isScheduleOverride) {
+      changeSleepSchedule(clearScheduleOverride(sleepSchedule, selectedDate))
+    }
+  }
+
+  const changeWeeklySchedule = (day, changes) => {
+    changeSleepSchedule({
+      ...sleepSchedule,
+      weekly: { ...sleepSchedule.weekly, [day]: { ...sleepSchedule.weekly[day], ...changes } }
+    })
+  }
+
+  // Persist sleep mode and the selected day's sleep periods
+  const changeSleepMode = (mode) => {
+    setSleepMode(mode)
+    saveSleepMode(mode)
+  }
+
+  const changeSleepPeriods = (periods) => {
+    setSleepPeriods(periods)
+    saveSleepPeriods(selectedDate, periods)
+  }
+
+  const addSleepPeriod = () => {
+    const nextDay = shiftDate(selectedDate, 1)
+    changeSleepPeriods([
+      ...sleepPeriods,
+      sleepPeriods.length === 0
+        ? { id: generateStableId(), label: 'Main sleep', start: `${selectedDate}T23:00`, end: `${nextDay}T07:00` }
+        : { id: generateStableId(), label: 'Nap', start: `${selectedDate}T14:00`, end: `${selectedDate}T14:30` }
+    ])
+  }
+
+  // What-if scenarios: named copies of the day's drinks that can be edited without touching the log
+  const changeScenarios = (next) => {
+    setScenarios(next)
+    saveScenarios(selectedDate, next)
+  }
+
+  const createScenario = () => {
+    const scenario = {
+      id: generateStableId(),
+      name: scenarioName.trim() || `Scenario ${scenarios.length + 1}`,
+      drinks: drinks.filter(drink => drink.dose && drink.startTimeString).map(drink => ({
+        id: generateStableId(),
+        name: drink.name,
+        dose: drink.dose.toString(),
+        startTimeString: drink.startTimeString,
+        endTimeString: drink.endTimeString || '',
+        compounds: drink.compounds || null
+      }))
+    }
+    changeScenarios([...scenarios, scenario])
+    setEditingScenarioId(scenario.id)
+    setScenarioName('')
+  }
+
+  const updateScenario = (id, changes) => {
+    changeScenarios(scenarios.map(scenario => scenario.id === id ? { ...scenario, ...changes } : scenario))
+  }
+
+  const deleteScenario = (id) => {
+    changeScenarios(scenarios.filter(scenario => scenario.id !== id))
+    if (editingScenarioId === id) setEditingScenarioId(null)
+  }
+
+  const updateScenarioDrink = (scenario, drinkId, changes) => {
+    updateScenario(scenario.id, {
+      drinks: scenario.drinks.map(drink => drink.id === drinkId ? { ...drink, ...changes } : drink)
+    })
+  }
+
+  const addScenarioDrink = (scenario) => {
+    const firstOption = drinkOptions[0]
+    updateScenario(scenario.id, {
+      drinks: [...scenario.drinks, {
+        id: generateStableId(),
+        name: firstOption ? firstOption.name : '',
+        dose: firstOption ? firstOption.caffeine.toString() : '',
+        startTimeString: now.toTimeString().slice(0, 5),
+        endTimeString: '',
+        compounds: firstOption?.compounds || null
+      }]
+    })
+  }
+
+  // Start or end a taper plan (persisted next to the daily logs)
+  const startTaper = () => {
+    const startAverage = parseFloat(taperDraft.startAverage) || currentAverage
+    const target = parseFloat(taperDraft.target)
+    const durationDays = parseInt(taperDraft.durationDays)
+    if (!(startAverage > 0) || !(target >= 0) || target >= startAverage || !(durationDays > 0)) return
+    
+    const plan = { startDate: getTodayDate(), startAverage, target, durationDays, createdAt: new Date().toISOString() }
+    setTaperPlan(plan)
+    saveTaperPlan(plan)
+  }
+
+  const endTaper = () => {
+    setTaperPlan(null)
+    saveTaperPlan(null)
+  }
+
+  // Persist alertness window and floor
+  const changeAlertnessSettings = (settings) => {
+    setAlertnessSettings(settings)
+    saveAlertnessSettings(settings)
+  }
+
+  // Persist chart view choice
+  const changeChartView = (view) => {
+    setChartView(view)
+    saveChartView(view)
+  }
+
+  // Visible part of the chart's time axis, kept inside the chart when it shrinks
+  const visibleRange = chartRange
+    ? clampTimeRange(chartRange, { min: 0, max: chartHours })
+    : { min: 0, max: chartHours }
+
+  // Zoom the time axis in or out around the middle of the visible range
+  const zoomChart = (factor) => {
+    const center = (visibleRange.min + visibleRange.max) / 2
+    const halfWidth = (visibleRange.max - visibleRange.min) * factor / 2
+    setChartRange(clampTimeRange({ min: center - halfWidth, max: center + halfWidth }, { min: 0, max: chartHours }))
+  }
+
+  // Persist display mode choice
+  const changeDisplayMode = (mode) => {
+    setDisplayMode(mode)
+    saveDisplayMode(mode)
+  }
+
+  // Persist absorption model choice
+  const changeAbsorptionModel = (model) => {
+    setAbsorptionModel(model)
+    saveAbsorptionModel(model)
+  }
+
   // Toggle dark mode
   const toggleDarkMode = () => {
     setIsDarkMode(!isDarkMode)
@@ -344,29 +1015,53 @@ export default function CaffeineCalculator() {
 
   // Auto-calculate results when data changes (but don't auto-save)
   useEffect(() => {
-    if (!bedtime || !personalInfo.age || !personalInfo.sex || !personalInfo.weight) {
+    // Clear the last analysis so nothing from another day or profile lingers on screen
+    const resetAnalysis = () => {
+      setResult(null)
+      setCarryOverAtBedtime(0)
+      setBedtimeRange(null)
+      setIndividualCutoffs([])
+      setDailyIntake(0)
+      setWarningMessage(null)
+      setSleepResults([])
+      setCompoundLevels([])
+      setStimulantTotals(null)
+      setScenarioResults([])
+      setChartData(null)
+    }
+    
+    if (!effectiveBedtime || !personalInfo.age || !personalInfo.sex || !personalInfo.weight) {
+      resetAnalysis()
       return // Don't calculate if required info is missing
     }
     
     const validDrinks = drinks.filter(drink => drink.dose && drink.startTimeString)
     if (validDrinks.length === 0) {
+      resetAnalysis()
       return // Don't calculate if no valid drinks
     }
     
-    // Calculate adjusted half-life based on personal info
-    const halfLife = calculateAdjustedHalfLife(personalInfo, units)
-    setAdjustedHalfLife(halfLife)
-    
-    // Calculate individual cutoff times for each drink
-    const individualCutoffTimes = calculateIndividualCutoffTimes(validDrinks, bedtime, halfLife)
-    setIndividualCutoffs(individualCutoffTimes)
-    
-    // Calculate daily intake and warning messages
-    const totalDailyIntake = calculateDailyIntake(validDrinks)
-    setDailyIntake(totalDailyIntake)
+    // Run the shared engine over the valid drinks
+    const analysis = analyzeDay({
+      personalInfo,
+      units,
+      drinks: validDrinks,
+      bedtime: effectiveBedtime,
+      date: selectedDate,
+      threshold: sleepThreshold,
+      chartHours,
+      kinetics: { model: absorptionModel },
+      previousDays,
+      sleepPeriods: resolvedSleepPeriods,
+      tolerance
+    })
+    setAdjustedHalfLife(analysis.halfLife)
+    setHalfLifeAdjustments(analysis.halfLifeBreakdown.adjustments)
+    setIndividualCutoffs(analysis.cutoffs)
+    setDailyIntake(analysis.dailyIntake)
     
     // Check for warnings
-    const dailyWarning = getWarningMessage(totalDailyIntake)
+    const dailyWarning = getWarningMessage(analysis.dailyIntake, thresholds)
     const typoWarning = checkForTypo(validDrinks)
     
     // Set warning message (prioritize typo detection over daily intake warnings)
@@ -378,27 +1073,98 @@ export default function CaffeineCalculator() {
       setWarningMessage(null)
     }
     
-    // Calculate total caffeine remaining at bedtime using cumulative calculation
-    const totalCaffeineLeft = calculateTotalCaffeineAtBedtime(validDrinks, bedtime, halfLife)
-    setResult(totalCaffeineLeft)
-    setChartData(generateChartData(validDrinks, bedtime, halfLife, chartHours))
-  }, [drinks, bedtime, personalInfo, units, chartHours, selectedDate])
+    // Total caffeine remaining at bedtime, including what carried over from earlier days
+    setResult(analysis.bedtimeLevel)
+    setCarryOverAtBedtime(analysis.carryOver.atBedtime)
+    setBedtimeRange(analysis.uncertainty.bedtimeLevel)
+    setSleepResults(analysis.sleepPeriods)
+    setCompoundLevels(analysis.compounds)
+    setStimulantTotals(analysis.stimulants)
+    
+    // Each what-if scenario runs through the same engine with its own drinks
+    const scenarioAnalyses = scenarios.map(scenario => {
+      const scenarioAnalysis = analyzeDay({
+        personalInfo,
+        units,
+        drinks: scenario.drinks.filter(drink => drink.dose && drink.startTimeString),
+        bedtime: effectiveBedtime,
+        date: selectedDate,
+        threshold: sleepThreshold,
+        chartHours,
+        kinetics: { model: absorptionModel },
+        previousDays
+      })
+      return {
+        id: scenario.id,
+        name: scenario.name,
+        bedtimeLevel: scenarioAnalysis.bedtimeLevel,
+        dailyIntake: scenarioAnalysis.dailyIntake,
+        cutoffs: scenarioAnalysis.cutoffs,
+        totalPoints: scenarioAnalysis.totalPoints
+      }
+    })
+    setScenarioResults(scenarioAnalyses)
+    
+    setChartData(generateChartData(
+      analysis,
+      chartHours,
+      selectedDate,
+      isConcentrationMode ? analysis.volumeOfDistribution : null,
+      alertnessPlan,
+      chartView,
+      scenarioAnalyses
+    ))
+  }, [drinks, effectiveBedtime, resolvedSleepPeriods, personalInfo, units, chartHours, selectedDate, absorptionModel, sleepThreshold, isConcentrationMode, thresholds, alertnessPlan, tolerance, chartView, scenarios, previousDays])
+  
+  // Zone feedback worded for how used to caffeine the user is
+  const ZONE_MESSAGES = {
+    safe: {
+      default: 'Safe Zone - Great for sleep quality!',
+      tolerant: "Safe Zone - You're used to caffeine, so this shouldn't keep you up",
+      naive: 'Safe Zone - Great for sleep quality!'
+    },
+    caution: {
+      default: 'Caution Zone - May affect sleep quality',
+      tolerant: 'Caution Zone - Even with your tolerance, this may lighten your sleep',
+      naive: 'Caution Zone - You rarely have caffeine, so even this much may keep you awake'
+    },
+    'high-risk': {
+      default: 'High Risk Zone - Likely to disrupt sleep',
+      tolerant: 'High Risk Zone - Likely to disrupt sleep, even for a regular drinker',
+      naive: 'High Risk Zone - Without a caffeine habit, expect trouble falling asleep'
+    }
+  }
   
-  const getCaffeineZone = (caffeineLevel) => {
-    if (caffeineLevel < safeSleepThreshold) {
+  // Zone boundaries in the active display unit. Tolerance changes how strong caffeine feels, not how
+  // much of it disturbs sleep, so the zones use the same limits as the cutoffs and allowance
+  const zoneLimits = {
+    sleep: isConcentrationMode ? toReferenceConcentration(thresholds.sleep) : thresholds.sleep,
+    caution: isConcentrationMode ? toReferenceConcentration(thresholds.caution) : thresholds.caution
+  }
+  
+  const getCaffeineZone = (caffeineMg) => {
+    // The habit only changes the wording of the verdict
+    const toleranceGroup = tolerance.level === 'naive'
+      ? 'naive'
+      : tolerance.level === 'moderate' || tolerance.level === 'high' ? 'tolerant' : 'default'
+    
+    // Compare in mg/L against concentration thresholds when that mode is active
+    const caffeineLevel = isConcentrationMode ? toConcentration(caffeineMg, volumeOfDistribution) : caffeineMg
+    
+    if (caffeineLevel < zoneLimits.sleep) {
       return {
         zone: 'safe',
         emoji: '✅',
-        message: 'Safe Zone - Great for sleep quality!',
+        message: ZONE_MESSAGES.safe[toleranceGroup],
         color: 'text-green-600',
         bgColor: 'bg-green-50',
         borderColor: 'border-green-200'
       }
-    } else if (caffeineLevel <= 80) {
+    } else if (caffeineLevel <= zoneLimits.caution) {
       return {
         zone: 'caution',
         emoji: '⚠️',
-        message: 'Caution Zone - May affect sleep quality',
+        message: ZONE_MESSAGES.caution[toleranceGroup],
         color: 'text-orange-600',
         bgColor: 'bg-orange-50',
         borderColor: 'border-orange-200'
@@ -407,7 +1173,7 @@ export default function CaffeineCalculator() {
       return {
         zone: 'high-risk',
         emoji: '❌',
-        message: 'High Risk Zone - Likely to disrupt sleep',
+        message: ZONE_MESSAGES['high-risk'][toleranceGroup],
         color: 'text-red-600',
         bgColor: 'bg-red-50',
         borderColor: 'border-red-200'
@@ -415,25 +1181,18 @@ export default function CaffeineCalculator() {
     }
   }
 
-  const calculateDailyIntake = (drinks) => {
-    return drinks.reduce((total, drink) => {
-      const dose = parseFloat(drink.dose) || 0
-      return total + dose
-    }, 0)
-  }
-
-  const getWarningMessage = (dailyIntake) => {
-    if (dailyIntake < 600) {
+  const getWarningMessage = (dailyIntake, limits) => {
+    if (dailyIntake < limits.dailyWarning) {
       return null
-    } else if (dailyIntake >= 600 && dailyIntake < 1000) {
+    } else if (dailyIntake >= limits.dailyWarning && dailyIntake < limits.dailyDanger) {
       return {
         type: 'caution',
-        message: `⚠️ You've logged ${dailyIntake} mg today — higher than the typical safe daily guideline (400 mg).`,
+        message: `⚠️ You've logged ${dailyIntake} mg today — higher than your daily guideline (${limits.dailyLimit} mg).`,
         color: 'text-yellow-600',
         bgColor: 'bg-yellow-50',
         borderColor: 'border-yellow-200'
       }
-    } else if (dailyIntake >= 1000) {
+    } else if (dailyIntake >= limits.dailyDanger) {
       return {
         type: 'danger',
         message: `🚫 Extremely high caffeine intake can be dangerous. Please double-check this entry.`,
@@ -464,192 +1223,180 @@ export default function CaffeineCalculator() {
     return null
   }
 
-  const convertToMetric = (value, type, unit) => {
-    if (unit === 'metric') return parseFloat(value)
-    
-    if (type === 'weight') {
-      // Convert pounds to kg
-      return parseFloat(value) * 0.453592
-    }
-    return parseFloat(value)
-  }
-
-  const calculateAdjustedHalfLife = (personalInfo, units) => {
-    let adjustedHalfLife = baseHalfLife
-    
-    const age = parseInt(personalInfo.age)
-    const weight = convertToMetric(personalInfo.weight, 'weight', units.weight)
-    const sex = personalInfo.sex
-    
-    // Age adjustments
-    if (age > 50) {
-      adjustedHalfLife += 1
-    } else if (age >= 30 && age <= 50) {
-      adjustedHalfLife += 0.5
-    }
-    
-    // Weight adjustments (using metric values)
-    if (weight < 60) {
-      adjustedHalfLife += 0.5
-    } else if (weight > 90) {
-      adjustedHalfLife -= 0.5
-    }
-    
-    // Sex adjustment
-    if (sex === 'female') {
-      adjustedHalfLife += 0.5
-    }
-    
-    return Math.max(1, adjustedHalfLife) // Minimum 1 hour
-  }
-
-  const calculateCaffeineRemaining = (dose, bedtime, halfLife, startTime = null, endTime = null) => {
-    const today = new Date();
-    const bed = new Date(`${today.toDateString()} ${bedtime}`);
-    if (bed.getHours() < 12) bed.setDate(bed.getDate() + 1); // next-day bedtime
+  const generateChartData = ({ curves, carryOver, uncertainty, stimulation, compounds, totalPoints }, chartHours, date, volume = null, alertness = null, view = 'lines', scenarios = []) => {
+    const datasets = [];
+    const dayStart = toReferenceDate(date);
+    const toHours = (time) => (time - dayStart) / (1000 * 60 * 60);
 
-    if (startTime) {
-      const startDateTime = new Date(`${today.toDateString()} ${startTime}`);
-      const endDateTime = new Date(`${today.toDateString()} ${endTime || startTime}`);
-      if (endDateTime < startDateTime) endDateTime.setDate(endDateTime.getDate() + 1);
+    // 10-minute samples as { x, y } points, x in hours from midnight of the selected day
+    const toSeries = (points) => points
+      .filter(point => toHours(point.time) <= chartHours)
+      .map(point => ({
+        x: toHours(point.time),
+        y: volume ? toConcentration(point.caffeine, volume) : point.caffeine
+      }));
 
-      const minutesToAbsorb = Math.max(1, (endDateTime - startDateTime) / 60000);
-      const isInstant = minutesToAbsorb <= 1;
+    const colors = [
+      { border: 'rgb(75,192,192)', background: 'rgba(75,192,192,0.2)' },
+      { border: 'rgb(255,99,132)', background: 'rgba(255,99,132,0.2)' },
+      { border: 'rgb(255,205,86)', background: 'rgba(255,205,86,0.2)' },
+      { border: 'rgb(153,102,255)', background: 'rgba(153,102,255,0.2)' },
+      { border: 'rgb(54,162,235)', background: 'rgba(54,162,235,0.2)' },
+    ];
 
-      if (isInstant) {
-        const hoursSince = (bed - startDateTime) / (1000 * 60 * 60);
-        if (hoursSince < 0) return 0;
-        return Math.max(0, dose * Math.pow(0.5, hoursSince / halfLife));
-      } else {
-        const curve = calculateCaffeineCurve(startDateTime, endDateTime, dose, halfLife);
-        const hoursSinceStart = (bed - startDateTime) / (1000 * 60 * 60);
-        if (hoursSinceStart < 0) return 0;
-        let caffeineAtBed = 0;
-        for (let p of curve) {
-          const hours = (p.time - startDateTime) / (1000 * 60 * 60);
-          if (hours <= hoursSinceStart) caffeineAtBed = p.caffeine;
-          else break;
-        }
-        return Math.max(0, caffeineAtBed);
-      }
+    // Baseline from previous days' drinks, only when it is noticeable
+    if (carryOver.points.some(point => point.caffeine >= 1)) {
+      datasets.push({
+        label: 'Carried over from previous days',
+        data: toSeries(carryOver.points),
+        borderColor: 'rgb(156,163,175)',
+        backgroundColor: 'rgba(156,163,175,0.25)',
+        borderDash: [4, 4],
+        fill: 'origin',
+        isContribution: true,
+      });
     }
-    return 0;
-  }
 
-  const calculateLatestSafeIntakeTime = (bedtime, halfLife, dose, threshold = safeSleepThreshold) => {
-    if (dose <= threshold) return "Any time today";
+    for (let i = 0; i < curves.length; i++) {
+      const { drink, start, end, points } = curves[i];
 
-    const hoursBeforeBed = halfLife * Math.log2(dose / threshold);
+      datasets.push({
+        label: `${drink.name} (${drink.dose}mg)`,
+        data: toSeries(points),
+        borderColor: colors[i % colors.length].border,
+        backgroundColor: colors[i % colors.length].background,
+        isContribution: true,
+        intake: {
+          drinkId: drink.id,
+          startHours: toHours(start),
+          endHours: toHours(end),
+          draggable: Boolean(drink.isLogged && !drink.isEditing),
+        },
+      });
+    }
 
-    const now = new Date();
-    const bed = new Date(`${now.toDateString()} ${bedtime}`);
-    if (bed.getHours() < 12) bed.setDate(bed.getDate() + 1); // handle early-morning bedtimes
+    // Stacked view: each drink (and the carry-over) fills the area it adds on top of the ones before
+    if (view === 'stacked') {
+      datasets.forEach((dataset, index) => {
+        dataset.stack = 'intake';
+        dataset.fill = index === 0 ? 'origin' : '-1';
+        dataset.backgroundColor = dataset.backgroundColor.replace(/[\d.]+\)$/, '0.5)');
+      });
+    }
 
-    let cutoff = new Date(bed.getTime() - hoursBeforeBed * 60 * 60 * 1000);
+    // Combined level of everything in the body
+    datasets.push({
+      label: 'Total',
+      data: toSeries(totalPoints),
+      borderColor: 'rgb(234,88,12)',
+      backgroundColor: 'rgba(234,88,12,0.2)',
+      borderWidth: 4,
+      pointRadius: 0,
+      isTotal: true,
+    });
 
-    // Clamp: not before now
-    if (cutoff < now) return "Too late for today";
+    // Shaded 10th–90th percentile band of the total, from the spread of plausible half-lives
+    datasets.push({
+      label: 'Likely range (low)',
+      data: toSeries(uncertainty.lowPoints),
+      borderColor: 'rgba(107,114,128,0.4)',
+      backgroundColor: 'rgba(107,114,128,0.15)',
+      borderWidth: 1,
+      pointRadius: 0,
+      hideInLegend: true,
+      hideInTooltip: true,
+    });
+    datasets.push({
+      label: 'Likely range (10th–90th percentile)',
+      data: toSeries(uncertainty.highPoints),
+      borderColor: 'rgba(107,114,128,0.4)',
+      backgroundColor: 'rgba(107,114,128,0.15)',
+      borderWidth: 1,
+      pointRadius: 0,
+      fill: '-1',
+      hideInTooltip: true,
+    });
 
-    // Clamp: not after bedtime
-    if (cutoff > bed) cutoff = new Date(bed.getTime() - 15 * 60 * 1000);
+    // Theobromine and theophylline decay on their own schedules
+    const compoundColors = {
+      theobromine: 'rgb(146,64,14)',
+      theophylline: 'rgb(13,148,136)',
+    };
+    compounds.forEach(compound => {
+      datasets.push({
+        label: `${compound.label} (×${compound.potency} potency)`,
+        data: toSeries(compound.points),
+        borderColor: compoundColors[compound.key],
+        backgroundColor: compoundColors[compound.key].replace('rgb', 'rgba').replace(')', ',0.2)'),
+        borderDash: [3, 3],
+        pointRadius: 0,
+      });
+    });
 
-    // Format
-    const hours = cutoff.getHours();
-    const minutes = cutoff.getMinutes();
-    const ampm = hours >= 12 ? "PM" : "AM";
-    const displayHours = hours % 12 || 12;
-    const displayMinutes = minutes.toString().padStart(2, "0");
+    // Felt effect of the total once tolerance is accounted for
+    if (stimulation) {
+      datasets.push({
+        label: `Effective stimulation (${Math.round(stimulation.sensitivity * 100)}% with your tolerance)`,
+        data: toSeries(stimulation.points),
+        borderColor: 'rgb(168,85,247)',
+        backgroundColor: 'rgba(168,85,247,0.2)',
+        borderDash: [8, 4],
+        pointRadius: 0,
+      });
+    }
 
-    return `${displayHours}:${displayMinutes} ${ampm}`;
-  };
-
-  const calculateIndividualCutoffTimes = (drinks, bedtime, halfLife) => {
-    const validDrinks = drinks.filter(drink => drink.dose && drink.startTimeString)
-    const cutoffTimes = []
-    
-    // For each drink, calculate when it should be consumed to keep total ≤ safeSleepThreshold mg
-    validDrinks.forEach((drink, index) => {
-      const drinkDose = parseFloat(drink.dose)
-      
-      // Calculate caffeine from all OTHER drinks at bedtime using cumulative calculation
-      const otherDrinks = validDrinks.filter((_, otherIndex) => otherIndex !== index)
-      const otherDrinksCaffeine = calculateTotalCaffeineAtBedtime(otherDrinks, bedtime, halfLife)
-      
-      // Calculate how much caffeine this drink can contribute to stay ≤ safeSleepThreshold mg total
-      const maxAllowedCaffeineFromThisDrink = Math.max(0, safeSleepThreshold - otherDrinksCaffeine)
-      
-      if (maxAllowedCaffeineFromThisDrink > 0) {
-        // Calculate cutoff time for this drink
-        const cutoffTime = calculateLatestSafeIntakeTime(bedtime, halfLife, drinkDose, maxAllowedCaffeineFromThisDrink)
-        cutoffTimes.push({
-          name: drink.name,
-          dose: drink.dose,
-          cutoffTime: cutoffTime
-        })
-      } else {
-        // This drink would push total over safeSleepThreshold mg, so cutoff is already passed
-        cutoffTimes.push({
-          name: drink.name,
-          dose: drink.dose,
-          cutoffTime: "Already over limit"
-        })
+    // Alertness target: shade above the floor across the window, plus the level with the suggested doses
+    if (alertness) {
+      const floorLevel = volume ? toConcentration(alertness.floor, volume) : alertness.floor;
+      datasets.push({
+        label: 'Alertness target',
+        data: [
+          { x: toHours(alertness.windowStart), y: floorLevel },
+          { x: toHours(alertness.windowEnd), y: floorLevel }
+        ],
+        borderColor: 'rgb(34,197,94)',
+        backgroundColor: 'rgba(34,197,94,0.12)',
+        borderDash: [6, 3],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: 'end',
+        hideInTooltip: true,
+      });
+      if (alertness.doses.length > 0) {
+        datasets.push({
+          label: 'Total with suggested doses',
+          data: toSeries(alertness.points),
+          borderColor: 'rgb(22,163,74)',
+          backgroundColor: 'rgba(22,163,74,0.2)',
+          borderDash: [2, 2],
+          pointRadius: 0,
+        });
       }
-    })
-    
-    return cutoffTimes
-  }
-
-  const generateChartData = (drinks, bedtime, halfLife, chartHours) => {
-    const today = new Date();
-    const labels = [];
-    const datasets = [];
-
-    for (let i = 0; i <= chartHours; i++) {
-      const hour = i % 24;
-      const day = Math.floor(i / 24);
-      labels.push(`${String(hour).padStart(2, '0')}:00${day ? ' (+1)' : ''}`);
     }
 
-    const colors = [
-      { border: 'rgb(75,192,192)', background: 'rgba(75,192,192,0.2)' },
-      { border: 'rgb(255,99,132)', background: 'rgba(255,99,132,0.2)' },
-      { border: 'rgb(255,205,86)', background: 'rgba(255,205,86,0.2)' },
-      { border: 'rgb(153,102,255)', background: 'rgba(153,102,255,0.2)' },
-      { border: 'rgb(54,162,235)', background: 'rgba(54,162,235,0.2)' },
-    ];
-
-    for (let i = 0; i < drinks.length; i++) {
-      const drink = drinks[i];
-      if (!drink.dose || !drink.startTimeString) continue;
-
-      const start = new Date(`${today.toDateString()} ${drink.startTimeString}`);
-      const end = drink.endTimeString
-        ? new Date(`${today.toDateString()} ${drink.endTimeString}`)
-        : start;
-      if (end < start) end.setDate(end.getDate() + 1);
-
-      const startOffset = start.getHours() + start.getMinutes() / 60;
-      const curve = calculateCaffeineCurve(start, end, parseFloat(drink.dose), halfLife, chartHours);
-      const data = Array(chartHours + 1).fill(0);
-
-      for (let j = 0; j < curve.length; j++) {
-        const point = curve[j];
-        const relHour = (point.time - start) / (1000 * 60 * 60);
-        const globalIndex = Math.round(startOffset + relHour);
-        if (globalIndex >= 0 && globalIndex < data.length) {
-          data[globalIndex] = Math.max(data[globalIndex], point.caffeine);
-        }
-      }
-
+    // What-if scenarios' totals, to compare against the logged total
+    const scenarioColors = ['rgb(14,165,233)', 'rgb(217,70,239)', 'rgb(132,204,22)', 'rgb(244,63,94)'];
+    scenarios.forEach((scenario, index) => {
+      const color = scenarioColors[index % scenarioColors.length];
       datasets.push({
-        label: `${drink.name} (${drink.dose}mg)`,
-        data,
-        borderColor: colors[i % colors.length].border,
-        backgroundColor: colors[i % colors.length].background,
+        label: `What if: ${scenario.name}`,
+        data: toSeries(scenario.totalPoints),
+        borderColor: color,
+        backgroundColor: color.replace('rgb', 'rgba').replace(')', ',0.2)'),
+        borderWidth: 3,
+        borderDash: [10, 5],
+        pointRadius: 0,
+      });
+    });
+
+    // Everything else keeps its own stack so only the drinks add up
+    if (view === 'stacked') {
+      datasets.forEach((dataset, index) => {
+        if (!dataset.isContribution) dataset.stack = `own-${index}`;
       });
     }
 
-    return { labels, datasets };
+    return { datasets };
   };
 
 
@@ -667,10 +1414,23 @@ export default function CaffeineCalculator() {
     }
   }
 
+  // Theobromine/theophylline for a new caffeine dose, in proportion to the listed serving of the
+  // drink (or to the drink's current dose when it isn't listed)
+  const scaleDrinkCompounds = (drink, dose) => {
+    if (!drink.compounds) return null
+    const option = [...drinkOptions, ...recentDrinks].find(o => o.name === drink.name && o.compounds)
+    return option
+      ? scaleCompounds(option.compounds, option.caffeine, dose)
+      : scaleCompounds(drink.compounds, drink.dose, dose)
+  }
+
   const updateDrink = (id, field, value) => {
     // Only update if the drink is in editing mode
-    setDrinks(drinks.map(drink => {
+    setDrinks(current => current.map(drink => {
       if (drink.id === id && drink.isEditing) {
+        // Compounds belong to the drink picked and its serving: a new name drops them, a new dose scales them
+        if (field === 'name') return { ...drink, name: value, compounds: null }
+        if (field === 'dose') return { ...drink, dose: value, compounds: scaleDrinkCompounds(drink, value) }
         return { ...drink, [field]: value }
       }
       return drink
@@ -730,6 +1490,8 @@ export default function CaffeineCalculator() {
             ...drink, 
             name: selectedDrink.name, 
             dose: selectedDrink.caffeine.toString(),
+            category: selectedDrink.category || null,
+            compounds: selectedDrink.compounds || null,
             // Only set startTime and startTimeString if they're currently empty
             startTime: shouldSetStartTime ? now : drink.startTime,
             startTimeString: shouldSetStartTime ? currentTimeString : drink.startTimeString,
@@ -751,7 +1513,11 @@ export default function CaffeineCalculator() {
         name: drinkToEdit.name,
         caffeine: drinkToEdit.caffeine.toString(),
         category: drinkToEdit.category || 'Custom',
-        colorTag: drinkToEdit.colorTag || null
+        colorTag: drinkToEdit.colorTag || null,
+        compounds: {
+          theobromine: drinkToEdit.compounds?.theobromine?.toString() || '',
+          theophylline: drinkToEdit.compounds?.theophylline?.toString() || ''
+        }
       })
     } else {
       setEditingCustomDrink(null)
@@ -759,7 +1525,8 @@ export default function CaffeineCalculator() {
         name: '',
         caffeine: '',
         category: 'Custom',
-        colorTag: null
+        colorTag: null,
+        compounds: { theobromine: '', theophylline: '' }
       })
     }
     setShowCustomDrinkModal(true)
@@ -772,7 +1539,8 @@ export default function CaffeineCalculator() {
       name: '',
       caffeine: '',
       category: 'Custom',
-      colorTag: null
+      colorTag: null,
+      compounds: { theobromine: '', theophylline: '' }
     })
   }
   
@@ -892,9 +1660,11 @@ export default function CaffeineCalculator() {
     ))
   }
 
-  const handleDrinkDone = (id) => {
-    const drink = drinks.find(d => d.id === id)
-    if (!drink) return
+  // changes are applied on top of the drink before saving (e.g. new times from dragging it on the chart)
+  const handleDrinkDone = async (id, changes = {}) => {
+    const currentDrink = drinks.find(d => d.id === id)
+    if (!currentDrink) return
+    const drink = { ...currentDrink, ...changes }
 
     // Check if all required fields are filled
     const isComplete = drink.name && 
@@ -923,55 +1693,34 @@ export default function CaffeineCalculator() {
       setRecentDrinks(updatedRecent)
     }
 
-    // Process the drink - convert to logged drink if complete and not already logged
-    const updatedDrinks = drinks.map(d => {
-      if (d.id === id) {
-        if (!d.isLogged) {
-          // Convert to logged drink
-          const loggedDrink = {
-            name: updatedDrink.name,
-            dose: parseFloat(updatedDrink.dose),
-            time: updatedDrink.startTimeString, // Use startTimeString as the main time
-            startTime: updatedDrink.startTime || Date.now(),
-            endTime: updatedDrink.endTime || Date.now(),
-            startTimeString: updatedDrink.startTimeString || '',
-            endTimeString: updatedDrink.endTimeString || ''
-          }
-          
-          // Add to localStorage for selected date
-          const updatedData = addQuickDrink(selectedDate, loggedDrink)
-          setTodayData(updatedData)
-          
-          // Return as logged drink with new index
-          return {
-            ...updatedDrink,
-            isLogged: true,
-            loggedIndex: updatedData.length - 1
-          }
-        } else {
-          // Update existing logged drink in localStorage
-          const loggedUpdate = {
-            name: updatedDrink.name,
-            dose: parseFloat(updatedDrink.dose) || 0,
-            time: updatedDrink.startTimeString,
-            startTime: updatedDrink.startTime || Date.now(),
-            endTime: updatedDrink.endTime || Date.now(),
-            startTimeString: updatedDrink.startTimeString || '',
-            endTimeString: updatedDrink.endTimeString || ''
-          }
-          
-          const updatedData = updateTodayDrink(selectedDate, d.loggedIndex, loggedUpdate)
-          setTodayData(updatedData)
-          
-          return updatedDrink
-        }
+    const loggedDrink = {
+      name: updatedDrink.name,
+      dose: parseFloat(updatedDrink.dose) || 0,
+      startTime: updatedDrink.startTime || Date.now(),
+      endTime: updatedDrink.endTime || Date.now(),
+      startTimeString: updatedDrink.startTimeString || '',
+      endTimeString: updatedDrink.endTimeString || '',
+      category: updatedDrink.category || null,
+      compounds: updatedDrink.compounds || null
+    }
+
+    // Convert to a logged drink (keeping its id) if it isn't one yet, otherwise update the stored entry.
+    // If that fails the drink stays open for editing, so tapping Done again retries
+    try {
+      if (!drink.isLogged) {
+        setTodayData(await addQuickDrink(selectedDate, { ...loggedDrink, id }))
+      } else {
+        setTodayData(await updateTodayDrink(selectedDate, id, loggedDrink))
       }
-      return d
-    })
+    } catch (error) {
+      reportStorageError(error, { unsaved: true })
+      setSaveStatus('error')
+      return
+    }
     
     // Sort drinks by time and update state, exit edit mode
-    setDrinks(sortDrinksByTime(updatedDrinks.map(d => 
-      d.id === id ? { ...d, isEditing: false } : d
+    setDrinks(current => sortDrinksByTime(current.map(d => 
+      d.id === id ? { ...updatedDrink, isLogged: true, isEditing: false } : d
     )))
     
     // Exit editing mode and trigger save
@@ -988,16 +1737,39 @@ export default function CaffeineCalculator() {
     }, 300)
   }
 
+  // Clock times for a drink moved on the chart (positions in hours from midnight of the selected day)
+  const moveDrinkTo = (drink, { startHours, endHours }) => ({
+    ...drink,
+    startTimeString: formatChartHours(startHours).slice(0, 5),
+    endTimeString: drink.endTimeString ? formatChartHours(endHours).slice(0, 5) : ''
+  })
+
+  // Dragging an intake marker reschedules the drink live; results and the chart recompute as it moves
+  const handleIntakeDrag = (drinkId, hours) => {
+    setIsActivelyEditing(true) // Hold off the auto-save until the marker is released
+    setDrinks(current => current.map(drink => drink.id === drinkId ? moveDrinkTo(drink, hours) : drink))
+  }
+
+  // Releasing the marker saves the new times the same way as tapping Done
+  const handleIntakeDrop = (drinkId, hours) => {
+    const drink = drinks.find(d => d.id === drinkId)
+    if (drink) handleDrinkDone(drinkId, moveDrinkTo(drink, hours))
+  }
+
   // Handler for deleting drinks in unified list
 
-  const handleDeleteDrink = (drinkId) => {
+  const handleDeleteDrink = async (drinkId) => {
     if (window.confirm('Are you sure you want to delete this drink?')) {
       const drink = drinks.find(d => d.id === drinkId)
       
       if (drink && drink.isLogged) {
-        // Delete from localStorage for selected date
-        const updatedData = deleteTodayDrink(selectedDate, drink.loggedIndex)
-        setTodayData(updatedData)
+        // Delete from storage for selected date; the drink stays listed if that fails
+        try {
+          setTodayData(await deleteTodayDrink(selectedDate, drink.id))
+        } catch (error) {
+          reportStorageError(error)
+          return
+        }
       }
       
       // Remove from drinks list
@@ -1039,6 +1811,12 @@ export default function CaffeineCalculator() {
           color: isDarkMode ? 'text-yellow-400' : 'text-yellow-600',
           showTime: false
         }
+      case 'error':
+        return {
+          text: 'Not saved',
+          color: isDarkMode ? 'text-red-400' : 'text-red-600',
+          showTime: false
+        }
       case 'saved':
         return {
           text: '✓ Saved',
@@ -1072,9 +1850,7 @@ export default function CaffeineCalculator() {
   }
   
   const changeDate = (days) => {
-    const currentDate = new Date(selectedDate + 'T00:00:00')
-    currentDate.setDate(currentDate.getDate() + days)
-    setSelectedDate(currentDate.toISOString().split('T')[0])
+    setSelectedDate(shiftDate(selectedDate, days))
   }
 
 
@@ -1106,6 +1882,42 @@ export default function CaffeineCalculator() {
           </button>
         </div>
         
+        {/* The day's log couldn't be loaded (e.g. another tab is blocking a database upgrade) */}
+        {storageError && (
+          <div className="p-4 mb-6 rounded-lg border bg-red-50 border-red-200 flex items-center justify-between gap-4">
+            <p className="text-sm font-medium text-red-700">
+              ⚠️ {storageError.message}
+              {storageError.unsaved && ' Your latest changes are kept on this page until they can be saved.'}
+            </p>
+            {storageError.unsaved && (
+              <button
+                type="button"
+                onClick={retrySave}
+                className="px-2 py-1 text-xs bg-red-100 hover:bg-red-200 text-red-800 rounded transition duration-200"
+              >
+                Try again
+              </button>
+            )}
+          </div>
+        )}
+        
+        {/* Records that failed validation on load */}
+        {quarantinedCount > 0 && (
+          <div className="p-4 mb-6 rounded-lg border bg-yellow-50 border-yellow-200 flex items-center justify-between gap-4">
+            <p className="text-sm font-medium text-yellow-700">
+              ⚠️ {quarantinedCount} saved {quarantinedCount === 1 ? 'entry' : 'entries'} couldn&apos;t be read and {quarantinedCount === 1 ? 'was' : 'were'} set aside,
+              so some drinks or settings may be missing. The rest of your data is unaffected.
+            </p>
+            <button
+              type="button"
+              onClick={dismissQuarantine}
+              className="px-2 py-1 text-xs bg-yellow-100 hover:bg-yellow-200 text-yellow-800 rounded transition duration-200"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+        
         {/* Date Selector */}
         <div className={`rounded-lg shadow-md p-4 mb-6 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
           <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
@@ -1305,6 +2117,104 @@ export default function CaffeineCalculator() {
                   </p>
                 </div>
               </div>
+              
+              {/* Metabolic factors that change caffeine half-life */}
+              <div className={`grid grid-cols-1 md:grid-cols-3 gap-4 p-4 rounded-lg ${
+                isDarkMode ? 'bg-blue-900' : 'bg-blue-50'
+              }`}>
+                <div className="space-y-2">
+                  <label className={`flex items-center gap-2 text-sm font-medium ${
+                    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                  }`}>
+                    <input
+                      type="checkbox"
+                      checked={personalInfo.smoker}
+                      onChange={(e) => setPersonalInfo({...personalInfo, smoker: e.target.checked})}
+                    />
+                    I smoke
+                  </label>
+                  {personalInfo.sex === 'female' && (
+                    <label className={`flex items-center gap-2 text-sm font-medium ${
+                      isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                    }`}>
+                      <input
+                        type="checkbox"
+                        checked={personalInfo.oralContraceptives}
+                        onChange={(e) => setPersonalInfo({...personalInfo, oralContraceptives: e.target.checked})}
+                      />
+                      I take oral contraceptives
+                    </label>
+                  )}
+                </div>
+                
+                {personalInfo.sex === 'female' && (
+                  <div>
+                    <label className={`block text-sm font-medium mb-2 ${
+                      isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                    }`}>
+                      Pregnancy
+                    </label>
+                    <select
+                      value={personalInfo.pregnancyTrimester}
+                      onChange={(e) => setPersonalInfo({...personalInfo, pregnancyTrimester: e.target.value})}
+                      className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        isDarkMode 
+                          ? 'bg-gray-700 border-gray-600 text-white' 
+                          : 'bg-gray-50 border-gray-400 text-gray-900'
+                      }`}
+                    >
+                      <option value="">Not pregnant</option>
+                      {Object.entries(PREGNANCY_TRIMESTERS).map(([value, trimester]) => (
+                        <option key={value} value={value}>{trimester.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${
+                    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                  }`}>
+                    Liver Function
+                  </label>
+                  <select
+                    value={personalInfo.liverFunction}
+                    onChange={(e) => setPersonalInfo({...personalInfo, liverFunction: e.target.value})}
+                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      isDarkMode 
+                        ? 'bg-gray-700 border-gray-600 text-white' 
+                        : 'bg-gray-50 border-gray-400 text-gray-900'
+                    }`}
+                  >
+                    <option value="normal">Normal</option>
+                    {Object.entries(LIVER_FUNCTION_LEVELS).map(([value, level]) => (
+                      <option key={value} value={value}>{level.label}</option>
+                    ))}
+                  </select>
+                </div>
+                
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${
+                    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                  }`}>
+                    Medications
+                  </label>
+                  <select
+                    value={personalInfo.cyp1a2Inhibitor}
+                    onChange={(e) => setPersonalInfo({...personalInfo, cyp1a2Inhibitor: e.target.value})}
+                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      isDarkMode 
+                        ? 'bg-gray-700 border-gray-600 text-white' 
+                        : 'bg-gray-50 border-gray-400 text-gray-900'
+                    }`}
+                  >
+                    <option value="">None that affect caffeine</option>
+                    {Object.entries(CYP1A2_INHIBITORS).map(([value, inhibitor]) => (
+                      <option key={value} value={value}>{inhibitor.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
             </div>
             
             <div className="space-y-4">
@@ -1326,7 +2236,7 @@ export default function CaffeineCalculator() {
                       : 'text-blue-600 bg-blue-50'
                   }`}>
                     {todayData.reduce((sum, drink) => sum + drink.dose, 0)} mg logged today
-                    {todayData.reduce((sum, drink) => sum + drink.dose, 0) >= 400 && (
+                    {todayData.reduce((sum, drink) => sum + drink.dose, 0) >= thresholds.dailyLimit && (
                       <span className="ml-1 text-orange-600">⚠️</span>
                     )}
                   </span>
@@ -1518,8 +2428,9 @@ export default function CaffeineCalculator() {
                     <p className={`text-sm ${
                       isDarkMode ? 'text-blue-300' : 'text-blue-700'
                     }`}>
-                      💡 <strong>Tip:</strong> If you don't enter an end time, the drink will be treated as "instant" (consumed all at once at the start time). 
+                      💡 <strong>Tip:</strong> If you don&apos;t enter an end time, the drink will be treated as &quot;instant&quot; (consumed all at once at the start time). 
                       Enter an end time to model gradual consumption over a period.
+                      {absorptionModel === 'absorption' && ' Caffeine is absorbed gradually after drinking, so levels peak about 30–60 minutes later.'}
                     </p>
                   </div>
                   
@@ -1539,25 +2450,237 @@ export default function CaffeineCalculator() {
               </button>
             </div>
             
-            <div className="border-t pt-6">
+            <div className="border-t pt-6 flex flex-col sm:flex-row gap-4">
+              <div className="max-w-xs w-full">
+                <label htmlFor="sleep-mode" className={`block text-sm font-medium mb-2 ${
+                  isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                }`}>
+                  Sleep Schedule
+                </label>
+                <select
+                  id="sleep-mode"
+                  value={sleepMode}
+                  onChange={(e) => changeSleepMode(e.target.value)}
+                  className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      isDarkMode 
+                        ? 'bg-gray-700 border-gray-600 text-white' 
+                        : 'bg-gray-50 border-gray-400 text-gray-900'
+                    }`}
+                >
+                  <option value="bedtime">Regular bedtime</option>
+                  <option value="periods">Sleep periods (shift work, naps)</option>
+                </select>
+              </div>
+              
+              {sleepMode === 'bedtime' && (
+                <div className="max-w-xs w-full">
+                  <div className="grid grid-cols-2 gap-2">
+                    {[['bedtime', 'bedtime', 'Bedtime', bedtime], ['wakeTime', 'wake-time', 'Wake Time', wakeTime]].map(([field, id, label, value]) => (
+                      <div key={field}>
+                        <label htmlFor={id} className={`block text-sm font-medium mb-2 ${
+                          isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                        }`}>
+                          {label}
+                        </label>
+                        <input
+                          type="time"
+                          id={id}
+                          value={value}
+                          onChange={(e) => changeSleepTimes({ [field]: e.target.value })}
+                          className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                              isDarkMode 
+                                ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' 
+                                : 'bg-gray-50 border-gray-400 text-gray-900'
+                            }`}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <label className={`flex items-center gap-2 text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    <input
+                      type="checkbox"
+                      checked={isScheduleOverride || isBedtimeForDateOnly}
+                      onChange={(e) => changeBedtimeForDateOnly(e.target.checked)}
+                    />
+                    Just this date (otherwise your usual {WEEKDAY_LABELS[weekday]} times)
+                  </label>
+                  <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    <button
+                      type="button"
+                      onClick={() => setShowWeeklySchedule(!showWeeklySchedule)}
+                      className="text-blue-600 hover:underline"
+                    >
+                      {showWeeklySchedule ? 'Hide' : 'Edit'} weekly schedule
+                    </button>
+                  </p>
+                </div>
+              )}
+              
+              <div className="max-w-xs w-full">
+                <label htmlFor="absorption-model" className={`block text-sm font-medium mb-2 ${
+                  isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                }`}>
+                  Absorption Model
+                </label>
+                <select
+                  id="absorption-model"
+                  value={absorptionModel}
+                  onChange={(e) => changeAbsorptionModel(e.target.value)}
+                  className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      isDarkMode 
+                        ? 'bg-gray-700 border-gray-600 text-white' 
+                        : 'bg-gray-50 border-gray-400 text-gray-900'
+                    }`}
+                >
+                  <option value="absorption">Gradual absorption (peaks ~40 min)</option>
+                  <option value="bolus">Instant (classic half-life only)</option>
+                </select>
+              </div>
+            </div>
+            
+            {/* Weekly bedtime and wake time */}
+            {sleepMode === 'bedtime' && showWeeklySchedule && (
+              <div className="grid grid-cols-3 gap-2 max-w-md">
+                <span className={`text-xs font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Day</span>
+                <span className={`text-xs font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Bedtime</span>
+                <span className={`text-xs font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Wake time</span>
+                {WEEKDAYS.map(day => (
+                  <Fragment key={day}>
+                    <span className={`text-sm self-center ${day === weekday ? 'font-bold' : ''} ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                      {WEEKDAY_LABELS[day]}
+                    </span>
+                    {['bedtime', 'wakeTime'].map(field => (
+                      <input
+                        key={field}
+                        type="time"
+                        value={sleepSchedule.weekly[day][field]}
+                        onChange={(e) => changeWeeklySchedule(day, { [field]: e.target.value })}
+                        className={`px-2 py-1 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                          isDarkMode 
+                            ? 'bg-gray-700 border-gray-600 text-white' 
+                            : 'bg-gray-50 border-gray-400 text-gray-900'
+                        }`}
+                      />
+                    ))}
+                  </Fragment>
+                ))}
+              </div>
+            )}
+            
+            {/* Explicit sleep periods for the selected day */}
+            {sleepMode === 'periods' && (
+              <div className="space-y-3">
+                <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  Enter each time you sleep for this day, including naps. The longest period counts as your main sleep
+                  and is used for the bedtime results, cutoffs and planners.
+                </p>
+                {sleepPeriods.map(period => (
+                  <div key={period.id} className="flex flex-col sm:flex-row sm:items-center gap-2">
+                    <input
+                      type="text"
+                      value={period.label}
+                      onChange={(e) => changeSleepPeriods(sleepPeriods.map(p => p.id === period.id ? { ...p, label: e.target.value } : p))}
+                      className={`sm:w-32 px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        isDarkMode 
+                          ? 'bg-gray-700 border-gray-600 text-white' 
+                          : 'bg-gray-50 border-gray-400 text-gray-900'
+                      }`}
+                      placeholder="Label"
+                    />
+                    {['start', 'end'].map(field => (
+                      <input
+                        key={field}
+                        type="datetime-local"
+                        value={period[field]}
+                        onChange={(e) => changeSleepPeriods(sleepPeriods.map(p => p.id === period.id ? { ...p, [field]: e.target.value } : p))}
+                        className={`flex-1 px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                          isDarkMode 
+                            ? 'bg-gray-700 border-gray-600 text-white' 
+                            : 'bg-gray-50 border-gray-400 text-gray-900'
+                        }`}
+                        title={field === 'start' ? 'Falls asleep' : 'Wakes up'}
+                      />
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => changeSleepPeriods(sleepPeriods.filter(p => p.id !== period.id))}
+                      className="px-2 py-1 text-xs bg-red-100 hover:bg-red-200 text-red-700 rounded transition duration-200"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={addSleepPeriod}
+                  className={`w-full border-2 border-dashed rounded-lg py-3 transition duration-200 ${
+                    isDarkMode 
+                      ? 'border-gray-600 text-gray-400 hover:border-blue-400 hover:text-blue-400' 
+                      : 'border-gray-300 text-gray-600 hover:border-blue-500 hover:text-blue-500'
+                  }`}
+                >
+                  + Add Sleep Period
+                </button>
+              </div>
+            )}
+            
+            {/* Sleep and daily limits */}
+            <div className="space-y-3">
               <div className="max-w-xs">
-                <label htmlFor="bedtime" className={`block text-sm font-medium mb-2 ${
+                <label htmlFor="threshold-preset" className={`block text-sm font-medium mb-2 ${
                   isDarkMode ? 'text-gray-300' : 'text-gray-700'
                 }`}>
-                  Bedtime
+                  Limits
                 </label>
-                <input
-                  type="time"
-                  id="bedtime"
-                  value={bedtime}
-                  onChange={(e) => setBedtime(e.target.value)}
+                <select
+                  id="threshold-preset"
+                  value={thresholdSettings.preset}
+                  onChange={(e) => changeThresholdSettings({ ...thresholdSettings, preset: e.target.value })}
                   className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                       isDarkMode 
-                        ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' 
+                        ? 'bg-gray-700 border-gray-600 text-white' 
                         : 'bg-gray-50 border-gray-400 text-gray-900'
                     }`}
-                />
+                >
+                  {Object.entries(THRESHOLD_PRESETS).map(([value, preset]) => (
+                    <option key={value} value={value}>{preset.label}</option>
+                  ))}
+                  <option value="custom">Custom</option>
+                </select>
               </div>
+              
+              {thresholdSettings.preset === 'custom' ? (
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                  {Object.entries(THRESHOLD_FIELDS).map(([key, label]) => (
+                    <div key={key}>
+                      <label className={`block text-xs font-medium mb-1 ${
+                        isDarkMode ? 'text-gray-400' : 'text-gray-600'
+                      }`}>
+                        {label}
+                      </label>
+                      <input
+                        type="number"
+                        value={thresholdSettings.custom[key]}
+                        onChange={(e) => changeThresholdSettings({
+                          ...thresholdSettings,
+                          custom: { ...thresholdSettings.custom, [key]: e.target.value }
+                        })}
+                        className={`w-full px-2 py-1 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                          isDarkMode 
+                            ? 'bg-gray-700 border-gray-600 text-white' 
+                            : 'bg-gray-50 border-gray-400 text-gray-900'
+                        }`}
+                        min="1"
+                      />
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Bedtime: safe below {thresholds.sleep} mg, caution up to {thresholds.caution} mg · 
+                  Daily: guideline {thresholds.dailyLimit} mg, warning at {thresholds.dailyWarning} mg, danger at {thresholds.dailyDanger} mg
+                </p>
+              )}
             </div>
             
           </form>
@@ -1565,7 +2688,33 @@ export default function CaffeineCalculator() {
         
         {result !== null && (
           <div className={`rounded-lg shadow-md p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
-            <h2 className={`text-xl font-semibold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Results</h2>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Results</h2>
+              <div className="flex space-x-2" title="Show levels as amount in your body or estimated blood concentration">
+                <button
+                  type="button"
+                  onClick={() => changeDisplayMode('amount')}
+                  className={`px-2 py-1 text-xs rounded ${
+                    !isConcentrationMode
+                      ? 'bg-blue-600 text-white' 
+                      : 'bg-gray-200 text-gray-700'
+                  }`}
+                >
+                  mg
+                </button>
+                <button
+                  type="button"
+                  onClick={() => changeDisplayMode('concentration')}
+                  className={`px-2 py-1 text-xs rounded ${
+                    isConcentrationMode
+                      ? 'bg-blue-600 text-white' 
+                      : 'bg-gray-200 text-gray-700'
+                  }`}
+                >
+                  mg/L
+                </button>
+              </div>
+            </div>
             <div className="space-y-4">
               {/* Daily Intake Summary */}
               <div className={`p-4 rounded-lg ${
@@ -1593,10 +2742,24 @@ export default function CaffeineCalculator() {
 
               <div className="p-4 bg-green-50 rounded-lg">
                 <p className="text-lg text-gray-700">
-                  Total caffeine left at bedtime: <span className="font-bold text-green-600">{result.toFixed(2)} mg</span>
+                  Total caffeine left at {sleepMode === 'periods' ? `main sleep (${bedtimeLabel})` : 'bedtime'}: <span className="font-bold text-green-600">{formatLevel(result)}</span>
+                  {isConcentrationMode && (
+                    <span className="text-sm text-gray-500 ml-2">(≈{result.toFixed(1)} mg)</span>
+                  )}
+                  {bedtimeRange && (
+                    <span
+                      className="text-sm text-gray-600 ml-2"
+                      title="10th–90th percentile, based on how much caffeine half-life varies between people"
+                    >
+                      likely {isConcentrationMode
+                        ? `${toConcentration(bedtimeRange.low, volumeOfDistribution).toFixed(2)}–${formatLevel(bedtimeRange.high)}`
+                        : `${Math.round(bedtimeRange.low)}–${Math.round(bedtimeRange.high)} mg`}
+                    </span>
+                  )}
                 </p>
                 <p className="text-sm text-gray-500 mt-1">
                   This is the combined caffeine from all your drinks
+                  {carryOverAtBedtime >= 0.5 && `, including ${carryOverAtBedtime.toFixed(1)} mg carried over from previous days`}
                 </p>
                 
                 {/* Zone Feedback */}
@@ -1613,6 +2776,46 @@ export default function CaffeineCalculator() {
                 })()}
               </div>
               
+              {compoundLevels.length > 0 && stimulantTotals && (
+                <div className={`p-4 rounded-lg ${isDarkMode ? 'bg-yellow-900' : 'bg-yellow-50'}`}>
+                  <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    Total stimulants at bedtime: <span className="font-bold text-yellow-700">{formatLevel(stimulantTotals.atBedtime, isConcentrationMode ? 2 : 1)}</span>
+                    <span className="text-sm text-gray-500 ml-2">caffeine-equivalent</span>
+                  </p>
+                  <ul className={`mt-2 space-y-1 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                    {compoundLevels.map(compound => (
+                      <li key={compound.key} className="flex justify-between max-w-sm">
+                        <span>{compound.label} (½-life {compound.halfLife} h, ×{compound.potency})</span>
+                        <span className="font-medium">{compound.atBedtime.toFixed(1)} mg left · {compound.dailyIntake} mg today</span>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="text-sm text-gray-500 mt-1">
+                    Chocolate and tea also contain theobromine and theophylline. Weighted by potency, today&apos;s total is about {Math.round(stimulantTotals.dailyIntake)} mg of caffeine.
+                  </p>
+                </div>
+              )}
+              
+              {sleepResults.length > 0 && (
+                <div className={`p-4 rounded-lg ${isDarkMode ? 'bg-indigo-900' : 'bg-indigo-50'}`}>
+                  <p className={`text-lg mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    Caffeine during each sleep period:
+                  </p>
+                  <div className="space-y-2">
+                    {sleepResults.map((period, index) => {
+                      const zone = getCaffeineZone(period.averageLevel)
+                      return (
+                        <p key={index} className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                          <span className="font-medium">{period.label || 'Sleep'} ({formatClockTime(period.start)}–{formatClockTime(period.end)}):</span>{' '}
+                          {formatLevel(period.levelAtStart, isConcentrationMode ? 2 : 1)} at the start,
+                          average <span className={`font-bold ${zone.color}`}>{formatLevel(period.averageLevel, isConcentrationMode ? 2 : 1)}</span> {zone.emoji}
+                        </p>
+                      )
+                    })}
+                  </div>
+                </div>
+              )}
+              
               <div className={`p-4 rounded-lg ${
                 isDarkMode ? 'bg-blue-900' : 'bg-blue-50'
               }`}>
@@ -1622,14 +2825,39 @@ export default function CaffeineCalculator() {
                   Your adjusted caffeine half-life: <span className="font-bold text-blue-600">{adjustedHalfLife.toFixed(1)} hours</span>
                 </p>
                 <p className="text-sm text-gray-500 mt-1">
-                  Based on your age, sex, and weight (base: 5.0 hours)
+                  Based on your personal information (base: 5.0 hours)
+                </p>
+                {halfLifeAdjustments.length > 0 && (
+                  <ul className={`mt-2 space-y-1 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                    {halfLifeAdjustments.map(adjustment => (
+                      <li key={adjustment.factor} className="flex justify-between max-w-sm">
+                        <span>{adjustment.label}</span>
+                        <span className="font-medium">
+                          {adjustment.multiplier
+                            ? `×${adjustment.multiplier}`
+                            : `${adjustment.hours > 0 ? '+' : '−'}${Math.abs(adjustment.hours)} h`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              
+              <div className={`p-4 rounded-lg ${isDarkMode ? 'bg-purple-900' : 'bg-purple-50'}`}>
+                <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  Caffeine tolerance: <span className="font-bold text-purple-600">{tolerance.label}</span>
+                </p>
+                <p className="text-sm text-gray-500 mt-1">
+                  {tolerance.dailyAverage === null
+                    ? `Log at least a week of drinks in the last ${TOLERANCE_WINDOW_DAYS} days to estimate it (${tolerance.loggedDays} logged so far)`
+                    : `About ${Math.round(tolerance.dailyAverage)} mg/day over ${tolerance.loggedDays} logged days recently, so caffeine feels about ${Math.round(tolerance.tolerance * 100)}% weaker to you`}
                 </p>
               </div>
               
               {individualCutoffs.length > 0 && (
                 <div className="p-4 bg-gray-50 rounded-lg">
                   <p className="text-lg text-gray-700 mb-3">
-                    Individual drink cutoff times (30mg threshold):
+                    Individual drink cutoff times ({formatLevel(sleepThreshold, isConcentrationMode ? 2 : 0)} threshold):
                   </p>
                   <div className="space-y-2">
                     {individualCutoffs.map((cutoff, index) => (
@@ -1639,34 +2867,734 @@ export default function CaffeineCalculator() {
                     ))}
                   </div>
                   <p className="text-xs text-gray-500 mt-2">
-                    Stop consuming each drink after its cutoff time to keep levels ≤30mg at bedtime
+                    Stop consuming each drink after its cutoff time to keep levels ≤{formatLevel(sleepThreshold, isConcentrationMode ? 2 : 0)} at bedtime
                   </p>
                 </div>
               )}
-            </div>
-          </div>
-        )}
+              
+              {scenarioResults.length > 0 && (
+                <div className={`p-4 rounded-lg overflow-x-auto ${isDarkMode ? 'bg-sky-900' : 'bg-sky-50'}`}>
+                  <p className={`text-lg mb-3 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    What-if comparison:
+                  </p>
+                  <table className={`w-full text-sm text-left ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    <thead>
+                      <tr>
+                        <th className="pr-4 pb-2"></th>
+                        <th className="pr-4 pb-2">As logged</th>
+                        {scenarioResults.map(scenario => (
+                          <th key={scenario.id} className="pr-4 pb-2">{scenario.name}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr>
+                        <td className="pr-4 py-1 font-medium">At bedtime</td>
+                        <td className="pr-4 py-1 font-bold">{formatLevel(result)}</td>
+                        {scenarioResults.map(scenario => (
+                          <td key={scenario.id} className={`pr-4 py-1 font-bold ${getCaffeineZone(scenario.bedtimeLevel).color}`}>
+                            {formatLevel(scenario.bedtimeLevel)}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr>
+                        <td className="pr-4 py-1 font-medium">Daily total</td>
+                        <td className="pr-4 py-1">{dailyIntake} mg</td>
+                        {scenarioResults.map(scenario => (
+                          <td key={scenario.id} className={`pr-4 py-1 ${scenario.dailyIntake >= thresholds.dailyLimit ? 'text-orange-600' : ''}`}>
+                            {scenario.dailyIntake} mg
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="align-top">
+                        <td className="pr-4 py-1 font-medium">Cutoffs</td>
+                        {[{ id: 'logged', cutoffs: individualCutoffs }, ...scenarioResults].map(column => (
+                          <td key={column.id} className="pr-4 py-1">
+                            {column.cutoffs.length === 0 ? '—' : column.cutoffs.map((cutoff, index) => (
+                              <div key={index}>{cutoff.name} ({cutoff.dose} mg): <span className="font-bold">{cutoff.cutoffTime}</span></div>
+                            ))}
+                          </td>
+                        ))}
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
         
-        {chartData && (
+        {allowance && (
           <div className={`rounded-lg shadow-md p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
-            <h2 className={`text-xl font-semibold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
-              Caffeine Levels Over {chartHours > 24 ? '48 Hours' : '24 Hours'}
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+              <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                How much can I still have?
+              </h2>
+              <div className="flex items-center gap-2">
+                {selectedDate === getTodayDate() && (
+                  <button
+                    type="button"
+                    onClick={() => setAllowanceTime('now')}
+                    className={`px-2 py-1 text-xs rounded ${
+                      allowanceTime === 'now'
+                        ? 'bg-blue-600 text-white' 
+                        : 'bg-gray-200 text-gray-700'
+                    }`}
+                  >
+                    Now
+                  </button>
+                )}
+                <input
+                  type="time"
+                  value={allowanceTime === 'now' ? '' : allowanceTime}
+                  onChange={(e) => setAllowanceTime(e.target.value || 'now')}
+                  className={`px-2 py-1 text-sm border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    isDarkMode 
+                      ? 'bg-gray-700 border-gray-600 text-white' 
+                      : 'bg-gray-50 border-gray-400 text-gray-900'
+                  }`}
+                  title="Check a different time"
+                />
+              </div>
+            </div>
+            
+            {allowance.limitedBy === 'bedtime' ? (
+              <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                That time is after your bedtime.
+              </p>
+            ) : (
+              <>
+                <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  {allowanceTime === 'now' && selectedDate === getTodayDate() ? 'Right now' : 'At that time'} you can have up to{' '}
+                  <span className="font-bold text-blue-600">{Math.floor(allowance.maxDose)} mg</span>
+                </p>
+                <p className="text-sm text-gray-500 mt-1">
+                  {allowance.limitedBy === 'daily'
+                    ? `Limited by your ${thresholds.dailyLimit} mg daily guideline`
+                    : `Keeps you under ${formatLevel(sleepThreshold, isConcentrationMode ? 2 : 0)} at bedtime`}
+                </p>
+                
+                {(allowance.fits.length > 0 || allowance.tooStrong.length > 0) && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                    <div className={`p-3 rounded-lg ${isDarkMode ? 'bg-green-900' : 'bg-green-50'}`}>
+                      <p className={`text-sm font-medium mb-2 ${isDarkMode ? 'text-green-300' : 'text-green-700'}`}>✅ Fits</p>
+                      {allowance.fits.length > 0 ? (
+                        allowance.fits.slice(0, 4).map(drink => (
+                          <p key={drink.name} className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                            {drink.name} — {drink.caffeine}mg
+                          </p>
+                        ))
+                      ) : (
+                        <p className="text-sm text-gray-500">Nothing caffeinated fits right now</p>
+                      )}
+                    </div>
+                    <div className={`p-3 rounded-lg ${isDarkMode ? 'bg-red-900' : 'bg-red-50'}`}>
+                      <p className={`text-sm font-medium mb-2 ${isDarkMode ? 'text-red-300' : 'text-red-700'}`}>❌ Too strong</p>
+                      {allowance.tooStrong.length > 0 ? (
+                        allowance.tooStrong.slice(0, 4).map(drink => (
+                          <p key={drink.name} className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                            {drink.name} — {drink.caffeine}mg
+                          </p>
+                        ))
+                      ) : (
+                        <p className="text-sm text-gray-500">Any drink on the list fits</p>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+        
+        {/* Day Planner */}
+        {effectiveBedtime && personalInfo.age && personalInfo.sex && personalInfo.weight && (
+          <div className={`rounded-lg shadow-md p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+            <div className="flex items-center justify-between">
+              <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                Plan My Day
+              </h2>
+              <button
+                type="button"
+                onClick={() => setShowPlanner(!showPlanner)}
+                className={`px-4 py-2 rounded-md font-medium transition duration-200 ${
+                  isDarkMode 
+                    ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' 
+                    : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                }`}
+              >
+                {showPlanner ? 'Hide' : 'Show'} Planner
+              </button>
+            </div>
+            
+            {showPlanner && (
+              <div className="mt-4 space-y-4">
+                <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  List the drinks you intend to have, in order. The planner spaces them out from when you wake up so that,
+                  together with what you&apos;ve already logged, you stay under {formatLevel(sleepThreshold, isConcentrationMode ? 2 : 0)} at bedtime ({bedtimeLabel}).
+                </p>
+                
+                <div className="max-w-xs">
+                  <label htmlFor="planner-wake-time" className={`block text-sm font-medium mb-2 ${
+                    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                  }`}>
+                    Wake Time
+                  </label>
+                  <input
+                    type="time"
+                    id="planner-wake-time"
+                    value={wakeTime}
+                    onChange={(e) => changeSleepTimes({ wakeTime: e.target.value })}
+                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      isDarkMode 
+                        ? 'bg-gray-700 border-gray-600 text-white' 
+                        : 'bg-gray-50 border-gray-400 text-gray-900'
+                    }`}
+                  />
+                </div>
+                
+                {plannedDrinks.map(drink => (
+                  <div key={drink.id} className="flex items-center gap-2">
+                    <select
+                      value={drink.name}
+                      onChange={(e) => {
+                        const option = drinkOptions.find(o => o.name === e.target.value)
+                        updatePlannedDrink(drink.id, { name: e.target.value, dose: option ? option.caffeine.toString() : drink.dose })
+                      }}
+                      className={`flex-1 px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        isDarkMode 
+                          ? 'bg-gray-700 border-gray-600 text-white' 
+                          : 'bg-gray-50 border-gray-400 text-gray-900'
+                      }`}
+                    >
+                      {drinkOptions.map(option => (
+                        <option key={option.name} value={option.name}>{option.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      value={drink.dose}
+                      onChange={(e) => updatePlannedDrink(drink.id, { dose: e.target.value })}
+                      className={`w-24 px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        isDarkMode 
+                          ? 'bg-gray-700 border-gray-600 text-white' 
+                          : 'bg-gray-50 border-gray-400 text-gray-900'
+                      }`}
+                      min="0"
+                      title="Caffeine (mg)"
+                    />
+                    <span className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>mg</span>
+                    <button
+                      type="button"
+                      onClick={() => removePlannedDrink(drink.id)}
+                      className="px-2 py-1 text-xs bg-red-100 hover:bg-red-200 text-red-700 rounded transition duration-200"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                
+                <button
+                  type="button"
+                  onClick={addPlannedDrink}
+                  className={`w-full border-2 border-dashed rounded-lg py-3 transition duration-200 ${
+                    isDarkMode 
+                      ? 'border-gray-600 text-gray-400 hover:border-blue-400 hover:text-blue-400' 
+                      : 'border-gray-300 text-gray-600 hover:border-blue-500 hover:text-blue-500'
+                  }`}
+                >
+                  + Add Drink to Plan
+                </button>
+                
+                {dayPlan && plannedDrinks.length > 0 && (dayPlan.feasible ? (
+                  <div className={`p-4 rounded-lg ${isDarkMode ? 'bg-green-900' : 'bg-green-50'}`}>
+                    <div className={`grid grid-cols-3 gap-2 text-sm font-medium mb-2 ${isDarkMode ? 'text-green-300' : 'text-green-700'}`}>
+                      <span>Drink</span>
+                      <span>Recommended</span>
+                      <span>Latest</span>
+                    </div>
+                    {dayPlan.schedule.map((drink, index) => (
+                      <div key={index} className={`grid grid-cols-3 gap-2 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        <span>{drink.name} ({drink.dose} mg)</span>
+                        <span className="font-bold">{formatClockTime(drink.recommendedTime)}</span>
+                        <span>{formatClockTime(drink.latestTime)}</span>
+                      </div>
+                    ))}
+                    <p className="text-xs text-gray-500 mt-2">
+                      Following the recommended times leaves about {formatLevel(dayPlan.bedtimeLevel, isConcentrationMode ? 2 : 0)} at bedtime.
+                      Latest times only work if every drink is pushed back together.
+                    </p>
+                  </div>
+                ) : (
+                  <div className={`p-4 rounded-lg ${isDarkMode ? 'bg-red-900' : 'bg-red-50'}`}>
+                    <p className={`text-sm font-medium mb-2 ${isDarkMode ? 'text-red-300' : 'text-red-700'}`}>
+                      ❌ No schedule keeps you under the limit, even drinking everything right after waking.
+                    </p>
+                    {dayPlan.suggestions.map((suggestion, index) => (
+                      <p key={index} className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        {index > 0 ? 'or ' : ''}{describePlanSuggestion(suggestion)}
+                      </p>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+        
+        {/* What-if Scenarios */}
+        {effectiveBedtime && personalInfo.age && personalInfo.sex && personalInfo.weight && (
+          <div className={`rounded-lg shadow-md p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+            <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              What If?
             </h2>
+            <div className="mt-4 space-y-4">
+              <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                Copy this day into a named scenario, such as &quot;skip the 4pm Red Bull&quot;, and change its drinks without touching your log.
+                Each scenario&apos;s total is drawn on the chart and compared with your logged day in the results.
+              </p>
+              
+              <div className="flex flex-col sm:flex-row gap-2">
+                <input
+                  type="text"
+                  value={scenarioName}
+                  onChange={(e) => setScenarioName(e.target.value)}
+                  placeholder={`Scenario ${scenarios.length + 1}`}
+                  className={`flex-1 px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    isDarkMode 
+                      ? 'bg-gray-700 border-gray-600 text-white' 
+                      : 'bg-gray-50 border-gray-400 text-gray-900'
+                  }`}
+                />
+                <button
+                  type="button"
+                  onClick={createScenario}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md font-medium transition duration-200"
+                >
+                  Copy Day as Scenario
+                </button>
+              </div>
+              
+              {scenarios.map(scenario => (
+                <div key={scenario.id} className={`p-4 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-white'}`}>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={scenario.name}
+                      onChange={(e) => updateScenario(scenario.id, { name: e.target.value })}
+                      className={`flex-1 px-3 py-2 border rounded-md font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        isDarkMode 
+                          ? 'bg-gray-700 border-gray-600 text-white' 
+                          : 'bg-gray-50 border-gray-400 text-gray-900'
+                      }`}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setEditingScenarioId(editingScenarioId === scenario.id ? null : scenario.id)}
+                      className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded transition duration-200"
+                    >
+                      {editingScenarioId === scenario.id ? 'Done' : `Edit (${scenario.drinks.length} drink${scenario.drinks.length !== 1 ? 's' : ''})`}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => deleteScenario(scenario.id)}
+                      className="px-2 py-1 text-xs bg-red-100 hover:bg-red-200 text-red-700 rounded transition duration-200"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                  
+                  {editingScenarioId === scenario.id && (
+                    <div className="mt-3 space-y-2">
+                      {scenario.drinks.map(drink => (
+                        <div key={drink.id} className="flex flex-col sm:flex-row sm:items-center gap-2">
+                          <select
+                            value={drink.name}
+                            onChange={(e) => {
+                              const option = drinkOptions.find(o => o.name === e.target.value)
+                              updateScenarioDrink(scenario, drink.id, {
+                                name: e.target.value,
+                                dose: option ? option.caffeine.toString() : drink.dose,
+                                compounds: option?.compounds || null
+                              })
+                            }}
+                            className={`flex-1 px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                              isDarkMode 
+                                ? 'bg-gray-700 border-gray-600 text-white' 
+                                : 'bg-gray-50 border-gray-400 text-gray-900'
+                            }`}
+                          >
+                            {!drinkOptions.some(option => option.name === drink.name) && (
+                              <option value={drink.name}>{drink.name}</option>
+                            )}
+                            {drinkOptions.map(option => (
+                              <option key={option.name} value={option.name}>{option.name}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            value={drink.dose}
+                            onChange={(e) => updateScenarioDrink(scenario, drink.id, {
+                              dose: e.target.value,
+                              compounds: scaleDrinkCompounds(drink, e.target.value)
+                            })}
+                            className={`sm:w-24 px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                              isDarkMode 
+                                ? 'bg-gray-700 border-gray-600 text-white' 
+                                : 'bg-gray-50 border-gray-400 text-gray-900'
+                            }`}
+                            min="0"
+                            title="Caffeine (mg)"
+                          />
+                          {['startTimeString', 'endTimeString'].map(field => (
+                            <input
+                              key={field}
+                              type="time"
+                              value={drink[field]}
+                              onChange={(e) => updateScenarioDrink(scenario, drink.id, { [field]: e.target.value })}
+                              className={`px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                              isDarkMode 
+                                ? 'bg-gray-700 border-gray-600 text-white' 
+                                : 'bg-gray-50 border-gray-400 text-gray-900'
+                            }`}
+                              title={field === 'startTimeString' ? 'Start time' : 'Finish time (optional)'}
+                            />
+                          ))}
+                          <button
+                            type="button"
+                            onClick={() => updateScenario(scenario.id, { drinks: scenario.drinks.filter(d => d.id !== drink.id) })}
+                            className="px-2 py-1 text-xs bg-red-100 hover:bg-red-200 text-red-700 rounded transition duration-200"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => addScenarioDrink(scenario)}
+                        className={`w-full border-2 border-dashed rounded-lg py-2 transition duration-200 ${
+                          isDarkMode 
+                            ? 'border-gray-600 text-gray-400 hover:border-blue-400 hover:text-blue-400' 
+                            : 'border-gray-300 text-gray-600 hover:border-blue-500 hover:text-blue-500'
+                        }`}
+                      >
+                        + Add Drink to Scenario
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        {/* Taper Plan */}
+        <div className={`rounded-lg shadow-md p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+          <div className="flex items-center justify-between">
+            <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Cut Down Gradually
+            </h2>
+            {taperPlan && (
+              <button
+                type="button"
+                onClick={endTaper}
+                className="px-2 py-1 text-xs bg-red-100 hover:bg-red-200 text-red-700 rounded transition duration-200"
+              >
+                End Plan
+              </button>
+            )}
+          </div>
+          
+          {!taperPlan ? (
+            <div className="mt-4 space-y-4">
+              <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                Reduce step by step from what you drink now to a target, with a daily budget you can check your log against.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {[
+                  { key: 'startAverage', label: 'Current Average (mg/day)', placeholder: currentAverage !== null ? Math.round(currentAverage).toString() : 'e.g. 400' },
+                  { key: 'target', label: 'Target (mg/day)', placeholder: 'e.g. 100' },
+                  { key: 'durationDays', label: 'Duration (days)', placeholder: '21' }
+                ].map(field => (
+                  <div key={field.key}>
+                    <label htmlFor={`taper-${field.key}`} className={`block text-sm font-medium mb-2 ${
+                      isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                    }`}>
+                      {field.label}
+                    </label>
+                    <input
+                      type="number"
+                      id={`taper-${field.key}`}
+                      value={taperDraft[field.key]}
+                      onChange={(e) => setTaperDraft({ ...taperDraft, [field.key]: e.target.value })}
+                      placeholder={field.placeholder}
+                      className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        isDarkMode 
+                          ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' 
+                          : 'bg-gray-50 border-gray-400 text-gray-900'
+                      }`}
+                      min="0"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                {currentAverage !== null
+                  ? `Your logged average over the last ${TAPER_AVERAGE_DAYS} days is ${Math.round(currentAverage)} mg/day; leave the first field empty to use it.`
+                  : `No drinks logged in the last ${TAPER_AVERAGE_DAYS} days, so enter your usual daily amount.`}
+              </p>
+              <button
+                type="button"
+                onClick={startTaper}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition duration-200"
+              >
+                Start Plan
+              </button>
+            </div>
+          ) : taperReport && (
+            <div className="mt-4 space-y-4">
+              <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                {Math.round(taperPlan.startAverage)} → {taperPlan.target} mg/day over {taperPlan.durationDays} days ·{' '}
+                {taperReport.isComplete ? 'Finished' : `Day ${Math.max(1, taperReport.daysElapsed)} of ${taperPlan.durationDays}`}
+              </p>
+              
+              {taperReport.today && (
+                <div className={`p-4 rounded-lg ${
+                  taperReport.today.status === 'over'
+                    ? (isDarkMode ? 'bg-orange-900' : 'bg-orange-50')
+                    : (isDarkMode ? 'bg-green-900' : 'bg-green-50')
+                }`}>
+                  <p className={`text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    Today&apos;s budget: <span className="font-bold">{taperReport.today.budget} mg</span>
+                    <span className="text-sm text-gray-500 ml-2">
+                      ({taperReport.today.logged ?? 0} mg logged{taperReport.today.status === 'over' ? ', over budget' : ''})
+                    </span>
+                  </p>
+                </div>
+              )}
+              
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Progress toward target</p>
+                  <div className="w-full bg-gray-300 rounded-full h-2 mt-1">
+                    <div className="h-2 rounded-full bg-green-500" style={{ width: `${Math.round(taperReport.progress * 100)}%` }}></div>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">{Math.round(taperReport.progress * 100)}% of the planned reduction</p>
+                </div>
+                <div>
+                  <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Days within budget</p>
+                  <p className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                    {taperReport.adherence === null ? '–' : `${Math.round(taperReport.adherence * 100)}%`}
+                  </p>
+                </div>
+              </div>
+              
+              {taperReport.withdrawalDays.length > 0 && (
+                <p className={`text-sm ${isDarkMode ? 'text-orange-300' : 'text-orange-700'}`}>
+                  ⚠️ Withdrawal (headaches, tiredness) is likely around{' '}
+                  {taperReport.withdrawalDays.map(day => new Date(`${day.date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })).join(', ')}
+                  , where the budget drops sharply. A longer plan makes the steps gentler.
+                </p>
+              )}
+              
+              <button
+                type="button"
+                onClick={() => setShowTaperSchedule(!showTaperSchedule)}
+                className="text-sm text-blue-600 hover:underline"
+              >
+                {showTaperSchedule ? 'Hide' : 'Show'} day-by-day schedule
+              </button>
+              
+              {showTaperSchedule && (
+                <div className="space-y-1">
+                  {taperReport.days.map(day => (
+                    <div key={day.date} className={`grid grid-cols-4 gap-2 text-sm ${
+                      day.date === getTodayDate() ? 'font-bold' : ''
+                    } ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                      <span>{new Date(`${day.date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+                      <span>{day.budget} mg</span>
+                      <span>{day.logged === null ? '–' : `${day.logged} mg`}</span>
+                      <span>
+                        {{ 'on-track': '✅', over: '⚠️', missing: '❔', upcoming: '' }[day.status]}
+                        {day.withdrawalRisk && ' 🤕'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+        
+        {/* Alertness Maintenance */}
+        {personalInfo.age && personalInfo.sex && personalInfo.weight && (
+          <div className={`rounded-lg shadow-md p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+            <div className="flex items-center justify-between">
+              <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                Stay Alert
+              </h2>
+              <button
+                type="button"
+                onClick={() => changeAlertnessSettings({ ...alertnessSettings, enabled: !alertnessSettings.enabled })}
+                className={`px-4 py-2 rounded-md font-medium transition duration-200 ${
+                  isDarkMode 
+                    ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' 
+                    : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                }`}
+              >
+                {alertnessSettings.enabled ? 'Turn Off' : 'Turn On'}
+              </button>
+            </div>
+            
+            {alertnessSettings.enabled && (
+              <div className="mt-4 space-y-4">
+                <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  Set the hours you need to stay sharp and the minimum level that works for you. The fewest doses that
+                  keep you above it are suggested, within your daily limit and the bedtime threshold.
+                </p>
+                
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {[
+                    { key: 'start', label: 'From', type: 'time' },
+                    { key: 'end', label: 'Until', type: 'time' },
+                    { key: 'floor', label: 'Minimum Level (mg)', type: 'number' }
+                  ].map(field => (
+                    <div key={field.key}>
+                      <label htmlFor={`alertness-${field.key}`} className={`block text-sm font-medium mb-2 ${
+                        isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                      }`}>
+                        {field.label}
+                      </label>
+                      <input
+                        type={field.type}
+                        id={`alertness-${field.key}`}
+                        value={alertnessSettings[field.key]}
+                        onChange={(e) => changeAlertnessSettings({ ...alertnessSettings, [field.key]: e.target.value })}
+                        className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                          isDarkMode 
+                            ? 'bg-gray-700 border-gray-600 text-white' 
+                            : 'bg-gray-50 border-gray-400 text-gray-900'
+                        }`}
+                        min={field.type === 'number' ? '1' : undefined}
+                      />
+                    </div>
+                  ))}
+                </div>
+                
+                {alertnessPlan && (
+                  <div className={`p-4 rounded-lg ${
+                    alertnessPlan.covered
+                      ? (isDarkMode ? 'bg-green-900' : 'bg-green-50')
+                      : (isDarkMode ? 'bg-orange-900' : 'bg-orange-50')
+                  }`}>
+                    {alertnessPlan.doses.length === 0 && alertnessPlan.covered && (
+                      <p className={`text-sm ${isDarkMode ? 'text-green-300' : 'text-green-700'}`}>
+                        ✅ What you&apos;ve already logged keeps you above {formatLevel(alertnessPlan.floor, isConcentrationMode ? 2 : 0)} the whole time.
+                      </p>
+                    )}
+                    {alertnessPlan.doses.map((dose, index) => {
+                      const example = findDrinksThatFit(drinkOptions, dose.dose).fits[0]
+                      return (
+                        <p key={index} className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                          ☕ <span className="font-bold">{dose.dose} mg</span> at <span className="font-bold">{formatClockTime(dose.time)}</span>
+                          {example && <span className="text-gray-500"> (e.g. {example.name}, {example.caffeine} mg)</span>}
+                        </p>
+                      )
+                    })}
+                    {alertnessPlan.gaps.map((gap, index) => (
+                      <p key={index} className={`text-sm mt-1 ${isDarkMode ? 'text-orange-300' : 'text-orange-700'}`}>
+                        ⚠️ Below your minimum {formatClockTime(gap.start)}–{formatClockTime(gap.end)}
+                        {alertnessPlan.limitedBy === 'sleep' && ' — more caffeine would put you over the bedtime threshold'}
+                        {alertnessPlan.limitedBy === 'daily' && ' — more caffeine would exceed your daily limit'}
+                      </p>
+                    ))}
+                    {alertnessPlan.bedtimeLevel !== null && (
+                      <p className="text-xs text-gray-500 mt-2">
+                        With these doses you&apos;d have about {formatLevel(alertnessPlan.bedtimeLevel, isConcentrationMode ? 2 : 0)} at bedtime.
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+        
+        {chartData && (
+          <div className={`rounded-lg shadow-md p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                Caffeine Levels Over {chartHours > 24 ? '48 Hours' : '24 Hours'}
+              </h2>
+              <div className="flex space-x-2" title="Overlay each drink's curve or stack them to see what each adds to the total">
+                {[['lines', 'Lines'], ['stacked', 'Stacked']].map(([view, label]) => (
+                  <button
+                    key={view}
+                    type="button"
+                    onClick={() => changeChartView(view)}
+                    className={`px-2 py-1 text-xs rounded ${
+                      chartView === view
+                        ? 'bg-blue-600 text-white' 
+                        : 'bg-gray-200 text-gray-700'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+                <span className="w-2" />
+                {[['Zoom in', '+', 0.5], ['Zoom out', '−', 2]].map(([title, label, factor]) => (
+                  <button
+                    key={title}
+                    type="button"
+                    title={title}
+                    onClick={() => zoomChart(factor)}
+                    className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700"
+                  >
+                    {label}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setChartRange(null)}
+                  disabled={!chartRange}
+                  className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700 disabled:opacity-50"
+                >
+                  Reset
+                </button>
+              </div>
+            </div>
             <p className={`text-sm mb-4 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-              Each line represents a different drink. The chart shows how caffeine from each drink decays over time.
+              {chartView === 'stacked'
+                ? 'Each colored area is one drink, stacked so the top edge is your total.'
+                : 'Each line represents a different drink. The chart shows how caffeine from each drink decays over time.'}
+              {" The bold orange line is the total in your body; hover to see what each drink contributes."}
+              {carryOverAtBedtime >= 0.5 && " The dashed grey area is caffeine still in your system from previous days."}
+              {" The shaded band shows the likely range of your total, since half-life varies widely between people."}
               {chartHours > 24 && " The chart extends to 48 hours to show bedtimes and caffeine effects past midnight."}
+              {" Green, orange and red shading marks the safe, caution and high-risk zones; triangles along the bottom show when each drink was started and finished (drag them to reschedule a logged drink), and the blue line is now."}
+              {" Scroll over the chart to zoom in on a time and drag to pan."}
             </p>
             <div className={`h-96 ${isDarkMode ? 'dark' : ''}`}>
               <Line
                 data={chartData}
-                plugins={[verticalLinePlugin]}
+                plugins={[
+                  annotationStripPlugin,
+                  zoneBandsPlugin,
+                  sleepPeriodsPlugin,
+                  verticalLinePlugin,
+                  nowLinePlugin,
+                  intakeMarkersPlugin,
+                  thresholdCrossingPlugin,
+                  zoomPanPlugin
+                ]}
+                style={{ touchAction: 'pan-y' }}
                 options={{
                   responsive: true,
                   maintainAspectRatio: false,
                   elements: {
                     point: {
-                      radius: 2.5,                         // small dots for minimal clutter
-                      hoverRadius: 6,                      // expand on hover
+                      radius: 0,                           // samples every 10 minutes, too dense for dots
+                      hoverRadius: 5,                      // show the hovered sample
                       backgroundColor: (ctx) =>
                         ctx.chart.canvas.classList.contains('dark')
                           ? 'rgba(255,255,255,0.85)'       // bright dots for dark mode
@@ -1681,7 +3609,7 @@ export default function CaffeineCalculator() {
                     },
                   },
                   interaction: {
-                    mode: 'nearest',
+                    mode: 'index',                         // hover shows every drink at that time
                     intersect: false,
                   },
                   plugins: {
@@ -1691,7 +3619,10 @@ export default function CaffeineCalculator() {
                     },
                     legend: {
                       display: true,
-                      position: 'top'
+                      position: 'top',
+                      labels: {
+                        filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend
+                      }
                     },
                     tooltip: {
                       backgroundColor: (ctx) =>
@@ -1708,10 +3639,53 @@ export default function CaffeineCalculator() {
                       padding: 10,
                       displayColors: true,
                       usePointStyle: true,
+                      // Per-drink breakdown at the hovered time, total first
+                      filter: (item) => !item.dataset.hideInTooltip && item.parsed.y !== null &&
+                        (item.dataset.isTotal || item.parsed.y >= 0.05),
+                      itemSort: (a, b) => (b.dataset.isTotal ? 1 : 0) - (a.dataset.isTotal ? 1 : 0),
+                      callbacks: {
+                        title: (items) => items.length > 0 ? formatChartHours(items[0].parsed.x) : '',
+                        label: (item) => formatTooltipLabel(item, {
+                          unit: isConcentrationMode ? 'mg/L' : 'mg',
+                          digits: isConcentrationMode ? 2 : 1
+                        })
+                      }
                     },
                     verticalLine: {
-                      bedtime: bedtime,
-                      chartHours: chartHours
+                      // Sleep periods are drawn as bands instead of a bedtime line
+                      bedtimeHours: sleepMode === 'bedtime' && bedtime
+                        ? toChartHours(getBedtimeDate(bedtime, selectedDate))
+                        : null
+                    },
+                    sleepPeriods: {
+                      periods: resolvedSleepPeriods.map(period => ({
+                        label: period.label,
+                        startHours: toChartHours(period.start),
+                        endHours: toChartHours(period.end)
+                      }))
+                    },
+                    zoneBands: {
+                      zones: [
+                        { zone: 'safe', label: 'Safe', from: 0, to: zoneLimits.sleep },
+                        { zone: 'caution', label: 'Caution', from: zoneLimits.sleep, to: zoneLimits.caution },
+                        { zone: 'high-risk', label: 'High risk', from: zoneLimits.caution, to: Infinity }
+                      ]
+                    },
+                    nowLine: {
+                      hours: toChartHours(now)
+                    },
+                    intakeMarkers: {
+                      onDrag: handleIntakeDrag,
+                      onDrop: handleIntakeDrop
+                    },
+                    thresholdCrossing: {
+                      // The same threshold as the cutoffs, allowance and planner
+                      value: zoneLimits.sleep,
+                      label: `Below ${formatLevel(sleepThreshold, isConcentrationMode ? 2 : 0)}`
+                    },
+                    zoomPan: {
+                      limits: { min: 0, max: chartHours, minRange: 0.5 },
+                      onRangeChange: setChartRange
                     }
                   },
                   layout: {
@@ -1720,12 +3694,21 @@ export default function CaffeineCalculator() {
                   scales: {
                     y: {
                       beginAtZero: true,
+                      stacked: chartView === 'stacked',
                       title: {
                         display: true,
-                        text: 'Caffeine (mg)'
+                        text: isConcentrationMode ? 'Estimated blood concentration (mg/L)' : 'Caffeine (mg)'
                       }
                     },
                     x: {
+                      type: 'linear',
+                      min: visibleRange.min,
+                      max: visibleRange.max,
+                      ticks: {
+                        stepSize: getTimeStep(visibleRange.max - visibleRange.min),
+                        includeBounds: false,              // keep ticks on whole clock times
+                        callback: (value) => formatChartHours(value)
+                      },
                       title: {
                         display: true,
                         text: chartHours > 24 ? 'Time (24-hour format, +1 indicates next day)' : 'Time (24-hour format)'
@@ -1772,18 +3755,18 @@ export default function CaffeineCalculator() {
                           {day.dateDisplay}
                           {day.isToday && <span className="ml-1 text-xs">(Today)</span>}
                         </span>
-                        {day.total >= 400 && <span className="text-orange-600">⚠️</span>}
+                        {day.total >= thresholds.dailyLimit && <span className="text-orange-600">⚠️</span>}
                       </div>
                       <div className="flex items-center space-x-3">
-                        <span className={`font-bold ${day.total >= 400 ? 'text-orange-600' : isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                        <span className={`font-bold ${day.total >= thresholds.dailyLimit ? 'text-orange-600' : isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
                           {day.total} mg
                         </span>
                         <div className="w-32 bg-gray-300 rounded-full h-2">
                           <div 
                             className={`h-2 rounded-full transition-all ${
-                              day.total >= 400 ? 'bg-orange-600' : 'bg-blue-600'
+                              day.total >= thresholds.dailyLimit ? 'bg-orange-600' : 'bg-blue-600'
                             }`}
-                            style={{ width: `${Math.min((day.total / 600) * 100, 100)}%` }}
+                            style={{ width: `${Math.min((day.total / thresholds.dailyWarning) * 100, 100)}%` }}
                           />
                         </div>
                       </div>
@@ -1800,6 +3783,274 @@ export default function CaffeineCalculator() {
           </div>
         )}
         
+        {/* Backup & Restore */}
+        <div className={`rounded-lg shadow-md p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+          <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+            Backup &amp; Restore
+          </h2>
+          <p className={`mt-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            Save every logged day and your settings to one file, then restore it in another browser or on a new phone.
+          </p>
+          <div className="mt-4 flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={downloadBackup}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition duration-200"
+            >
+              Download Backup
+            </button>
+            <label className={`cursor-pointer font-medium py-2 px-4 rounded-md transition duration-200 ${
+              isDarkMode 
+                ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' 
+                : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+            }`}>
+              Restore from File
+              <input type="file" accept="application/json,.json" onChange={handleBackupFile} className="hidden" />
+            </label>
+          </div>
+          
+          {backupError && (
+            <p className="mt-3 text-sm text-red-600">{backupError}</p>
+          )}
+          
+          {backupRestore && restorePlan && (
+            <div className={`mt-4 p-4 rounded-lg space-y-3 ${isDarkMode ? 'bg-gray-700' : 'bg-white'}`}>
+              <p className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <span className="font-medium">{backupRestore.fileName}</span>
+                {backupRestore.backup.exportedAt && ` · saved ${new Date(backupRestore.backup.exportedAt).toLocaleString()}`}
+                {' · '}{Object.keys(backupRestore.backup.days).length} logged days
+              </p>
+              
+              <div className="flex space-x-2">
+                {[['merge', 'Merge'], ['replace', 'Replace']].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    type="button"
+                    onClick={() => setRestoreMode(mode)}
+                    className={`px-2 py-1 text-xs rounded ${
+                      restoreMode === mode
+                        ? 'bg-blue-600 text-white' 
+                        : 'bg-gray-200 text-gray-700'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                {restoreMode === 'merge'
+                  ? 'Keeps everything here and adds what only the backup has. Your current settings stay; custom drinks are combined.'
+                  : 'Makes this browser match the backup: days missing from it are removed and its settings are used.'}
+              </p>
+              
+              <p className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                {restorePlan.summary.daysAdded} days added, {restorePlan.summary.daysChanged} changed, {restorePlan.summary.daysRemoved} removed
+                {' · '}{restorePlan.summary.drinksAdded} drinks added, {restorePlan.summary.drinksUpdated} updated, {restorePlan.summary.drinksRemoved} removed
+              </p>
+              
+              {restorePlan.summary.conflicts.length > 0 && (
+                <p className={`text-sm ${isDarkMode ? 'text-orange-300' : 'text-orange-700'}`}>
+                  ⚠️ {restorePlan.summary.conflicts.length} {restorePlan.summary.conflicts.length === 1 ? 'day is' : 'days are'} logged
+                  differently here and in the backup:{' '}
+                  {restorePlan.summary.conflicts.slice(0, 10).map(date => (
+                    new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+                  )).join(', ')}
+                  {restorePlan.summary.conflicts.length > 10 && ` and ${restorePlan.summary.conflicts.length - 10} more`}.
+                  {restoreMode === 'merge' ? ' Merging keeps both sets of drinks on those days.' : " Replacing keeps only the backup's drinks."}
+                </p>
+              )}
+              
+              {backupRestore.rejected.length > 0 && (
+                <p className="text-xs text-gray-500">
+                  {backupRestore.rejected.length} unreadable {backupRestore.rejected.length === 1 ? 'entry' : 'entries'} in the file will be skipped.
+                </p>
+              )}
+              
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={confirmRestore}
+                  className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition duration-200"
+                >
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setBackupRestore(null)}
+                  className={`font-medium py-2 px-4 rounded-md transition duration-200 ${
+                    isDarkMode 
+                      ? 'bg-gray-600 hover:bg-gray-500 text-gray-300' 
+                      : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                  }`}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+        
+        {/* CSV Export & Import */}
+        <div className={`rounded-lg shadow-md p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+          <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+            Spreadsheet Export &amp; Import
+          </h2>
+          <p className={`mt-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            Export your log as CSV, one row per drink, or bring in drinks logged with another tracker.
+          </p>
+          
+          <div className="mt-4 flex flex-wrap items-end gap-4">
+            {[['start', 'From'], ['end', 'To']].map(([key, label]) => (
+              <div key={key}>
+                <label htmlFor={`csv-${key}`} className={`block text-sm font-medium mb-2 ${
+                  isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                }`}>
+                  {label}
+                </label>
+                <input
+                  type="date"
+                  id={`csv-${key}`}
+                  value={csvRange[key]}
+                  onChange={(e) => e.target.value && setCsvRange({ ...csvRange, [key]: e.target.value })}
+                  className={`px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    isDarkMode 
+                      ? 'bg-gray-700 border-gray-600 text-white' 
+                      : 'bg-gray-50 border-gray-400 text-gray-900'
+                  }`}
+                />
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={downloadCsv}
+              disabled={csvRange.start > csvRange.end}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition duration-200"
+            >
+              Export CSV
+            </button>
+            <label className={`cursor-pointer font-medium py-2 px-4 rounded-md transition duration-200 ${
+              isDarkMode 
+                ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' 
+                : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+            }`}>
+              Import CSV
+              <input type="file" accept="text/csv,.csv,.txt" onChange={handleCsvFile} className="hidden" />
+            </label>
+          </div>
+          
+          {csvError && (
+            <p className="mt-3 text-sm text-red-600">{csvError}</p>
+          )}
+          
+          {csvImport && csvPlan && (
+            <div className={`mt-4 p-4 rounded-lg space-y-4 ${isDarkMode ? 'bg-gray-700' : 'bg-white'}`}>
+              <p className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <span className="font-medium">{csvImport.fileName}</span> · {csvImport.rows.length} rows
+              </p>
+              
+              {/* Column mapping and formats */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {CSV_FIELDS.map(field => (
+                  <div key={field}>
+                    <label htmlFor={`csv-map-${field}`} className={`block text-xs font-medium mb-1 ${
+                      isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                    }`}>
+                      {CSV_FIELD_LABELS[field]}
+                    </label>
+                    <select
+                      id={`csv-map-${field}`}
+                      value={csvImport.mapping[field] ?? ''}
+                      onChange={(e) => changeCsvMapping(field, e.target.value === '' ? null : Number(e.target.value))}
+                      className={`w-full px-2 py-1 text-sm border rounded-md ${
+                        isDarkMode ? 'bg-gray-600 border-gray-500 text-white' : 'bg-gray-50 border-gray-400 text-gray-900'
+                      }`}
+                    >
+                      <option value="">Not in file</option>
+                      {csvImport.header.map((name, index) => (
+                        <option key={index} value={index}>{name || `Column ${index + 1}`}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                {[['dateFormat', 'Date format', DATE_FORMATS], ['timeFormat', 'Time format', TIME_FORMATS]].map(([key, label, formats]) => (
+                  <div key={key}>
+                    <label htmlFor={`csv-${key}`} className={`block text-xs font-medium mb-1 ${
+                      isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                    }`}>
+                      {label}
+                    </label>
+                    <select
+                      id={`csv-${key}`}
+                      value={csvImport[key]}
+                      onChange={(e) => setCsvImport({ ...csvImport, [key]: e.target.value })}
+                      className={`w-full px-2 py-1 text-sm border rounded-md ${
+                        isDarkMode ? 'bg-gray-600 border-gray-500 text-white' : 'bg-gray-50 border-gray-400 text-gray-900'
+                      }`}
+                    >
+                      {Object.entries(formats).map(([format, { label: example }]) => (
+                        <option key={format} value={format}>{example}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              
+              <p className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                {csvPlan.imported} {csvPlan.imported === 1 ? 'drink' : 'drinks'} will be added to {csvPlan.days.length} {csvPlan.days.length === 1 ? 'day' : 'days'}
+                {csvPlan.duplicates > 0 && ` · ${csvPlan.duplicates} already logged, skipped`}
+                {csvPlan.errors.length > 0 && ` · ${csvPlan.errors.length} with problems, skipped`}
+              </p>
+              
+              {csvPlan.days.length > 0 && (
+                <div className="space-y-1">
+                  {csvPlan.days.flatMap(day => day.drinks.map(drink => ({ date: day.date, drink }))).slice(0, 8).map(({ date, drink }, index) => (
+                    <div key={index} className={`grid grid-cols-4 gap-2 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                      <span>{new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</span>
+                      <span className="truncate">{drink.name}</span>
+                      <span>{drink.dose} mg</span>
+                      <span>{drink.startTimeString}{drink.endTimeString && `–${drink.endTimeString}`}</span>
+                    </div>
+                  ))}
+                  {csvPlan.imported > 8 && (
+                    <p className="text-xs text-gray-500">and {csvPlan.imported - 8} more</p>
+                  )}
+                </div>
+              )}
+              
+              {csvPlan.errors.length > 0 && (
+                <ul className={`text-xs space-y-1 ${isDarkMode ? 'text-orange-300' : 'text-orange-700'}`}>
+                  {csvPlan.errors.slice(0, 20).map(({ line, error }) => (
+                    <li key={line}>Line {line}: {error}</li>
+                  ))}
+                  {csvPlan.errors.length > 20 && <li>and {csvPlan.errors.length - 20} more</li>}
+                </ul>
+              )}
+              
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={confirmCsvImport}
+                  disabled={csvPlan.imported === 0}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-md transition duration-200"
+                >
+                  Import {csvPlan.imported} {csvPlan.imported === 1 ? 'Drink' : 'Drinks'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setCsvImport(null)}
+                  className={`font-medium py-2 px-4 rounded-md transition duration-200 ${
+                    isDarkMode 
+                      ? 'bg-gray-600 hover:bg-gray-500 text-gray-300' 
+                      : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                  }`}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+        
         {/* Disclaimer Footer */}
         <div className="mt-12 pt-6 border-t border-gray-200">
           <p className="text-xs text-gray-500 text-center leading-relaxed">
@@ -1879,6 +4130,43 @@ export default function CaffeineCalculator() {
                   step="1"
                 />
               </div>
+
+              {/* Other stimulants */}
+              <div>
+                <label className={`block text-sm font-medium mb-2 ${
+                  isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                }`}>
+                  Other Stimulants (Optional)
+                </label>
+                <div className="grid grid-cols-2 gap-3">
+                  {Object.entries(SECONDARY_COMPOUNDS).map(([key, compound]) => (
+                    <div key={key}>
+                      <label className={`block text-xs mb-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {compound.label} (mg)
+                      </label>
+                      <input
+                        type="number"
+                        value={customDrinkForm.compounds[key]}
+                        onChange={(e) => setCustomDrinkForm({
+                          ...customDrinkForm,
+                          compounds: { ...customDrinkForm.compounds, [key]: e.target.value }
+                        })}
+                        className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                          isDarkMode 
+                            ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' 
+                            : 'bg-white border-gray-300 text-gray-900'
+                        }`}
+                        placeholder="0"
+                        min="0"
+                        step="0.1"
+                      />
+                    </div>
+                  ))}
+                </div>
+                <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Per serving, e.g. theobromine in chocolate drinks or theophylline in tea
+                </p>
+              </div>
               
               {/* Category */}
               <div>
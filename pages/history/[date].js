@@ -1,13 +1,67 @@
+import { useEffect, useState } from 'react'
 import { useRouter } from 'next/router'
 import Link from 'next/link'
-import { loadDailyData, getTodayDate } from '../../utils/storage'
+import {
+  loadDailyData,
+  getTodayDate,
+  loadPersonalInfo,
+  loadThresholdSettings,
+  loadSleepSchedule,
+  loadSleepMode,
+  loadSleepPeriods,
+  loadAbsorptionModel,
+  loadPreviousDays,
+  describeStorageError
+} from '../../utils/storage'
+import { resolveThresholds } from '../../utils/thresholds'
+import { resolveSleepSchedule, WEEKDAY_LABELS } from '../../utils/sleepSchedule'
+import {
+  CARRY_OVER_DAYS,
+  calculateAdjustedHalfLife,
+  calculateCarryOverAt,
+  calculateTotalCaffeineAtBedtime,
+  getMainSleepPeriod,
+  resolveSleepPeriods,
+  formatClockTime,
+  getBedtimeDate
+} from '../../utils/engine'
 
 export default function HistoryDatePage() {
   const router = useRouter()
   const { date } = router.query
+  const [dayLog, setDayLog] = useState(null) // { drinks, previousDays } once loaded from storage
+  const [loadError, setLoadError] = useState(null) // Why storage couldn't be read
 
-  // Show loading while router is ready
-  if (!router.isReady) {
+  // Load the drinks for this specific date, plus the days before it for carry-over
+  useEffect(() => {
+    if (!router.isReady) return
+    let isCurrent = true
+    Promise.all([loadDailyData(date), loadPreviousDays(date, CARRY_OVER_DAYS)]).then(([drinks, previousDays]) => {
+      if (isCurrent) setDayLog({ drinks, previousDays })
+    }).catch(error => {
+      console.error('Storage error:', error)
+      if (isCurrent) setLoadError(describeStorageError(error))
+    })
+    return () => {
+      isCurrent = false
+    }
+  }, [router.isReady, date])
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="max-w-md p-4 rounded-lg border bg-red-50 border-red-200 text-center">
+          <p className="text-sm font-medium text-red-700 mb-3">⚠️ {loadError}</p>
+          <Link href="/" className="text-sm text-blue-600 hover:underline">
+            ← Back to Calculator
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  // Show loading while router and storage are ready
+  if (!router.isReady || !dayLog) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-lg text-gray-600">Loading...</div>
@@ -15,10 +69,31 @@ export default function HistoryDatePage() {
     )
   }
 
-  // Load the drinks for this specific date
-  const drinks = loadDailyData(date)
+  const { drinks, previousDays } = dayLog
   const totalCaffeine = drinks.reduce((sum, drink) => sum + drink.dose, 0)
 
+  // Daily limits from the user's settings
+  const { personalInfo, units } = loadPersonalInfo()
+  const thresholds = resolveThresholds(loadThresholdSettings(), personalInfo, units)
+
+  // Caffeine left at the bedtime that applied to this date. As on the calculator, sleep periods
+  // replace the weekly schedule and the main one's start acts as bedtime
+  const schedule = resolveSleepSchedule(loadSleepSchedule(), date)
+  const isPeriodsMode = loadSleepMode() === 'periods'
+  const mainSleep = isPeriodsMode ? getMainSleepPeriod(resolveSleepPeriods(loadSleepPeriods(date))) : null
+  const bedtime = isPeriodsMode ? (mainSleep && mainSleep.start) : schedule.bedtime
+  const bedtimeSource = isPeriodsMode
+    ? 'main sleep period'
+    : (schedule.isOverride ? 'set for this date' : `${WEEKDAY_LABELS[schedule.weekday]} schedule`)
+  const hasProfile = personalInfo.age && personalInfo.sex && personalInfo.weight
+  let bedtimeLevel = null
+  if (bedtime && hasProfile) {
+    const halfLife = calculateAdjustedHalfLife(personalInfo, units)
+    const kinetics = { model: loadAbsorptionModel() }
+    bedtimeLevel = calculateTotalCaffeineAtBedtime(drinks, bedtime, halfLife, date, kinetics) +
+      calculateCarryOverAt(previousDays, getBedtimeDate(bedtime, date), halfLife, kinetics)
+  }
+
   // Format the date for display
   const formatDate = (dateStr) => {
     if (!dateStr) return ''
@@ -62,15 +137,30 @@ export default function HistoryDatePage() {
                 <div className="text-2xl font-bold text-gray-800">
                   {totalCaffeine} mg
                 </div>
-                {totalCaffeine >= 400 && (
+                {totalCaffeine >= thresholds.dailyLimit && (
                   <span className="text-orange-600 text-sm bg-orange-50 px-2 py-1 rounded-full">
-                    ⚠️ Above 400mg guideline
+                    ⚠️ Above {thresholds.dailyLimit}mg guideline
                   </span>
                 )}
               </div>
             ) : (
               <p className="text-gray-500">No caffeine logged</p>
             )}
+            
+            {bedtime && (
+              <p className="text-sm text-gray-600 mt-2">
+                Bedtime {formatClockTime(getBedtimeDate(bedtime, date))}
+                <span className="text-gray-400"> ({bedtimeSource})</span>
+                {bedtimeLevel !== null && (
+                  <>
+                    {' · '}
+                    <span className={bedtimeLevel < thresholds.sleep ? 'text-green-600' : 'text-orange-600'}>
+                      {bedtimeLevel.toFixed(1)} mg left at bedtime {bedtimeLevel < thresholds.sleep ? '✅' : '⚠️'}
+                    </span>
+                  </>
+                )}
+              </p>
+            )}
           </div>
         </div>
 
@@ -99,7 +189,7 @@ export default function HistoryDatePage() {
                           {drink.name}
                         </h4>
                         <p className="text-sm text-gray-500">
-                          {new Date(`2000-01-01T${drink.time}`).toLocaleTimeString([], {
+                          {new Date(`2000-01-01T${drink.startTimeString}`).toLocaleTimeString([], {
                             hour: 'numeric',
                             minute: '2-digit',
                             hour12: true
@@ -126,17 +216,17 @@ export default function HistoryDatePage() {
                   <span className="text-lg font-semibold text-gray-700">
                     Total Daily Intake:
                   </span>
-                  <span className={`text-xl font-bold ${totalCaffeine >= 400 ? 'text-orange-600' : 'text-gray-800'}`}>
+                  <span className={`text-xl font-bold ${totalCaffeine >= thresholds.dailyLimit ? 'text-orange-600' : 'text-gray-800'}`}>
                     {totalCaffeine} mg
                   </span>
                 </div>
                 
                 {totalCaffeine > 0 && (
                   <div className="mt-2 text-sm text-gray-600">
-                    {totalCaffeine < 400 ? (
+                    {totalCaffeine < thresholds.dailyLimit ? (
                       <span className="text-green-600">✅ Within safe daily limits</span>
-                    ) : totalCaffeine < 600 ? (
-                      <span className="text-orange-600">⚠️ Above typical safe guideline (400mg)</span>
+                    ) : totalCaffeine < thresholds.dailyWarning ? (
+                      <span className="text-orange-600">⚠️ Above your daily guideline ({thresholds.dailyLimit}mg)</span>
                     ) : (
                       <span className="text-red-600">🚫 Very high intake - please double-check entries</span>
                     )}
@@ -171,7 +261,7 @@ export default function HistoryDatePage() {
               href="/"
               className="px-6 py-3 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition duration-200"
             >
-              Log Today's Drinks
+              Log Today&apos;s Drinks
             </Link>
           )}
         </div>
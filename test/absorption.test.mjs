@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DEFAULT_ABSORPTION_RATE,
+  batemanFraction,
+  calculateCaffeineAt,
+  calculatePeakHours,
+  calculateRemainingShare
+} from '../utils/engine.js'
+
+const DATE = '2024-06-03'
+const at = (time) => new Date(`${DATE}T${time}:00`)
+const drink = (startTimeString, endTimeString = '') => ({ name: 'Coffee', dose: 100, startTimeString, endTimeString })
+
+test('gradual absorption is the default model', () => {
+  assert.equal(calculateRemainingShare(2, 5), batemanFraction(2, 5, DEFAULT_ABSORPTION_RATE))
+  assert.equal(calculateRemainingShare(2, 5, { model: 'bolus' }), 0.5 ** (2 / 5))
+})
+
+test('an instant drink rises from zero to its peak before decaying', () => {
+  assert.equal(calculateCaffeineAt(drink('08:00'), at('08:00'), 5, DATE), 0)
+  const peak = new Date(at('08:00').getTime() + calculatePeakHours(5) * 3600000)
+  const peakLevel = calculateCaffeineAt(drink('08:00'), peak, 5, DATE)
+  assert.ok(peakLevel > 85 && peakLevel < 100, `${peakLevel} mg at the peak`)
+  assert.ok(calculateCaffeineAt(drink('08:00'), at('08:15'), 5, DATE) < peakLevel)
+  assert.ok(calculateCaffeineAt(drink('08:00'), at('09:30'), 5, DATE) < peakLevel)
+})
+
+test('a faster absorption rate peaks sooner and higher', () => {
+  assert.ok(calculatePeakHours(5, 10) < calculatePeakHours(5, 5))
+  assert.ok(batemanFraction(calculatePeakHours(5, 10), 5, 10) > batemanFraction(calculatePeakHours(5, 5), 5, 5))
+})
+
+test('a drink sipped over an hour rises slower but ends up like one taken at its midpoint', () => {
+  const sipped = drink('08:00', '09:00')
+  assert.ok(calculateCaffeineAt(sipped, at('08:30'), 5, DATE) < calculateCaffeineAt(drink('08:00'), at('08:30'), 5, DATE))
+  const evening = calculateCaffeineAt(sipped, at('20:00'), 5, DATE)
+  const midpoint = calculateCaffeineAt(drink('08:30'), at('20:00'), 5, DATE)
+  assert.ok(Math.abs(evening - midpoint) / midpoint < 0.02, `${evening} mg against ${midpoint} mg`)
+})
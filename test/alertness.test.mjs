@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ALERTNESS_DOSE_STEP, calculatePeakHours, planAlertness } from '../utils/engine.js'
+
+const DATE = '2024-06-03'
+const BOLUS = { model: 'bolus' }
+const shift = { windowStart: '09:00', windowEnd: '17:00', floor: 50, halfLife: 5, date: DATE, chartHours: 24 }
+const at = (time) => new Date(`${DATE}T${time}:00`).getTime()
+
+test('one dose at the start covers a window it can last', () => {
+  const plan = planAlertness({ ...shift, kinetics: BOLUS })
+  assert.equal(plan.covered, true)
+  assert.deepEqual(plan.doses.map(dose => [dose.time.getTime(), dose.dose]), [[at('09:00'), 155]])
+  // The smallest dose in whole steps: 155 mg is just above 50 mg after 8 hours, 150 mg is not
+  assert.ok(155 * 0.5 ** (8 / 5) >= 50 && 150 * 0.5 ** (8 / 5) < 50)
+  assert.equal(plan.totalDose % ALERTNESS_DOSE_STEP, 0)
+})
+
+test('with absorption a dose is taken early enough to peak at the dip', () => {
+  const plan = planAlertness(shift)
+  assert.equal(plan.covered, true)
+  const lead = calculatePeakHours(5) * 3600000
+  assert.ok(Math.abs(plan.doses[0].time.getTime() - (at('09:00') - lead)) < 1000)
+})
+
+test('doses that would keep bedtime over the threshold are left out and the gap is reported', () => {
+  const plan = planAlertness({ ...shift, windowEnd: '22:00', floor: 80, kinetics: BOLUS, bedtime: '23:00' })
+  assert.equal(plan.covered, false)
+  assert.equal(plan.limitedBy, 'sleep')
+  assert.ok(plan.bedtimeLevel <= 30)
+  assert.deepEqual(plan.gaps.map(gap => [gap.start.getTime(), gap.end.getTime()]), [[at('15:40'), at('22:00')]])
+})
+
+test('a night window runs past midnight and respects what is left of the daily limit', () => {
+  const plan = planAlertness({ ...shift, windowStart: '22:00', windowEnd: '06:00', kinetics: BOLUS, dailyRemaining: 100, chartHours: 48 })
+  assert.equal(plan.windowEnd.getTime(), new Date('2024-06-04T06:00:00').getTime())
+  assert.deepEqual(plan.doses.map(dose => dose.dose), [100])
+  assert.equal(plan.limitedBy, 'daily')
+})
+
+test('caffeine already logged counts towards the floor', () => {
+  const drinks = [{ name: 'Coffee', dose: 200, startTimeString: '08:00', endTimeString: '' }]
+  const plan = planAlertness({ ...shift, windowEnd: '12:00', kinetics: BOLUS, drinks })
+  assert.equal(plan.covered, true)
+  assert.deepEqual(plan.doses, [])
+})
@@ -0,0 +1,52 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createBackup, parseBackup, planRestore, validateSettings } from '../utils/backup.js'
+
+const espresso = { id: 'a1', name: 'Espresso', dose: 64, startTimeString: '08:00', endTimeString: '', category: 'Coffee' }
+const latte = { id: 'b1', name: 'Latte', dose: 80, startTimeString: '14:00', endTimeString: '' }
+
+const restoreFrom = (days) => parseBackup(JSON.stringify(createBackup({ days, settings: {} }))).backup
+
+test('a backup with the same drinks leaves the day unchanged', () => {
+  const plan = planRestore(restoreFrom({ '2024-06-03': [espresso] }), { '2024-06-03': [espresso] }, {}, 'replace')
+  assert.equal(plan.days[0].status, 'unchanged')
+  assert.deepEqual(plan.summary.conflicts, [])
+})
+
+test('a different category or compounds shows the day as changed', () => {
+  const current = { '2024-06-03': [espresso] }
+  const recategorized = planRestore(restoreFrom({ '2024-06-03': [{ ...espresso, category: 'Tea' }] }), current, {}, 'replace')
+  assert.equal(recategorized.days[0].status, 'changed')
+  assert.equal(recategorized.summary.drinksUpdated, 1)
+  assert.deepEqual(recategorized.summary.conflicts, ['2024-06-03'])
+
+  const withCompounds = planRestore(restoreFrom({ '2024-06-03': [{ ...espresso, compounds: { theobromine: 5 } }] }), current, {}, 'replace')
+  assert.equal(withCompounds.days[0].status, 'changed')
+})
+
+test('merging keeps current drinks and adds the backup\'s new ones', () => {
+  const plan = planRestore(restoreFrom({ '2024-06-03': [espresso, latte] }), { '2024-06-03': [espresso] }, {}, 'merge')
+  assert.deepEqual(plan.days[0].drinks.map(drink => drink.name), ['Espresso', 'Latte'])
+  assert.equal(plan.summary.drinksAdded, 1)
+  assert.equal(plan.days[0].status, 'changed')
+})
+
+test('replacing removes days the backup does not have', () => {
+  const plan = planRestore(restoreFrom({}), { '2024-06-03': [espresso] }, {}, 'replace')
+  assert.equal(plan.days[0].status, 'removed')
+  assert.equal(plan.summary.daysRemoved, 1)
+})
+
+test('settings that fail their checks are left out of a backup', () => {
+  const backup = JSON.stringify({
+    ...createBackup({ days: {}, settings: {} }),
+    settings: { darkMode: true, chartView: 'pie', customDrinks: 'not a list', taperPlan: { startDate: 'soon' } }
+  })
+  assert.deepEqual(parseBackup(backup).backup.settings, { darkMode: true })
+})
+
+test('validateSettings reports which settings were rejected', () => {
+  const { settings, rejected } = validateSettings({ absorptionModel: 'bolus', sleepMode: 'naps', customDrinks: [] })
+  assert.deepEqual(settings, { absorptionModel: 'bolus', customDrinks: [] })
+  assert.deepEqual(rejected, ['sleepMode'])
+})
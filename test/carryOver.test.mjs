@@ -0,0 +1,42 @@
+import { beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { CARRY_OVER_DAYS, calculateCarryOverCurve, calculateTotalCurve } from '../utils/engine.js'
+import { loadPreviousDays, saveDailyData } from '../utils/storage.js'
+
+const DATE = '2024-06-03'
+const BOLUS = { model: 'bolus' }
+const drink = (id, dose, startTimeString) => ({ id, name: `${dose} mg`, dose, startTimeString, endTimeString: '' })
+
+beforeEach(() => localStorage.clear())
+
+test('the days before a date are loaded nearest first, up to the carry-over window', async () => {
+  await saveDailyData('2024-05-31', [drink('a', 100, '09:00')])
+  await saveDailyData('2024-06-01', [drink('b', 80, '09:00')])
+  await saveDailyData('2024-06-02', [drink('c', 60, '22:00')])
+  await saveDailyData(DATE, [drink('d', 40, '08:00')])
+
+  const previousDays = await loadPreviousDays(DATE, CARRY_OVER_DAYS)
+  assert.deepEqual(previousDays.map(day => day.date), ['2024-06-02', '2024-06-01'])
+})
+
+test('the carry-over curve starts from what was left at midnight', () => {
+  assert.deepEqual(calculateCarryOverCurve([], DATE, 5), [])
+
+  const previousDays = [{ date: '2024-06-02', drinks: [drink('c', 100, '19:00')] }]
+  const curve = calculateCarryOverCurve(previousDays, DATE, 5, 24, BOLUS)
+  assert.equal(curve[0].time.getTime(), new Date(`${DATE}T00:00:00`).getTime())
+  assert.ok(Math.abs(curve[0].caffeine - 50) < 1e-6)
+  // Ten minutes a sample: 30 samples on is 05:00, another half-life later
+  assert.ok(Math.abs(curve[30].caffeine - 25) < 1e-6)
+})
+
+test('the total curve is the day\'s drinks plus the carry-over', () => {
+  const previousDays = [{ date: '2024-06-02', drinks: [drink('c', 100, '19:00')] }]
+  const drinks = [drink('d', 40, '08:00')]
+  const total = calculateTotalCurve(drinks, DATE, 5, 24, BOLUS, previousDays)
+  const carryOver = calculateCarryOverCurve(previousDays, DATE, 5, 24, BOLUS)
+  const dayOnly = calculateTotalCurve(drinks, DATE, 5, 24, BOLUS)
+  total.forEach((point, index) => {
+    assert.ok(Math.abs(point.caffeine - (dayOnly[index].caffeine + carryOver[index].caffeine)) < 1e-6)
+  })
+})
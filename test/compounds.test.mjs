@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SECONDARY_COMPOUNDS, calculateCompoundLevels, calculateStimulantTotal, scaleCompounds } from '../utils/engine.js'
+import { addCustomDrink, loadCustomDrinks, updateCustomDrink } from '../utils/storage.js'
+
+test('compounds scale with the caffeine dose of the serving', () => {
+  assert.deepEqual(scaleCompounds({ theobromine: 20, theophylline: 1 }, 50, 100), { theobromine: 40, theophylline: 2 })
+  assert.deepEqual(scaleCompounds({ theobromine: 20 }, '50', '25'), { theobromine: 10 })
+})
+
+test('compounds are kept while the dose is not a usable amount', () => {
+  assert.deepEqual(scaleCompounds({ theobromine: 20 }, 50, ''), { theobromine: 20 })
+  assert.equal(scaleCompounds(null, 50, 100), null)
+})
+
+test('custom drinks store the compounds entered on the form', () => {
+  localStorage.clear()
+  const drink = addCustomDrink({
+    name: 'Hot cocoa',
+    caffeine: '10',
+    compounds: { theobromine: '150', theophylline: '' }
+  })
+  assert.deepEqual(drink.compounds, { theobromine: 150 })
+
+  updateCustomDrink(drink.id, { name: 'Hot cocoa', caffeine: '10', compounds: { theobromine: '', theophylline: '' } })
+  assert.equal(loadCustomDrinks()[0].compounds, null)
+})
+
+const DATE = '2024-06-03'
+const cocoa = { name: 'Hot cocoa', dose: 10, startTimeString: '20:00', endTimeString: '', compounds: { theobromine: 150 } }
+const coffee = { name: 'Coffee', dose: 95, startTimeString: '08:00', endTimeString: '' }
+
+test('only compounds present in the day get levels, with their own half-life', () => {
+  const [theobromine, ...others] = calculateCompoundLevels([coffee, cocoa], { date: DATE, bedtime: '23:00', chartHours: 24 })
+  assert.deepEqual(others, [])
+  assert.equal(theobromine.key, 'theobromine')
+  assert.equal(theobromine.dailyIntake, 150)
+  // Three hours in, still absorbing on the slower curve: well over half the dose is left
+  assert.ok(theobromine.atBedtime > 100 && theobromine.atBedtime < 150, `${theobromine.atBedtime} mg`)
+  assert.deepEqual(calculateCompoundLevels([coffee], { date: DATE, chartHours: 24 }), [])
+})
+
+test('compounds from earlier days carry over', () => {
+  const previousDays = [{ date: '2024-06-02', drinks: [cocoa] }]
+  const [theobromine] = calculateCompoundLevels([coffee], { date: DATE, bedtime: '23:00', previousDays, chartHours: 24 })
+  assert.equal(theobromine.dailyIntake, 0)
+  // 27 hours later, with a 7.2 h half-life, under a tenth is left
+  assert.ok(theobromine.atBedtime > 10 && theobromine.atBedtime < 15, `${theobromine.atBedtime} mg`)
+})
+
+test('the stimulant total weighs each compound by its potency', () => {
+  const compounds = [
+    { ...SECONDARY_COMPOUNDS.theobromine, atBedtime: 100 },
+    { ...SECONDARY_COMPOUNDS.theophylline, atBedtime: 5 }
+  ]
+  assert.equal(calculateStimulantTotal(20, compounds, 'atBedtime'), 35)
+  assert.equal(calculateStimulantTotal(20, [], 'atBedtime'), 20)
+})
@@ -0,0 +1,31 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  REFERENCE_WEIGHT,
+  calculateVolumeOfDistribution,
+  toConcentration,
+  toReferenceConcentration
+} from '../utils/engine.js'
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`)
+}
+
+test('caffeine spreads through 0.6 L per kg of body weight', () => {
+  assertClose(calculateVolumeOfDistribution({ weight: '80' }, { weight: 'metric' }), 48)
+  assertClose(calculateVolumeOfDistribution({ weight: '176' }, { weight: 'imperial' }), 176 * 0.453592 * 0.6)
+  assert.equal(calculateVolumeOfDistribution({ weight: '' }, { weight: 'metric' }), null)
+})
+
+test('an amount becomes a concentration over the volume of distribution', () => {
+  assertClose(toConcentration(96, 48), 2)
+  // Without a weight there is nothing to divide by
+  assert.equal(toConcentration(96, null), 0)
+})
+
+test('mg limits convert to the concentration they give a 70 kg adult', () => {
+  assertClose(toReferenceConcentration(42), 1)
+  // The same blood level takes more caffeine in a heavier body: 30 mg for 70 kg is ~43 mg for 100 kg
+  const heavy = calculateVolumeOfDistribution({ weight: '100' }, { weight: 'metric' })
+  assertClose(toReferenceConcentration(30) * heavy, 30 * 100 / REFERENCE_WEIGHT)
+})
@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { convertCsvRows, detectFormats, guessColumnMapping, parseCsv, planCsvImport, toCsv } from '../utils/csv.js'
+
+const importCsv = (text, currentDays = {}) => {
+  const { header, rows } = parseCsv(text)
+  const mapping = guessColumnMapping(header)
+  return planCsvImport(convertCsvRows(rows, mapping, detectFormats(rows, mapping)), currentDays)
+}
+
+test('rows already logged are left out of an import', () => {
+  const logged = { '2024-06-03': [{ name: 'Espresso', dose: 64, startTimeString: '08:00', endTimeString: '' }] }
+  const plan = importCsv('date,drink,caffeine,time\n2024-06-03,Espresso,64,08:00\n2024-06-03,Latte,80,14:00\n', logged)
+  assert.equal(plan.duplicates, 1)
+  assert.equal(plan.imported, 1)
+  assert.deepEqual(plan.days.map(day => day.drinks.map(drink => drink.name)), [['Latte']])
+})
+
+test('rows that cannot be read are reported with their line', () => {
+  const plan = importCsv('date,drink,caffeine,time\n06/03/2024,Tea,abc,09:00\n')
+  assert.deepEqual(plan.errors.map(error => error.line), [2])
+})
+
+test('names a spreadsheet would run as formulas are exported as text and read back unchanged', () => {
+  const drinks = [
+    { name: '=HYPERLINK("http://example.com")', dose: 64, startTimeString: '08:00', endTimeString: '' },
+    { name: '-Decaf', dose: 5, startTimeString: '09:00', endTimeString: '', category: '@work' }
+  ]
+  const csv = toCsv([{ date: '2024-06-03', drinks }])
+  assert.match(csv, /^2024-06-03,"'=HYPERLINK\(""http:\/\/example.com""\)",64,08:00,,$/m)
+  assert.match(csv, /^2024-06-03,'-Decaf,5,09:00,,'@work$/m)
+  const [day] = importCsv(csv).days
+  assert.deepEqual(day.drinks.map(drink => [drink.name, drink.category]), [
+    ['=HYPERLINK("http://example.com")', undefined],
+    ['-Decaf', '@work']
+  ])
+})
+
+test('one 12-hour time does not switch a 24-hour file over', () => {
+  const plan = importCsv('date,drink,caffeine,time\n2024-06-03,Espresso,64,08:00\n2024-06-03,Latte,80,14:30\n2024-06-03,Tea,40,4:00 pm\n')
+  assert.equal(plan.imported, 2)
+  assert.deepEqual(plan.errors, [{ line: 4, error: 'Start time "4:00 pm" is written as 1:45 PM but the file uses 13:45' }])
+})
+
+test('a file written in 12-hour times is read as such', () => {
+  const plan = importCsv('date,drink,caffeine,time\n2024-06-03,Espresso,64,8:00 am\n2024-06-03,Latte,80,2:30 PM\n')
+  assert.deepEqual(plan.days[0].drinks.map(drink => drink.startTimeString), ['08:00', '14:30'])
+})
@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { shiftDate } from '../utils/dates.js'
+
+// Runs a snippet in a fresh process, as the time zone is fixed when a process starts
+const runInTimeZone = (timeZone, source) => execFileSync(
+  process.execPath,
+  ['--import', './test/setup.mjs', '--input-type=module', '--eval', source],
+  { cwd: new URL('..', import.meta.url), env: { ...process.env, TZ: timeZone }, encoding: 'utf8' }
+).trim()
+
+test('shiftDate moves across month and year ends', () => {
+  assert.equal(shiftDate('2024-02-28', 1), '2024-02-29')
+  assert.equal(shiftDate('2024-03-01', -1), '2024-02-29')
+  assert.equal(shiftDate('2024-12-31', 1), '2025-01-01')
+  assert.equal(shiftDate('2024-06-10', -14), '2024-05-27')
+})
+
+test('dates stay on the local calendar day far from UTC', () => {
+  const source = `
+    import { getTodayDate, shiftDate, toDateString } from './utils/dates.js'
+    const now = new Date()
+    console.log(JSON.stringify({
+      shifted: [shiftDate('2024-06-10', 1), shiftDate('2024-06-10', -1), shiftDate('2024-12-31', 1)],
+      today: getTodayDate() === toDateString(now) && now.getDate() === Number(getTodayDate().slice(8))
+    }))
+  `
+  for (const timeZone of ['Pacific/Kiritimati', 'Pacific/Tongatapu', 'Etc/GMT+12']) {
+    assert.deepEqual(JSON.parse(runInTimeZone(timeZone, source)), {
+      shifted: ['2024-06-11', '2024-06-09', '2025-01-01'],
+      today: true
+    }, timeZone)
+  }
+})
@@ -0,0 +1,117 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  analyzeDay,
+  batemanFraction,
+  calculateCarryOverAt,
+  calculateIndividualCutoffTimes,
+  calculateMaxDoseAt,
+  calculatePeakHours,
+  calculateRemainingShare,
+  calculateTotalCaffeineAtBedtime
+} from '../utils/engine.js'
+
+const DATE = '2024-06-03'
+const BOLUS = { model: 'bolus' }
+const MORNING = new Date(`${DATE}T06:00:00`)
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`)
+}
+
+const drink = (dose, startTimeString, endTimeString = '') => ({ name: `${dose} mg`, dose, startTimeString, endTimeString })
+
+test('an instant dose halves every half-life under the bolus model', () => {
+  assertClose(calculateRemainingShare(0, 5, BOLUS), 1)
+  assertClose(calculateRemainingShare(5, 5, BOLUS), 0.5)
+  assertClose(calculateRemainingShare(10, 5, BOLUS), 0.25)
+  assertClose(calculateTotalCaffeineAtBedtime([drink(200, '13:00')], '23:00', 5, DATE, BOLUS), 50)
+})
+
+test('the absorption curve starts at zero and peaks where calculatePeakHours says', () => {
+  assert.equal(batemanFraction(0, 5), 0)
+  const peak = calculatePeakHours(5, 5)
+  assertClose(peak, Math.log(5 / (Math.LN2 / 5)) / (5 - Math.LN2 / 5))
+  assertClose(peak, 0.7376, 1e-4)
+  assert.ok(batemanFraction(peak, 5) > batemanFraction(peak - 0.05, 5))
+  assert.ok(batemanFraction(peak, 5) > batemanFraction(peak + 0.05, 5))
+  // Long after absorption the curve decays at the elimination rate
+  assertClose(batemanFraction(25, 5) / batemanFraction(20, 5), 0.5, 1e-6)
+})
+
+test('a cutoff is the latest time the drink falls to the threshold by bedtime', () => {
+  // 120 mg falls to 30 mg in two half-lives: 10 h before 23:00
+  const [cutoff] = calculateIndividualCutoffTimes([drink(120, '08:00')], '23:00', 5, { date: DATE, now: MORNING, kinetics: BOLUS })
+  assert.equal(cutoff.cutoffTime, '1:00 PM')
+})
+
+test('other drinks and carry-over use up the headroom in each cutoff', () => {
+  const options = { date: DATE, now: MORNING, kinetics: BOLUS }
+  // The other drink alone leaves 60 mg at bedtime, over the 30 mg threshold
+  const [, second] = calculateIndividualCutoffTimes([drink(60, '23:00'), drink(120, '08:00')], '23:00', 5, options)
+  assert.equal(second.cutoffTime, 'Already over limit')
+  // 15 mg carried over leaves 15 mg: 120 mg needs three half-lives
+  const [cutoff] = calculateIndividualCutoffTimes([drink(120, '08:00')], '23:00', 5, { ...options, baseline: 15 })
+  assert.equal(cutoff.cutoffTime, '8:00 AM')
+})
+
+test('carry-over is what is left of earlier days at the target time', () => {
+  const previousDays = [{ date: '2024-06-02', drinks: [drink(100, '23:00')] }]
+  assertClose(calculateCarryOverAt(previousDays, new Date(`${DATE}T09:00:00`), 5, BOLUS), 25)
+  assertClose(calculateCarryOverAt(previousDays, new Date(`${DATE}T04:00:00`), 5, BOLUS), 50)
+})
+
+test('analyzeDay adds the carry-over to the bedtime level', () => {
+  const analysis = analyzeDay({
+    personalInfo: { age: '25', sex: 'male', weight: '70' },
+    units: { weight: 'metric' },
+    drinks: [drink(200, '13:00')],
+    bedtime: '23:00',
+    date: DATE,
+    now: MORNING,
+    kinetics: BOLUS,
+    previousDays: [{ date: '2024-06-02', drinks: [drink(80, '23:00')] }]
+  })
+  assert.equal(analysis.halfLife, 5)
+  assertClose(analysis.carryOver.atBedtime, 80 / 2 ** (24 / 5))
+  assertClose(analysis.bedtimeLevel, 50 + 80 / 2 ** (24 / 5))
+  assert.equal(analysis.dailyIntake, 200)
+})
+
+test('the allowance never grows as bedtime gets closer', () => {
+  const bedtime = '23:00'
+  const maxDoseAt = (time) => calculateMaxDoseAt([], new Date(`${DATE}T${time}:00`), bedtime, 5, { date: DATE }).maxDose
+  const doses = ['20:00', '21:00', '22:00', '22:30', '22:50', '22:55'].map(maxDoseAt)
+  doses.slice(1).forEach((dose, index) => assert.ok(dose <= doses[index] + 1e-9, `${dose} mg allowed after ${doses[index]} mg`))
+
+  // A late dose peaks after bedtime: that peak stays within the threshold
+  const lateDose = maxDoseAt('22:55')
+  assertClose(lateDose * batemanFraction(calculatePeakHours(5), 5), 30, 1e-6)
+})
+
+test('under the bolus model the allowance is the headroom over the bedtime share', () => {
+  const intake = new Date(`${DATE}T18:00:00`)
+  const { maxDose, limitedBy } = calculateMaxDoseAt([], intake, '23:00', 5, { date: DATE, kinetics: BOLUS })
+  assertClose(maxDose, 60)
+  assert.equal(limitedBy, 'sleep')
+})
+
+test('the total series is the stack of each drink\'s curve and the carry-over', () => {
+  const analysis = analyzeDay({
+    personalInfo: { age: '25', sex: 'male', weight: '70' },
+    units: { weight: 'metric' },
+    drinks: [drink(95, '08:00'), drink(80, '13:00', '13:30')],
+    bedtime: '23:00',
+    date: DATE,
+    now: MORNING,
+    chartHours: 24,
+    previousDays: [{ date: '2024-06-02', drinks: [drink(80, '21:00')] }]
+  })
+  assert.equal(analysis.curves.length, 2)
+  analysis.totalPoints.forEach((point, index) => {
+    const stacked = analysis.carryOver.points[index].caffeine +
+      analysis.curves.reduce((sum, curve) => sum + curve.points[index].caffeine, 0)
+    assert.equal(point.time.getTime(), analysis.curves[0].points[index].time.getTime())
+    assertClose(point.caffeine, stacked)
+  })
+})
@@ -0,0 +1,42 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BASE_HALF_LIFE, calculateAdjustedHalfLife, calculateHalfLifeBreakdown } from '../utils/engine.js'
+
+const METRIC = { weight: 'metric' }
+const adult = { age: '25', sex: 'male', weight: '70' }
+const factors = (breakdown) => breakdown.adjustments.map(adjustment => adjustment.factor)
+
+test('a 25-year-old 70 kg man keeps the base half-life', () => {
+  const breakdown = calculateHalfLifeBreakdown(adult, METRIC)
+  assert.deepEqual(breakdown.adjustments, [])
+  assert.equal(breakdown.halfLife, BASE_HALF_LIFE)
+})
+
+test('age, weight and sex add hours before the multipliers apply', () => {
+  // 5 + 1 (over 50) + 0.5 (under 60 kg) + 0.5 (female), then halved for smoking
+  const breakdown = calculateHalfLifeBreakdown({ age: '60', sex: 'female', weight: '55', smoker: true }, METRIC)
+  assert.deepEqual(factors(breakdown), ['age', 'weight', 'sex', 'smoker'])
+  assert.equal(breakdown.halfLife, 3.5)
+})
+
+test('pregnancy takes the place of oral contraceptives', () => {
+  const woman = { ...adult, sex: 'female', oralContraceptives: true }
+  assert.equal(calculateAdjustedHalfLife(woman, METRIC), 11)
+  const pregnant = calculateHalfLifeBreakdown({ ...woman, pregnancyTrimester: '3' }, METRIC)
+  assert.deepEqual(factors(pregnant), ['sex', 'pregnancy'])
+  assert.equal(pregnant.halfLife, 16.5)
+  // Neither applies to men
+  assert.equal(calculateAdjustedHalfLife({ ...adult, oralContraceptives: true, pregnancyTrimester: '2' }, METRIC), 5)
+})
+
+test('liver function and CYP1A2 inhibitors multiply together', () => {
+  const breakdown = calculateHalfLifeBreakdown({ ...adult, liverFunction: 'mild', cyp1a2Inhibitor: 'fluvoxamine' }, METRIC)
+  assert.deepEqual(factors(breakdown), ['liverFunction', 'cyp1a2Inhibitor'])
+  assert.equal(breakdown.halfLife, 50)
+})
+
+test('weights in pounds are converted before the weight steps', () => {
+  // 200 lb is 90.7 kg, over 90 kg; 130 lb is 59 kg, under 60 kg
+  assert.equal(calculateAdjustedHalfLife({ ...adult, weight: '200' }, { weight: 'imperial' }), 4.5)
+  assert.equal(calculateAdjustedHalfLife({ ...adult, weight: '130' }, { weight: 'imperial' }), 5.5)
+})
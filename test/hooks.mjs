@@ -0,0 +1,17 @@
+// Module hooks so Node's test runner can load utils/ the way Next.js bundles it:
+// ES modules in .js files, imported without the extension
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context)
+  } catch (error) {
+    if (!specifier.startsWith('.') || specifier.endsWith('.js')) throw error
+    return nextResolve(`${specifier}.js`, context)
+  }
+}
+
+export const load = async (url, context, nextLoad) => {
+  if (url.includes('/utils/') && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' })
+  }
+  return nextLoad(url, context)
+}
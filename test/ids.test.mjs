@@ -0,0 +1,47 @@
+import { afterEach, beforeEach, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateStableId } from '../utils/ids.js'
+import { withDrinkIdentity } from '../utils/schema.js'
+import { loadDailyData, saveDailyData } from '../utils/storage.js'
+
+const DATE = '2024-06-03'
+const espresso = { name: 'Espresso', dose: '64', startTimeString: '08:00', endTimeString: '' }
+
+beforeEach(() => {
+  localStorage.clear()
+  mock.timers.enable({ apis: ['Date'], now: new Date('2024-06-03T09:00:00Z') })
+})
+
+afterEach(() => mock.timers.reset())
+
+test('ids do not repeat, even within the same millisecond', () => {
+  const ids = new Set(Array.from({ length: 1000 }, generateStableId))
+  assert.equal(ids.size, 1000)
+})
+
+test('a drink logged before ids existed counts as created when it was drunk', () => {
+  const startTime = new Date('2024-06-01T08:00:00Z').getTime()
+  const drink = withDrinkIdentity({ ...espresso, startTime })
+  assert.equal(typeof drink.id, 'string')
+  assert.equal(drink.createdAt, '2024-06-01T08:00:00.000Z')
+  assert.equal(drink.updatedAt, drink.createdAt)
+  // Drinks that already have an id are left alone
+  assert.equal(withDrinkIdentity(drink), drink)
+})
+
+test('saving gives new drinks an id and moves updatedAt only on a real edit', async () => {
+  const [saved] = await saveDailyData(DATE, [espresso])
+  assert.equal(typeof saved.id, 'string')
+  assert.equal(saved.createdAt, '2024-06-03T09:00:00.000Z')
+
+  mock.timers.tick(60000)
+  await saveDailyData(DATE, [{ ...saved }], [saved])
+  assert.equal((await loadDailyData(DATE))[0].updatedAt, '2024-06-03T09:00:00.000Z')
+
+  mock.timers.tick(60000)
+  await saveDailyData(DATE, [{ ...saved, dose: '80' }], [saved])
+  const [edited] = await loadDailyData(DATE)
+  assert.equal(edited.id, saved.id)
+  assert.equal(edited.createdAt, '2024-06-03T09:00:00.000Z')
+  assert.equal(edited.updatedAt, '2024-06-03T09:02:00.000Z')
+})
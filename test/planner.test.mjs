@@ -0,0 +1,50 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { planDay } from '../utils/engine.js'
+
+const DATE = '2024-06-03'
+const BOLUS = { model: 'bolus' }
+const day = { wakeTime: '07:00', bedtime: '23:00', halfLife: 5, date: DATE, kinetics: BOLUS }
+const at = (time) => new Date(`${DATE}T${time}:00`).getTime()
+
+test('a single drink can wait until it just falls to the threshold by bedtime', () => {
+  const plan = planDay([{ name: 'Coffee', dose: '120' }], day)
+  assert.equal(plan.feasible, true)
+  // 120 mg falls to 30 mg in two half-lives, so 13:00 at the latest
+  assert.ok(Math.abs(plan.schedule[0].latestTime.getTime() - at('13:00')) < 1000)
+  assert.ok(plan.schedule[0].recommendedTime < plan.schedule[0].latestTime)
+  assert.ok(Math.abs(plan.latestBedtimeLevel - 30) < 1e-3)
+  assert.ok(Math.abs(plan.bedtimeLevel - 24) < 1e-3)
+})
+
+test('several drinks are spaced from waking so their combined bedtime level holds', () => {
+  const plan = planDay([{ name: 'Coffee', dose: '100' }, { name: 'Tea', dose: '100' }, { name: 'Blank', dose: '' }], day)
+  assert.deepEqual(plan.schedule.map(drink => drink.name), ['Coffee', 'Tea'])
+  assert.equal(plan.schedule[0].latestTime.getTime(), at('07:00'))
+  assert.ok(plan.schedule[1].latestTime > plan.schedule[1].recommendedTime)
+  assert.ok(Math.abs(plan.latestBedtimeLevel - 30) < 1e-3)
+  const total = plan.schedule.reduce((sum, drink) => sum + drink.atBedtime, 0)
+  assert.ok(Math.abs(total - plan.bedtimeLevel) < 1e-9)
+})
+
+test('caffeine already in the day comes off the headroom', () => {
+  const plan = planDay([{ name: 'Coffee', dose: '120' }], { ...day, baseline: 15 })
+  assert.equal(plan.headroom, 15)
+  // Three half-lives to fall to 15 mg
+  assert.ok(Math.abs(plan.schedule[0].latestTime.getTime() - at('08:00')) < 1000)
+})
+
+test('a plan that cannot fit suggests dropping or downsizing a drink', () => {
+  const plan = planDay([{ name: 'Tea', dose: 40 }, { name: 'Energy drink', dose: 200 }], { ...day, wakeTime: '13:00' })
+  assert.equal(plan.feasible, false)
+  assert.deepEqual(plan.suggestions, [
+    { type: 'drop', name: 'Energy drink', dose: 200 },
+    { type: 'downsize', name: 'Energy drink', dose: 200, newDose: 80 }
+  ])
+})
+
+test('when earlier caffeine is already over the threshold the advice is to skip', () => {
+  const plan = planDay([{ name: 'Tea', dose: 40 }], { ...day, baseline: 45 })
+  assert.equal(plan.feasible, false)
+  assert.deepEqual(plan.suggestions, [{ type: 'skip' }])
+})
@@ -0,0 +1,257 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  clampTimeRange,
+  formatChartHours,
+  formatTooltipLabel,
+  getTimeStep,
+  intakeMarkersPlugin,
+  nowLinePlugin,
+  thresholdCrossingPlugin,
+  zoneBandsPlugin,
+  zoomPanPlugin
+} from '../utils/plugins.js'
+
+// Tooltip item as Chart.js passes it, over datasets of { x, y } points
+const tooltipItem = (dataset, y, dataIndex = 1) => ({
+  dataset,
+  dataIndex,
+  parsed: { x: 9, y },
+  chart: {
+    data: {
+      datasets: [
+        { label: 'Total', isTotal: true, data: [{ x: 8, y: 0 }, { x: 9, y: 120 }] },
+        dataset
+      ]
+    }
+  }
+})
+
+test('a contribution tooltip shows its share of the total', () => {
+  const item = tooltipItem({ label: 'Espresso', isContribution: true }, 30)
+  assert.equal(formatTooltipLabel(item, { unit: 'mg', digits: 1 }), 'Espresso: 30.0 mg (25%)')
+})
+
+test('the total and other lines show only their value', () => {
+  const item = tooltipItem({ label: 'Total', isTotal: true }, 120)
+  assert.equal(formatTooltipLabel(item, { unit: 'mg/L', digits: 2 }), 'Total: 120.00 mg/L')
+})
+
+test('no share is shown where the total is zero', () => {
+  const item = tooltipItem({ label: 'Espresso', isContribution: true }, 0, 0)
+  assert.equal(formatTooltipLabel(item, { unit: 'mg', digits: 1 }), 'Espresso: 0.0 mg')
+})
+
+// Drawing context that records each call as [method, ...args]
+const recordingContext = () => {
+  const calls = []
+  return new Proxy({ calls }, {
+    get: (target, key) => {
+      if (key in target) return target[key]
+      if (key === 'measureText') return (text) => ({ width: text.length * 6 })
+      return (...args) => calls.push([key, ...args])
+    },
+    set: () => true
+  })
+}
+
+// Chart stand-in with a 0–24 h x axis drawn 20 px per hour from x = 40, a y axis of 2 px per
+// unit up from y = 230, and a canvas that collects its listeners so tests can fire events at it
+const fakeChart = ({ datasets = [], plugins = {} } = {}) => {
+  const listeners = {}
+  const x = {
+    min: 0,
+    max: 24,
+    getPixelForValue: (hours) => 40 + (hours - x.min) * 480 / (x.max - x.min),
+    getValueForPixel: (pixel) => x.min + (pixel - 40) * (x.max - x.min) / 480
+  }
+  return {
+    canvas: {
+      style: {},
+      closest: () => null,
+      addEventListener: (type, listener) => { listeners[type] = listener },
+      removeEventListener: (type) => { delete listeners[type] },
+      setPointerCapture: () => {},
+      releasePointerCapture: () => {}
+    },
+    ctx: recordingContext(),
+    chartArea: { left: 40, right: 520, top: 30, bottom: 230 },
+    scales: { x, y: { max: 100, getPixelForValue: (value) => 230 - value * 2 } },
+    options: { plugins },
+    data: { datasets },
+    isDatasetVisible: () => true,
+    draw: () => {},
+    fire: (type, event) => listeners[type]({
+      button: 0,
+      pointerId: 1,
+      preventDefault: () => {},
+      stopImmediatePropagation: () => {},
+      ...event
+    }),
+    listeners
+  }
+}
+
+const assertRange = (actual, expected) => {
+  assert.ok(Math.abs(actual.min - expected.min) < 1e-9 && Math.abs(actual.max - expected.max) < 1e-9,
+    `expected ${JSON.stringify(actual)} to be ${JSON.stringify(expected)}`)
+}
+
+test('chart hours read as clock times, marking later days', () => {
+  assert.equal(formatChartHours(13.5), '13:30')
+  assert.equal(formatChartHours(0.999), '01:00')
+  assert.equal(formatChartHours(26.25), '02:15 (+1)')
+})
+
+test('ticks get closer as the visible range narrows', () => {
+  assert.equal(getTimeStep(72), 6)
+  assert.equal(getTimeStep(48), 4)
+  assert.equal(getTimeStep(24), 2)
+  assert.equal(getTimeStep(3), 1 / 4)
+  assert.equal(getTimeStep(1), 1 / 6)
+})
+
+test('the visible range stays inside the chart and no narrower than the minimum', () => {
+  const limits = { min: 0, max: 48, minRange: 0.5 }
+  assert.deepEqual(clampTimeRange({ min: -4, max: 8 }, limits), { min: 0, max: 12 })
+  assert.deepEqual(clampTimeRange({ min: 40, max: 52 }, limits), { min: 36, max: 48 })
+  assert.deepEqual(clampTimeRange({ min: 10, max: 10.1 }, limits), { min: 9.8, max: 10.3 })
+  assert.deepEqual(clampTimeRange({ min: -10, max: 100 }, limits), { min: 0, max: 48 })
+})
+
+test('the wheel zooms around the time under the cursor and dragging pans', () => {
+  const ranges = []
+  const chart = fakeChart({ plugins: { zoomPan: { limits: { min: 0, max: 48 }, onRangeChange: range => ranges.push(range) } } })
+  zoomPanPlugin.afterInit(chart)
+
+  // Zooming in at 12:00 keeps 12:00 under the cursor
+  chart.fire('wheel', { offsetX: 280, deltaY: -1 })
+  assertRange(ranges.pop(), { min: 2.4, max: 21.6 })
+
+  // Dragging a quarter of the plot to the left moves the range six hours later
+  chart.fire('pointerdown', { offsetX: 280, clientX: 280 })
+  chart.fire('pointermove', { clientX: 160 })
+  assertRange(ranges.pop(), { min: 6, max: 30 })
+  chart.fire('pointerup', {})
+  chart.fire('pointermove', { clientX: 100 })
+  assert.equal(ranges.length, 0)
+
+  zoomPanPlugin.beforeDestroy(chart)
+  assert.deepEqual(Object.keys(chart.listeners), [])
+})
+
+const callsOf = (chart, method) => chart.ctx.calls.filter(([name]) => name === method).map(([, ...args]) => args)
+
+test('the threshold crossing is marked where the total last drops below the value', () => {
+  const total = { isTotal: true, data: [{ x: 0, y: 10 }, { x: 2, y: 50 }, { x: 4, y: 20 }, { x: 6, y: 40 }, { x: 8, y: 10 }] }
+  const chart = fakeChart({ datasets: [total], plugins: { thresholdCrossing: { value: 30, label: 'Below 30 mg' } } })
+  thresholdCrossingPlugin.afterDatasetsDraw(chart)
+  // 40 → 10 between 6:00 and 8:00 passes 30 at 6:40
+  const [[x, y]] = callsOf(chart, 'arc')
+  assert.ok(Math.abs(x - chart.scales.x.getPixelForValue(6 + 2 / 3)) < 1e-9)
+  assert.equal(y, 170)
+  assert.equal(callsOf(chart, 'fillText')[0][0], 'Below 30 mg at 06:40')
+})
+
+test('no crossing is drawn while the total stays above the value or is hidden', () => {
+  const total = { isTotal: true, data: [{ x: 0, y: 50 }, { x: 2, y: 40 }] }
+  const chart = fakeChart({ datasets: [total], plugins: { thresholdCrossing: { value: 30 } } })
+  thresholdCrossingPlugin.afterDatasetsDraw(chart)
+  assert.deepEqual(chart.ctx.calls, [])
+
+  const hidden = fakeChart({ datasets: [{ ...total, data: [...total.data, { x: 4, y: 10 }] }], plugins: { thresholdCrossing: { value: 30 } } })
+  hidden.isDatasetVisible = () => false
+  thresholdCrossingPlugin.afterDatasetsDraw(hidden)
+  assert.deepEqual(hidden.ctx.calls, [])
+})
+
+test('the now line is only drawn when the time is in view', () => {
+  const chart = fakeChart({ plugins: { nowLine: { hours: 9.25 } } })
+  nowLinePlugin.afterDatasetsDraw(chart)
+  assert.deepEqual(callsOf(chart, 'moveTo')[0], [225, 30])
+  assert.equal(callsOf(chart, 'fillText')[0][0], 'Now 09:15')
+
+  const tomorrow = fakeChart({ plugins: { nowLine: { hours: 30 } } })
+  nowLinePlugin.afterDatasetsDraw(tomorrow)
+  assert.deepEqual(tomorrow.ctx.calls, [])
+})
+
+test('zone bands fill their range, capped at the top of the axis', () => {
+  const zones = [
+    { zone: 'safe', label: 'Safe', from: 0, to: 30 },
+    { zone: 'caution', label: 'Caution', from: 30, to: 80 },
+    { zone: 'high-risk', label: 'High risk', from: 80, to: Infinity }
+  ]
+  const chart = fakeChart({ plugins: { zoneBands: { zones } } })
+  zoneBandsPlugin.beforeDatasetsDraw(chart)
+  assert.deepEqual(callsOf(chart, 'fillRect'), [
+    [40, 170, 480, 60],
+    [40, 70, 480, 100],
+    [40, 30, 480, 40]
+  ])
+  assert.deepEqual(callsOf(chart, 'fillText').map(([text]) => text), ['Safe', 'Caution', 'High risk'])
+})
+
+// A drink from 08:00 to 09:00, its markers at x = 200 and 220 along the bottom of the plot
+const draggableChart = (intake = {}) => {
+  const moves = []
+  const drops = []
+  const chart = fakeChart({
+    datasets: [{ borderColor: '#123456', intake: { drinkId: 'coffee', startHours: 8, endHours: 9, draggable: true, ...intake } }],
+    plugins: {
+      intakeMarkers: {
+        onDrag: (drinkId, hours) => moves.push([drinkId, hours]),
+        onDrop: (drinkId, hours) => drops.push([drinkId, hours])
+      }
+    }
+  })
+  intakeMarkersPlugin.afterInit(chart)
+  const drag = (fromX, toX) => {
+    chart.fire('pointerdown', { offsetX: fromX, offsetY: 225 })
+    chart.fire('pointermove', { offsetX: toX, offsetY: 225 })
+    chart.fire('pointerup', { offsetX: toX, offsetY: 225 })
+  }
+  return { chart, moves, drops, drag }
+}
+
+const assertHours = ([drinkId, hours], expected) => {
+  assert.equal(drinkId, 'coffee')
+  assert.ok(Math.abs(hours.startHours - expected.startHours) < 1e-9 && Math.abs(hours.endHours - expected.endHours) < 1e-9,
+    `expected ${JSON.stringify(hours)} to be ${JSON.stringify(expected)}`)
+}
+
+test('dragging the start marker moves the whole drink, snapped to five minutes', () => {
+  const { moves, drops, drag } = draggableChart()
+  // 31 px is 1 h 33 min, snapped to 1 h 35 min
+  drag(200, 231)
+  assertHours(moves[0], { startHours: 9 + 35 / 60, endHours: 10 + 35 / 60 })
+  assertHours(drops[0], { startHours: 9 + 35 / 60, endHours: 10 + 35 / 60 })
+})
+
+test('dragging the end marker only moves the finish, never before the start', () => {
+  const { drops, drag } = draggableChart()
+  drag(220, 230)
+  assertHours(drops[0], { startHours: 8, endHours: 9.5 })
+  drag(220, 100)
+  assertHours(drops[1], { startHours: 8, endHours: 8 })
+})
+
+test('a drink cannot be dragged to start before midnight', () => {
+  const { drops, drag } = draggableChart()
+  drag(200, 0)
+  assertHours(drops[0], { startHours: 0, endHours: 1 })
+})
+
+test('markers that are not draggable, or pointers away from them, leave the drink alone', () => {
+  const locked = draggableChart({ draggable: false })
+  locked.drag(200, 240)
+  assert.deepEqual(locked.drops, [])
+
+  const { chart, drops } = draggableChart()
+  chart.fire('pointerdown', { offsetX: 200, offsetY: 120 })
+  chart.fire('pointerup', { offsetX: 240, offsetY: 120 })
+  assert.deepEqual(drops, [])
+
+  intakeMarkersPlugin.beforeDestroy(chart)
+  assert.deepEqual(Object.keys(chart.listeners), [])
+})
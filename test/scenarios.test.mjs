@@ -0,0 +1,33 @@
+import { beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getScenariosKey, loadScenarios, saveScenarios } from '../utils/storage.js'
+import { loadQuarantine } from '../utils/records.js'
+import { wrapRecord } from '../utils/schema.js'
+
+const DATE = '2024-06-03'
+const skipRedBull = {
+  id: 'skip-red-bull',
+  name: 'Skip the 4pm Red Bull',
+  drinks: [{ id: 'espresso', name: 'Espresso', dose: 64, startTimeString: '08:00', endTimeString: '' }]
+}
+
+beforeEach(() => localStorage.clear())
+
+test('scenarios are kept with their day', () => {
+  saveScenarios(DATE, [skipRedBull])
+  assert.deepEqual(loadScenarios(DATE), [skipRedBull])
+  assert.deepEqual(loadScenarios('2024-06-04'), [])
+})
+
+test('removing the last scenario removes the record', () => {
+  saveScenarios(DATE, [skipRedBull])
+  saveScenarios(DATE, [])
+  assert.equal(localStorage.getItem(getScenariosKey(DATE)), null)
+  assert.deepEqual(loadScenarios(DATE), [])
+})
+
+test('a scenario without a name or drinks is set aside and the rest load', () => {
+  localStorage.setItem(getScenariosKey(DATE), JSON.stringify(wrapRecord([skipRedBull, { name: 'Broken' }])))
+  assert.deepEqual(loadScenarios(DATE), [skipRedBull])
+  assert.deepEqual(loadQuarantine().map(entry => entry.reason), ['Scenario needs a name and drinks'])
+})
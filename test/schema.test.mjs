@@ -0,0 +1,61 @@
+import { beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SCHEMA_VERSION, parseRecord, wrapRecord } from '../utils/schema.js'
+import { loadQuarantine, readRecord, writeRecord } from '../utils/records.js'
+
+const drink = { id: 'espresso', name: 'Espresso', dose: 64, startTimeString: '08:00', endTimeString: '' }
+
+beforeEach(() => localStorage.clear())
+
+test('a current record reads back unchanged', () => {
+  const result = parseRecord('day', JSON.stringify(wrapRecord([drink])))
+  assert.deepEqual(result, { data: [drink], rejected: [], changed: false })
+})
+
+test('an unversioned day is upgraded through every version', () => {
+  const { data, changed } = parseRecord('day', JSON.stringify([{ name: 'Latte', dose: '80', time: '14:00' }]))
+  assert.equal(changed, true)
+  assert.equal(data.length, 1)
+  assert.equal(data[0].dose, 80)
+  assert.equal(data[0].startTimeString, '14:00')
+  assert.equal(data[0].endTimeString, '')
+  assert.equal('time' in data[0], false)
+  assert.equal(typeof data[0].id, 'string')
+})
+
+test('bad entries are rejected one by one with a reason', () => {
+  const raw = JSON.stringify(wrapRecord([drink, { ...drink, id: 'late', startTimeString: '8pm' }, 'coffee']))
+  const { data, rejected, changed } = parseRecord('day', raw)
+  assert.deepEqual(data, [drink])
+  assert.deepEqual(rejected.map(entry => entry.reason), ['Start time is not HH:MM', 'Not a drink entry'])
+  assert.equal(changed, true)
+})
+
+test('unreadable records report why', () => {
+  assert.deepEqual(parseRecord('day', '{not json'), { error: 'Not valid JSON' })
+  assert.deepEqual(parseRecord('day', JSON.stringify({ version: SCHEMA_VERSION + 1, data: [] })), {
+    error: `Written by a newer version of the app (v${SCHEMA_VERSION + 1})`
+  })
+  assert.deepEqual(parseRecord('taperPlan', JSON.stringify(wrapRecord({ startDate: 'soon' }))), { error: 'Expected a taper plan' })
+})
+
+test('reading quarantines an unreadable record and falls back', () => {
+  localStorage.setItem('cupacity-test', '{not json')
+  assert.deepEqual(readRecord('cupacity-test', 'day', []), [])
+  assert.equal(localStorage.getItem('cupacity-test'), null)
+  assert.deepEqual(loadQuarantine().map(({ key, reason, value }) => ({ key, reason, value })), [
+    { key: 'cupacity-test', reason: 'Not valid JSON', value: '{not json' }
+  ])
+})
+
+test('reading writes an upgraded record back at the current version', () => {
+  localStorage.setItem('cupacity-test', JSON.stringify([{ name: 'Latte', dose: '80', time: '14:00' }]))
+  const [latte] = readRecord('cupacity-test', 'day', [])
+  assert.deepEqual(JSON.parse(localStorage.getItem('cupacity-test')), wrapRecord([latte]))
+  // The id given during the upgrade sticks
+  assert.equal(readRecord('cupacity-test', 'day', [])[0].id, latte.id)
+
+  writeRecord('cupacity-test', [drink])
+  assert.deepEqual(readRecord('cupacity-test', 'day', []), [drink])
+  assert.deepEqual(loadQuarantine(), [])
+})
@@ -0,0 +1,17 @@
+// Loaded before every test file (see the "test" script in package.json)
+import { register } from 'node:module'
+
+register('./hooks.mjs', import.meta.url)
+
+// In-memory stand-in for the browser's localStorage
+class MemoryStorage {
+  #items = new Map()
+  get length() { return this.#items.size }
+  key(index) { return [...this.#items.keys()][index] ?? null }
+  getItem(key) { return this.#items.has(key) ? this.#items.get(key) : null }
+  setItem(key, value) { this.#items.set(key, String(value)) }
+  removeItem(key) { this.#items.delete(key) }
+  clear() { this.#items.clear() }
+}
+
+globalThis.localStorage = new MemoryStorage()
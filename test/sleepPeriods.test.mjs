@@ -0,0 +1,49 @@
+import { beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { analyzeSleepPeriods, calculateTotalCaffeineAtBedtime, getMainSleepPeriod, resolveSleepPeriods } from '../utils/engine.js'
+import { loadSleepPeriods, saveSleepPeriods } from '../utils/storage.js'
+
+const DATE = '2024-06-03'
+const nap = { start: '2024-06-03T14:00', end: '2024-06-03T14:30', label: 'Nap' }
+const daySleep = { start: '2024-06-03T08:00', end: '2024-06-03T15:00', label: 'After night shift' }
+
+beforeEach(() => localStorage.clear())
+
+test('sleep periods are read as dates in time order, leaving out unusable ones', () => {
+  const periods = resolveSleepPeriods([
+    nap,
+    { start: '2024-06-03T23:00', end: '2024-06-03T22:00' },
+    { start: '', end: '2024-06-03T06:00' },
+    daySleep
+  ])
+  assert.deepEqual(periods.map(period => period.label), ['After night shift', 'Nap'])
+  assert.ok(periods[0].start instanceof Date)
+})
+
+test('the longest period is the main sleep', () => {
+  assert.equal(getMainSleepPeriod(resolveSleepPeriods([nap, daySleep])).label, 'After night shift')
+  assert.equal(getMainSleepPeriod([]), null)
+})
+
+test('a day sleep after a night shift is the bedtime for the residual', () => {
+  const drinks = [{ name: 'Coffee', dose: 120, startTimeString: '03:00', endTimeString: '' }]
+  const { start } = getMainSleepPeriod(resolveSleepPeriods([daySleep]))
+  const level = calculateTotalCaffeineAtBedtime(drinks, start, 5, DATE, { model: 'bolus' })
+  assert.ok(Math.abs(level - 60) < 1e-6)
+})
+
+test('each period gets its level at the start, the end and on average', () => {
+  const start = new Date('2024-06-03T08:00').getTime()
+  // A level falling linearly from 70 to 0 over the seven hours averages 35
+  const sample = (time) => 70 - (time - start) / 360000
+  const [analysis] = analyzeSleepPeriods(resolveSleepPeriods([daySleep]), sample)
+  assert.ok(Math.abs(analysis.levelAtStart - 70) < 1e-9)
+  assert.ok(Math.abs(analysis.levelAtEnd - 0) < 1e-9)
+  assert.ok(Math.abs(analysis.averageLevel - 35) < 1e-9)
+})
+
+test('sleep periods are kept per day', () => {
+  saveSleepPeriods(DATE, [daySleep, nap])
+  assert.deepEqual(loadSleepPeriods(DATE), [daySleep, nap])
+  assert.deepEqual(loadSleepPeriods('2024-06-04'), [])
+})
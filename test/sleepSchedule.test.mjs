@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DEFAULT_SLEEP_SCHEDULE,
+  WEEKDAYS,
+  clearScheduleOverride,
+  resolveSleepSchedule,
+  setScheduleOverride,
+  setWeekdaySchedule
+} from '../utils/sleepSchedule.js'
+
+// 2024-06-03 is a Monday
+const MONDAY = '2024-06-03'
+const NEXT_MONDAY = '2024-06-10'
+const TUESDAY = '2024-06-04'
+
+test('a first default bedtime applies to every night', () => {
+  const schedule = setWeekdaySchedule(DEFAULT_SLEEP_SCHEDULE, MONDAY, { bedtime: '22:30' })
+  WEEKDAYS.forEach(day => assert.equal(schedule.weekly[day].bedtime, '22:30'))
+  assert.equal(resolveSleepSchedule(schedule, TUESDAY).bedtime, '22:30')
+  assert.equal(resolveSleepSchedule(schedule, MONDAY).isOverride, false)
+})
+
+test('changing the default bedtime later only changes that weekday', () => {
+  const first = setWeekdaySchedule(DEFAULT_SLEEP_SCHEDULE, MONDAY, { bedtime: '22:30' })
+  const schedule = setWeekdaySchedule(first, MONDAY, { bedtime: '23:15' })
+  assert.equal(resolveSleepSchedule(schedule, NEXT_MONDAY).bedtime, '23:15')
+  assert.equal(resolveSleepSchedule(schedule, TUESDAY).bedtime, '22:30')
+})
+
+test('a bedtime for just this date leaves the weekday default alone', () => {
+  const weekly = setWeekdaySchedule(DEFAULT_SLEEP_SCHEDULE, MONDAY, { bedtime: '22:30' })
+  const schedule = setScheduleOverride(weekly, MONDAY, { bedtime: '01:00' })
+  assert.equal(resolveSleepSchedule(schedule, MONDAY).bedtime, '01:00')
+  assert.equal(resolveSleepSchedule(schedule, MONDAY).isOverride, true)
+  assert.equal(resolveSleepSchedule(schedule, NEXT_MONDAY).bedtime, '22:30')
+})
+
+test('a wake time for just this date keeps the weekday bedtime', () => {
+  const weekly = setWeekdaySchedule(DEFAULT_SLEEP_SCHEDULE, MONDAY, { bedtime: '22:30' })
+  const schedule = setScheduleOverride(weekly, MONDAY, { wakeTime: '05:30' })
+  assert.deepEqual(schedule.overrides[MONDAY], { bedtime: '22:30', wakeTime: '05:30' })
+  assert.equal(resolveSleepSchedule(schedule, NEXT_MONDAY).wakeTime, '07:00')
+  assert.equal(resolveSleepSchedule(clearScheduleOverride(schedule, MONDAY), MONDAY).wakeTime, '07:00')
+})
+
+test('an override set back to the weekday times is dropped', () => {
+  const weekly = setWeekdaySchedule(DEFAULT_SLEEP_SCHEDULE, MONDAY, { bedtime: '22:30' })
+  const schedule = setScheduleOverride(setScheduleOverride(weekly, MONDAY, { wakeTime: '05:30' }), MONDAY, { wakeTime: '07:00' })
+  assert.deepEqual(schedule.overrides, {})
+})
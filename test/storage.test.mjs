@@ -0,0 +1,100 @@
+import { beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyRestorePlan, describeStorageError, loadChartView, loadDailyData, saveChartView, saveDailyData } from '../utils/storage.js'
+import { STORAGE_BLOCKED_ERROR } from '../utils/storageAdapters.js'
+
+const DATE = '2024-06-03'
+const espresso = { id: 'espresso', name: 'Espresso', dose: '64', startTimeString: '08:00', endTimeString: '' }
+const latte = { id: 'latte', name: 'Latte', dose: '80', startTimeString: '14:00', endTimeString: '' }
+const names = (drinks) => drinks.map(drink => `${drink.name} ${drink.dose}`)
+
+beforeEach(() => localStorage.clear())
+
+// Two tabs with the same day open, each saving its own list against what it last read
+test('a tab saving its list keeps drinks another tab added', async () => {
+  await saveDailyData(DATE, [espresso])
+  const tabA = await loadDailyData(DATE)
+  const tabB = await loadDailyData(DATE)
+
+  await saveDailyData(DATE, [...tabB, latte], tabB)
+  await saveDailyData(DATE, [{ ...tabA[0], dose: '100' }], tabA)
+
+  assert.deepEqual(names(await loadDailyData(DATE)), ['Espresso 100', 'Latte 80'])
+})
+
+test('a tab that did not touch a drink keeps another tab\'s edit of it', async () => {
+  await saveDailyData(DATE, [espresso, latte])
+  const tabA = await loadDailyData(DATE)
+  const tabB = await loadDailyData(DATE)
+
+  await saveDailyData(DATE, tabB.map(drink => drink.id === 'latte' ? { ...drink, dose: '120' } : drink), tabB)
+  await saveDailyData(DATE, tabA.map(drink => drink.id === 'espresso' ? { ...drink, dose: '30' } : drink), tabA)
+
+  assert.deepEqual(names(await loadDailyData(DATE)), ['Espresso 30', 'Latte 120'])
+})
+
+test('a tab only deletes the drinks it removed', async () => {
+  await saveDailyData(DATE, [espresso])
+  const tabA = await loadDailyData(DATE)
+  const tabB = await loadDailyData(DATE)
+
+  await saveDailyData(DATE, [...tabB, latte], tabB)
+  await saveDailyData(DATE, [], tabA)
+
+  assert.deepEqual(names(await loadDailyData(DATE)), ['Latte 80'])
+})
+
+test('drinks still being filled in are neither saved nor deleted', async () => {
+  await saveDailyData(DATE, [espresso])
+  const stored = await loadDailyData(DATE)
+
+  await saveDailyData(DATE, [{ ...stored[0], dose: '' }, { id: 'new', name: '', dose: '', startTimeString: '' }], stored)
+
+  assert.deepEqual(names(await loadDailyData(DATE)), ['Espresso 64'])
+})
+
+test('a blocked upgrade is reported with its own instructions', () => {
+  const blocked = Object.assign(new Error('Close other tabs'), { name: STORAGE_BLOCKED_ERROR })
+  assert.equal(describeStorageError(blocked), 'Close other tabs')
+  assert.match(describeStorageError(new Error('QuotaExceededError')), /Reload the page/)
+})
+
+test('a restore that fails part-way says which days were written and leaves settings alone', async () => {
+  const plan = {
+    days: [
+      { date: '2024-06-01', status: 'added', drinks: [{ ...espresso, dose: 64 }] },
+      { date: '2024-06-02', status: 'unchanged', drinks: [] },
+      { date: '2024-06-03', status: 'added', drinks: [{ ...latte, dose: 80 }] }
+    ],
+    settings: { chartView: 'stacked' }
+  }
+  // Storage fills up on the second day written
+  const setItem = localStorage.setItem
+  localStorage.setItem = function (key, value) {
+    if (key.endsWith('2024-06-03')) throw Object.assign(new Error('Full'), { name: 'QuotaExceededError' })
+    return setItem.call(this, key, value)
+  }
+  try {
+    await assert.rejects(applyRestorePlan(plan), error => {
+      assert.deepEqual(error.restoredDates, ['2024-06-01'])
+      return true
+    })
+  } finally {
+    localStorage.setItem = setItem
+  }
+  assert.equal(loadChartView(), 'lines')
+  assert.deepEqual(names(await loadDailyData('2024-06-01')), ['Espresso 64'])
+})
+
+test('a restore skips settings that fail their checks', async () => {
+  const result = await applyRestorePlan({ days: [], settings: { chartView: 'stacked', displayMode: 'loud' } })
+  assert.deepEqual(result, { restoredDates: [], rejectedSettings: ['displayMode'] })
+  assert.equal(loadChartView(), 'stacked')
+  assert.equal(localStorage.getItem('cupacity-display-mode'), null)
+})
+
+test('the chart view starts as lines and keeps the stacked choice', () => {
+  assert.equal(loadChartView(), 'lines')
+  saveChartView('stacked')
+  assert.equal(loadChartView(), 'stacked')
+})
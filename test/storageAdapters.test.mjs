@@ -0,0 +1,111 @@
+import { beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb'
+import { STORAGE_BLOCKED_ERROR, createIndexedDBAdapter, getStorageKey } from '../utils/storageAdapters.js'
+import { loadQuarantine } from '../utils/records.js'
+
+globalThis.IDBKeyRange = IDBKeyRange
+
+const openRequest = (version) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('cupacity', version)
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+const espresso = { id: 'a1', name: 'Espresso', dose: 64, startTimeString: '08:00', endTimeString: '' }
+const localDay = (drinks) => JSON.stringify({ version: 3, data: drinks })
+const names = (drinks) => drinks.map(drink => drink.name)
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory()
+  localStorage.clear()
+})
+
+test('opening rejects while an older tab keeps the database open', async () => {
+  const oldTab = await openRequest(1) // An older version of the app, which doesn't close for upgrades
+  await assert.rejects(createIndexedDBAdapter(), { name: STORAGE_BLOCKED_ERROR })
+  oldTab.close()
+})
+
+test('a connection closes for another tab\'s upgrade and opens again for the next write', async () => {
+  const adapter = await createIndexedDBAdapter()
+  await adapter.setDay('2024-06-03', [espresso])
+
+  // Another tab opens the same version: this connection stays usable
+  const otherTab = await openRequest(2)
+  otherTab.close()
+  assert.deepEqual((await adapter.getDay('2024-06-03')).map(drink => drink.id), ['a1'])
+
+  // A newer version is let in rather than blocked, and this tab can't write to it any more
+  const newerTab = await openRequest(3)
+  newerTab.close()
+  await assert.rejects(adapter.setDay('2024-06-03', []), { name: 'VersionError' })
+})
+
+test('existing localStorage days move into the database once', async () => {
+  localStorage.setItem(getStorageKey('2024-06-02'), localDay([{ ...espresso, id: 'b1', name: 'Latte' }]))
+  localStorage.setItem(getStorageKey('2024-06-03'), localDay([espresso]))
+
+  const adapter = await createIndexedDBAdapter()
+  assert.deepEqual((await adapter.getRange('2024-06-01', '2024-06-30')).map(day => day.date), ['2024-06-02', '2024-06-03'])
+  assert.deepEqual(names(await adapter.getDay('2024-06-02')), ['Latte'])
+  assert.equal(localStorage.getItem(getStorageKey('2024-06-03')), null) // localStorage space is freed
+})
+
+test('running the migration again does not duplicate days', async () => {
+  localStorage.setItem(getStorageKey('2024-06-03'), localDay([espresso]))
+  await createIndexedDBAdapter()
+
+  // Interrupted before the flag was written: the day is still in localStorage and gets migrated again
+  localStorage.setItem(getStorageKey('2024-06-03'), localDay([espresso]))
+  localStorage.removeItem('cupacity-indexeddb-migrated')
+  const adapter = await createIndexedDBAdapter()
+  assert.deepEqual(names(await adapter.getDay('2024-06-03')), ['Espresso'])
+
+  // Once done, later starts leave the database alone
+  await adapter.setDay('2024-06-03', [])
+  localStorage.setItem(getStorageKey('2024-06-03'), localDay([espresso]))
+  const again = await createIndexedDBAdapter()
+  assert.deepEqual(await again.getDay('2024-06-03'), [])
+})
+
+test('old and partly unreadable records are upgraded, with bad entries quarantined', async () => {
+  // Pre-versioning day with the old `time` field and string doses
+  localStorage.setItem(getStorageKey('2024-06-01'), JSON.stringify([{ name: 'Tea', dose: '40', time: '09:30' }]))
+  // One good drink next to one without a start time
+  localStorage.setItem(getStorageKey('2024-06-02'), localDay([espresso, { id: 'x', name: 'Broken', dose: 10 }]))
+  // Not JSON at all
+  localStorage.setItem(getStorageKey('2024-06-03'), '{oops')
+
+  const adapter = await createIndexedDBAdapter()
+  const [tea] = await adapter.getDay('2024-06-01')
+  assert.equal(tea.startTimeString, '09:30')
+  assert.equal(tea.dose, 40)
+  assert.equal(typeof tea.id, 'string')
+  assert.deepEqual(names(await adapter.getDay('2024-06-02')), ['Espresso'])
+  assert.deepEqual(await adapter.getDay('2024-06-03'), [])
+  assert.deepEqual(loadQuarantine().map(entry => entry.key), [getStorageKey('2024-06-02'), getStorageKey('2024-06-03')])
+})
+
+test('upgrading a version 1 database gives its drinks ids', async () => {
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.open('cupacity', 1)
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore('drinks', { keyPath: 'key', autoIncrement: true })
+      store.createIndex('date', 'date')
+      store.createIndex('name', 'name')
+      store.createIndex('category', 'category')
+      store.add({ date: '2024-06-03', position: 0, name: 'Espresso', dose: 64, startTimeString: '08:00', startTime: 0 })
+    }
+    request.onsuccess = () => {
+      request.result.close()
+      resolve()
+    }
+    request.onerror = () => reject(request.error)
+  })
+  localStorage.setItem('cupacity-indexeddb-migrated', 'yes')
+
+  const [drink] = await (await createIndexedDBAdapter()).getDay('2024-06-03')
+  assert.equal(typeof drink.id, 'string')
+  assert.equal(drink.createdAt, new Date(0).toISOString())
+})
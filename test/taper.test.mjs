@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { calculateAverageIntake, createTaperSchedule, evaluateTaper } from '../utils/taper.js'
+
+const plan = { startDate: '2024-06-29', startAverage: 300, target: 100, durationDays: 4 }
+
+test('the average leaves out days without a log', () => {
+  const days = [
+    { date: '2024-06-01', drinks: [{ dose: '100' }, { dose: 150 }] },
+    { date: '2024-06-02', drinks: [] },
+    { date: '2024-06-03', drinks: [{ dose: '50' }] }
+  ]
+  assert.equal(calculateAverageIntake(days), 150)
+  assert.equal(calculateAverageIntake([{ date: '2024-06-02', drinks: [] }]), null)
+})
+
+test('budgets step down evenly to the target, across month ends', () => {
+  assert.deepEqual(createTaperSchedule(plan), [
+    { date: '2024-06-29', day: 1, budget: 250 },
+    { date: '2024-06-30', day: 2, budget: 200 },
+    { date: '2024-07-01', day: 3, budget: 150 },
+    { date: '2024-07-02', day: 4, budget: 100 }
+  ])
+  // Rounded to 5 mg
+  assert.deepEqual(createTaperSchedule({ ...plan, durationDays: 3 }).map(day => day.budget), [235, 165, 100])
+})
+
+test('logged days are checked against their budget', () => {
+  const result = evaluateTaper(plan, { '2024-06-29': 240, '2024-06-30': 210 }, '2024-07-01')
+  assert.deepEqual(result.days.map(day => day.status), ['on-track', 'over', 'missing', 'upcoming'])
+  assert.equal(result.daysElapsed, 3)
+  assert.equal(result.isComplete, false)
+  assert.equal(result.adherence, 0.5)
+  // The latest logged day is 90 of the planned 200 mg down
+  assert.equal(result.progress, 0.45)
+  assert.equal(result.today.date, '2024-07-01')
+})
+
+test('steep upcoming drops are flagged for withdrawal', () => {
+  const result = evaluateTaper(plan, {}, '2024-06-28')
+  // 200 mg is more than a quarter under the 283 mg average of the three days before it
+  assert.deepEqual(result.withdrawalDays.map(day => day.date), ['2024-06-30', '2024-07-01', '2024-07-02'])
+  assert.equal(result.adherence, null)
+  assert.equal(result.today, null)
+})
@@ -0,0 +1,29 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_THRESHOLDS, resolveThresholds } from '../utils/thresholds.js'
+
+test('the standard preset is used by default and for unknown presets', () => {
+  assert.deepEqual(resolveThresholds(), DEFAULT_THRESHOLDS)
+  assert.deepEqual(resolveThresholds({ preset: 'retired' }), DEFAULT_THRESHOLDS)
+})
+
+test('the pregnancy preset lowers only the daily limits', () => {
+  const thresholds = resolveThresholds({ preset: 'pregnancy' })
+  assert.equal(thresholds.sleep, DEFAULT_THRESHOLDS.sleep)
+  assert.deepEqual([thresholds.dailyLimit, thresholds.dailyWarning, thresholds.dailyDanger], [200, 300, 600])
+})
+
+test('the adolescent preset scales the daily limits with body weight', () => {
+  const settings = { preset: 'adolescent' }
+  assert.equal(resolveThresholds(settings, { weight: '50' }, { weight: 'metric' }).dailyLimit, 125)
+  assert.equal(resolveThresholds(settings, { weight: '60' }, { weight: 'metric' }).dailyLimit, 150)
+  // 154 lb is 69.9 kg
+  assert.equal(resolveThresholds(settings, { weight: '154' }, { weight: 'imperial' }).dailyLimit, 175)
+  // The fixed values stand in until a weight is entered
+  assert.equal(resolveThresholds(settings, { weight: '' }).dailyLimit, 125)
+})
+
+test('custom values replace the defaults where they are positive numbers', () => {
+  const thresholds = resolveThresholds({ preset: 'custom', custom: { sleep: '20', caution: '', dailyLimit: '-5', dailyWarning: 'lots' } })
+  assert.deepEqual(thresholds, { ...DEFAULT_THRESHOLDS, sleep: 20 })
+})
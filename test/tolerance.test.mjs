@@ -0,0 +1,54 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MAX_TOLERANCE, TOLERANCE_MIN_LOGGED_DAYS, analyzeDay, estimateTolerance } from '../utils/engine.js'
+
+const DATE = '2024-06-03'
+const day = (dose) => ({ date: 'any', drinks: dose ? [{ name: 'Coffee', dose, startTimeString: '08:00', endTimeString: '' }] : [] })
+const days = (...doses) => doses.map(day)
+
+const assertClose = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`)
+}
+
+test('less than a week of logged days is not enough to judge', () => {
+  const estimate = estimateTolerance(days(300, 0, 300, 300, 300, 300, 300))
+  assert.equal(estimate.level, 'unknown')
+  assert.equal(estimate.loggedDays, TOLERANCE_MIN_LOGGED_DAYS - 1)
+  assert.equal(estimate.sensitivity, 1)
+})
+
+test('a steady habit gives that daily average and a matching level', () => {
+  const estimate = estimateTolerance(days(300, 300, 300, 300, 300, 300, 300, 0, 0))
+  assertClose(estimate.dailyAverage, 300)
+  assert.equal(estimate.level, 'moderate')
+  // Half of the maximum at the half-saturation intake
+  assertClose(estimate.tolerance, MAX_TOLERANCE / 2)
+  assertClose(estimate.sensitivity, 1 - MAX_TOLERANCE / 2)
+})
+
+test('recent days count for more than older ones', () => {
+  const cuttingDown = estimateTolerance([...days(50, 50, 50, 50, 50, 50, 50), ...days(400, 400, 400, 400, 400, 400, 400)])
+  const steppingUp = estimateTolerance([...days(400, 400, 400, 400, 400, 400, 400), ...days(50, 50, 50, 50, 50, 50, 50)])
+  assert.ok(cuttingDown.dailyAverage < 225 && steppingUp.dailyAverage > 225)
+  assert.equal(estimateTolerance(days(20, 20, 20, 20, 20, 20, 20)).level, 'naive')
+})
+
+test('tolerance scales the felt stimulation, not the modeled level', () => {
+  const input = {
+    personalInfo: { age: '25', sex: 'male', weight: '70' },
+    units: { weight: 'metric' },
+    drinks: [{ name: 'Coffee', dose: 200, startTimeString: '13:00', endTimeString: '' }],
+    bedtime: '23:00',
+    date: DATE,
+    now: new Date(`${DATE}T06:00:00`),
+    kinetics: { model: 'bolus' },
+    chartHours: 24
+  }
+  const plain = analyzeDay(input)
+  const tolerant = analyzeDay({ ...input, tolerance: estimateTolerance(days(300, 300, 300, 300, 300, 300, 300)) })
+  assert.equal(plain.stimulation, null)
+  assert.equal(tolerant.bedtimeLevel, plain.bedtimeLevel)
+  tolerant.stimulation.points.forEach((point, index) => {
+    assertClose(point.caffeine, plain.totalPoints[index].caffeine * tolerant.stimulation.sensitivity)
+  })
+})
@@ -0,0 +1,32 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { HALF_LIFE_LOG_SD, calculateHalfLifeRange, calculateTotalCaffeineAtBedtime, calculateUncertainty } from '../utils/engine.js'
+
+const DATE = '2024-06-03'
+const BOLUS = { model: 'bolus' }
+const drinks = [{ name: 'Coffee', dose: 200, startTimeString: '13:00', endTimeString: '' }]
+
+test('the half-life range spans the 10th to 90th percentile around the estimate', () => {
+  const { low, high } = calculateHalfLifeRange(5)
+  // Symmetric on the log scale, so the estimate is the geometric mean of the two
+  assert.ok(Math.abs(Math.sqrt(low * high) - 5) < 1e-9)
+  assert.ok(Math.abs(Math.log(high / 5) - 1.2816 * HALF_LIFE_LOG_SD) < 1e-9)
+  assert.ok(low > 3 && high < 8, `${low}–${high} h`)
+})
+
+test('the bedtime range brackets the estimate, with the slow half-life leaving more', () => {
+  const uncertainty = calculateUncertainty({ drinks, bedtime: '23:00', date: DATE, halfLife: 5, kinetics: BOLUS, chartHours: 24 })
+  const estimate = calculateTotalCaffeineAtBedtime(drinks, '23:00', 5, DATE, BOLUS)
+  assert.ok(uncertainty.bedtimeLevel.low < estimate && estimate < uncertainty.bedtimeLevel.high)
+  assert.ok(Math.abs(uncertainty.bedtimeLevel.high - 200 * 0.5 ** (10 / uncertainty.halfLife.high)) < 1e-6)
+})
+
+test('the band curves lie either side of each other once the drink is in', () => {
+  const { lowPoints, highPoints } = calculateUncertainty({ drinks, bedtime: null, date: DATE, halfLife: 5, kinetics: BOLUS, chartHours: 24 })
+  assert.equal(lowPoints.length, highPoints.length)
+  lowPoints.forEach((point, index) => assert.ok(point.caffeine <= highPoints[index].caffeine + 1e-9))
+})
+
+test('without a bedtime there is no bedtime range', () => {
+  assert.equal(calculateUncertainty({ drinks, bedtime: null, date: DATE, halfLife: 5, chartHours: 24 }).bedtimeLevel, null)
+})
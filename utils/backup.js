@@ -0,0 +1,203 @@
+// Full backups as one JSON file
+// A backup holds every day log plus the settings that make the app yours. It records the storage
+// schema it was written with, so restoring an older backup runs the same migrations and checks
+// as loading old data (see schema.js). Pure functions only: storage.js reads and writes.
+import { parseRecord, SCHEMA_VERSION } from './schema'
+
+export const BACKUP_FORMAT = 'cupacity-backup'
+export const BACKUP_VERSION = 1
+
+// Settings in a backup, with the schema kind used to check them (null: stored as a plain value)
+export const BACKUP_SETTINGS = {
+  personalInfo: 'personalInfo',
+  sleepSchedule: 'sleepSchedule',
+  recentDrinks: 'recentDrinks',
+  customDrinks: 'customDrinks',
+  thresholdSettings: 'thresholdSettings',
+  alertnessSettings: 'alertnessSettings',
+  taperPlan: 'taperPlan',
+  darkMode: null,
+  absorptionModel: null,
+  displayMode: null,
+  chartView: null,
+  sleepMode: null
+}
+
+// Values the plain settings can take
+const PLAIN_SETTING_VALUES = {
+  darkMode: [true, false],
+  absorptionModel: ['absorption', 'bolus'],
+  displayMode: ['amount', 'concentration'],
+  chartView: ['lines', 'stacked'],
+  sleepMode: ['bedtime', 'periods']
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// days: { 'YYYY-MM-DD': drinks }, settings: values keyed as in BACKUP_SETTINGS
+export const createBackup = ({ days, settings }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  days,
+  settings
+})
+
+export const getBackupFileName = (date) => `cupacity-backup-${date}.json`
+
+// Run a backed-up value through the schema as if it had been stored at the backup's version
+const parseBackedUp = (kind, data, schemaVersion) => {
+  return parseRecord(kind, JSON.stringify({ version: schemaVersion, data }))
+}
+
+// Keep the settings that pass the same checks as loading them (values keyed as in BACKUP_SETTINGS,
+// written at `schemaVersion`). Returns { settings, rejected: [name] }
+export const validateSettings = (values, schemaVersion = SCHEMA_VERSION) => {
+  const settings = {}
+  const rejected = []
+  for (const [name, kind] of Object.entries(BACKUP_SETTINGS)) {
+    const value = values[name]
+    if (value === undefined || value === null) continue
+    if (!kind) {
+      if (PLAIN_SETTING_VALUES[name].includes(value)) settings[name] = value
+      else rejected.push(name)
+      continue
+    }
+    const result = parseBackedUp(kind, value, schemaVersion)
+    if (result.error) rejected.push(name)
+    else settings[name] = result.data
+  }
+  return { settings, rejected }
+}
+
+// Read a backup file. Returns { error } when it can't be used, otherwise
+// { backup, rejected: [{ date, reason }] } with bad drink entries left out
+export const parseBackup = (text) => {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    return { error: 'This file is not valid JSON' }
+  }
+
+  if (!isObject(parsed) || parsed.format !== BACKUP_FORMAT) return { error: 'This file is not a Cupacity backup' }
+  if (!Number.isInteger(parsed.version) || parsed.version > BACKUP_VERSION) {
+    return { error: 'This backup was made by a newer version of the app' }
+  }
+  if (!isObject(parsed.days)) return { error: 'This backup has no day logs' }
+
+  const schemaVersion = Number.isInteger(parsed.schemaVersion) ? parsed.schemaVersion : 1
+  const rejected = []
+  const days = {}
+  for (const [date, drinks] of Object.entries(parsed.days)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      rejected.push({ date, reason: 'Not a date' })
+      continue
+    }
+    const result = parseBackedUp('day', drinks, schemaVersion)
+    if (result.error) {
+      rejected.push({ date, reason: result.error })
+      continue
+    }
+    result.rejected.forEach(({ reason }) => rejected.push({ date, reason }))
+    if (result.data.length > 0) days[date] = result.data
+  }
+
+  // Settings that don't pass their checks are left out, so the current ones stay
+  const { settings } = validateSettings(isObject(parsed.settings) ? parsed.settings : {}, schemaVersion)
+
+  return { backup: { exportedAt: parsed.exportedAt || null, days, settings }, rejected }
+}
+
+// Two logged drinks are the same entry when name, dose and times match
+export const drinkSignature = (drink) => [drink.name, drink.dose, drink.startTimeString, drink.endTimeString || ''].join('|')
+
+// Everything about a logged drink that a restore can change, so an edited category or
+// compounds counts as a change of that entry
+const drinkContent = (drink) => [
+  drinkSignature(drink),
+  drink.category || '',
+  JSON.stringify(drink.compounds || null)
+].join('|')
+
+const sameDrinks = (a, b) => {
+  if (a.length !== b.length) return false
+  const contents = a.map(drinkContent).sort()
+  return b.map(drinkContent).sort().every((content, index) => content === contents[index])
+}
+
+// Combine two lists of named entries, keeping current entries when a name is in both
+const mergeByName = (current, incoming) => {
+  const names = new Set((current || []).map(entry => entry.name))
+  return [...(current || []), ...incoming.filter(entry => !names.has(entry.name))]
+}
+
+// Work out what restoring would do to the current data ({ 'YYYY-MM-DD': drinks }).
+// 'merge' keeps everything already here: new days are added and a conflicting day (logged on both
+// sides, with different drinks) gains the backup's drinks it doesn't have yet. A drink whose id is
+// already here was edited on one side, and the version here is kept. 'replace' makes the
+// stored data match the backup, removing days the backup doesn't have.
+// Returns { days: [{ date, status, drinks, conflict }], settings, summary } where `drinks` is what
+// the day will hold afterwards and status is 'added', 'changed', 'removed' or 'unchanged'. A drink
+// in both with a different category or compounds counts as updated
+export const planRestore = (backup, currentDays, currentSettings, mode) => {
+  const dates = [...new Set([...Object.keys(currentDays), ...Object.keys(backup.days)])].sort()
+  const summary = { daysAdded: 0, daysChanged: 0, daysRemoved: 0, drinksAdded: 0, drinksUpdated: 0, drinksRemoved: 0, conflicts: [] }
+
+  const days = dates.map(date => {
+    const current = currentDays[date] || []
+    const incoming = backup.days[date] || []
+    const conflict = current.length > 0 && incoming.length > 0 && !sameDrinks(current, incoming)
+    if (conflict) summary.conflicts.push(date)
+
+    let drinks
+    if (mode === 'replace') {
+      drinks = incoming
+    } else {
+      const signatures = new Set(current.map(drinkSignature))
+      const ids = new Set(current.map(drink => drink.id))
+      drinks = [...current, ...incoming.filter(drink => !signatures.has(drinkSignature(drink)) && !ids.has(drink.id))]
+    }
+
+    const currentSignatures = current.map(drinkSignature)
+    const nextSignatures = drinks.map(drinkSignature)
+    const currentContents = current.map(drinkContent)
+    const added = nextSignatures.filter(signature => !currentSignatures.includes(signature)).length
+    const removed = currentSignatures.filter(signature => !nextSignatures.includes(signature)).length
+    const updated = drinks.filter(drink => (
+      currentSignatures.includes(drinkSignature(drink)) && !currentContents.includes(drinkContent(drink))
+    )).length
+    summary.drinksAdded += added
+    summary.drinksUpdated += updated
+    summary.drinksRemoved += removed
+
+    let status = 'unchanged'
+    if (current.length === 0 && drinks.length > 0) {
+      status = 'added'
+      summary.daysAdded += 1
+    } else if (current.length > 0 && drinks.length === 0) {
+      status = 'removed'
+      summary.daysRemoved += 1
+    } else if (added > 0 || removed > 0 || updated > 0) {
+      status = 'changed'
+      summary.daysChanged += 1
+    }
+    return { date, status, drinks, conflict }
+  })
+
+  // Replace takes every setting from the backup; merge only fills in what isn't set here
+  // and adds the backup's custom drinks to the current ones
+  const settings = mode === 'replace'
+    ? { ...backup.settings }
+    : {
+      ...Object.fromEntries(Object.entries(backup.settings).filter(([name]) => (
+        currentSettings[name] === undefined || currentSettings[name] === null
+      ))),
+      ...(backup.settings.customDrinks && {
+        customDrinks: mergeByName(currentSettings.customDrinks, backup.settings.customDrinks)
+      })
+    }
+
+  return { days, settings, summary }
+}
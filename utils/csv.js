@@ -0,0 +1,269 @@
+// CSV export and import of the drink log
+// Export writes one row per drink. Import reads logs from other trackers: columns are mapped to
+// our fields, date and time formats are detected from the values, and every row is checked so
+// problems can be shown before anything is saved. Pure functions only.
+import { drinkSignature } from './backup'
+
+// Fields of a drink row, in export order
+export const CSV_FIELDS = ['date', 'name', 'dose', 'start', 'end', 'category']
+
+export const CSV_FIELD_LABELS = {
+  date: 'Date',
+  name: 'Drink',
+  dose: 'Caffeine (mg)',
+  start: 'Start time',
+  end: 'End time',
+  category: 'Category'
+}
+
+// Header names other trackers use for each field (lowercase, compared without spaces or punctuation)
+const HEADER_ALIASES = {
+  date: ['date', 'day', 'datetime', 'timestamp', 'when', 'datum'],
+  name: ['name', 'drink', 'beverage', 'item', 'product', 'description'],
+  dose: ['dose', 'caffeine', 'caffeinemg', 'mg', 'amount', 'amountmg'],
+  start: ['start', 'starttime', 'time', 'from', 'consumed', 'consumedat'],
+  end: ['end', 'endtime', 'to', 'finished', 'finishedat'],
+  category: ['category', 'type', 'kind', 'group']
+}
+
+export const DATE_FORMATS = {
+  'YYYY-MM-DD': { pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/, order: ['year', 'month', 'day'], label: '2024-12-31' },
+  'DD/MM/YYYY': { pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/, order: ['day', 'month', 'year'], label: '31/12/2024' },
+  'MM/DD/YYYY': { pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/, order: ['month', 'day', 'year'], label: '12/31/2024' }
+}
+
+export const TIME_FORMATS = {
+  '24h': { pattern: /^(\d{1,2}):(\d{2})(?::\d{2})?$/, label: '13:45' },
+  '12h': { pattern: /^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap])\.?m?\.?$/i, label: '1:45 PM' }
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/
+
+// Quote a value when it holds a delimiter, quote or line break. Text that a spreadsheet would
+// run as a formula gets a leading ' so it opens as plain text
+const escapeCsvValue = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value)
+  const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Undo the ' that escapeCsvValue puts before formula-like text
+const unescapeFormula = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value)
+
+// days: [{ date, drinks }] as loaded from storage
+export const toCsv = (days) => {
+  const rows = days.flatMap(({ date, drinks }) => drinks.map(drink => [
+    date,
+    drink.name,
+    drink.dose,
+    drink.startTimeString,
+    drink.endTimeString || '',
+    drink.category || ''
+  ]))
+  return [CSV_FIELDS, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n'
+}
+
+export const getCsvFileName = (startDate, endDate) => `cupacity-drinks-${startDate}-to-${endDate}.csv`
+
+// Comma, semicolon or tab, whichever splits the first line the most
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  return [',', ';', '\t'].reduce((best, delimiter) => (
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  ), ',')
+}
+
+// Split CSV text into rows of cells, honouring quoted values. Blank lines are dropped;
+// each row keeps its line number for error messages
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '') // Byte order mark some spreadsheet apps add
+  const delimiter = detectDelimiter(source)
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+  let line = 1
+  let rowLine = 1
+
+  const endRow = () => {
+    row.push(cell)
+    if (row.some(value => value.trim() !== '')) rows.push({ line: rowLine, cells: row.map(value => value.trim()) })
+    row = []
+    cell = ''
+  }
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        if (char === '\n') line++
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      endRow()
+      line++
+      rowLine = line
+    } else {
+      cell += char
+    }
+  }
+  endRow()
+
+  return { header: rows.length > 0 ? rows[0].cells : [], rows: rows.slice(1) }
+}
+
+const normalizeHeader = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '')
+
+// Column index per field ({ date: 0, ... }, null when no column matches)
+export const guessColumnMapping = (header) => {
+  const normalized = header.map(normalizeHeader)
+  const used = new Set()
+  return Object.fromEntries(CSV_FIELDS.map(field => {
+    const index = normalized.findIndex((name, i) => !used.has(i) && HEADER_ALIASES[field].includes(name))
+    if (index === -1) return [field, null]
+    used.add(index)
+    return [field, index]
+  }))
+}
+
+// Some trackers put date and time in one column ("2024-12-31 13:45" or "2024-12-31T13:45:00")
+const splitDateTime = (value) => {
+  const match = value.match(/^(\S+?)(?:[T\s]+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?m?\.?)?))?$/i)
+  return match ? { date: match[1], time: match[2] || '' } : { date: value, time: '' }
+}
+
+const readDate = (value, format) => {
+  const match = value.match(DATE_FORMATS[format].pattern)
+  if (!match) return null
+  const parts = Object.fromEntries(DATE_FORMATS[format].order.map((part, index) => [part, Number(match[index + 1])]))
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day))
+  if (date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day) return null
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`
+}
+
+const readTime = (value, format) => {
+  const match = value.match(TIME_FORMATS[format].pattern)
+  if (!match) return null
+  let hours = Number(match[1])
+  const minutes = Number(match[2])
+  if (format === '12h') {
+    if (hours < 1 || hours > 12) return null
+    hours = (hours % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0)
+  }
+  if (hours > 23 || minutes > 59) return null
+  return `${pad(hours)}:${pad(minutes)}`
+}
+
+// The format that reads the most values, so a few bad rows don't throw detection off. On a tie
+// (no day above 12) month-first is assumed over day-first, as that's how the app shows dates
+export const detectDateFormat = (values) => {
+  const dates = values.map(value => splitDateTime(value).date).filter(Boolean)
+  const readable = (format) => dates.filter(value => readDate(value, format) !== null).length
+  return ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'].reduce((best, format) => (
+    readable(format) > readable(best) ? format : best
+  ))
+}
+
+// The format that reads the most values, so one stray "pm" doesn't switch a 24-hour file over;
+// cells written the other way show up as row problems in the preview. A tie stays on 24-hour
+export const detectTimeFormat = (values) => {
+  const times = values.filter(Boolean)
+  const readable = (format) => times.filter(value => readTime(value, format) !== null).length
+  return readable('12h') > readable('24h') ? '12h' : '24h'
+}
+
+// Why a time cell can't be read, naming the other format when the cell is written that way
+const describeTimeProblem = (label, value, timeFormat) => {
+  const otherFormat = timeFormat === '12h' ? '24h' : '12h'
+  return readTime(value, otherFormat) === null
+    ? `${label} "${value}" can't be read as ${TIME_FORMATS[timeFormat].label}`
+    : `${label} "${value}" is written as ${TIME_FORMATS[otherFormat].label} but the file uses ${TIME_FORMATS[timeFormat].label}`
+}
+
+// Formats detected from the mapped columns
+export const detectFormats = (rows, mapping) => {
+  const column = (field) => mapping[field] === null ? [] : rows.map(row => row.cells[mapping[field]] || '')
+  const timeValues = [
+    ...column('start'),
+    ...column('end'),
+    ...column('date').map(value => splitDateTime(value).time)
+  ]
+  return { dateFormat: detectDateFormat(column('date')), timeFormat: detectTimeFormat(timeValues) }
+}
+
+// Turn CSV rows into drinks. Each result is { line, date, drink } or { line, error }
+export const convertCsvRows = (rows, mapping, { dateFormat, timeFormat }) => {
+  return rows.map(({ line, cells }) => {
+    const cell = (field) => mapping[field] === null ? '' : (cells[mapping[field]] || '')
+    const { date: dateValue, time: embeddedTime } = splitDateTime(cell('date'))
+
+    const date = readDate(dateValue, dateFormat)
+    if (!date) return { line, error: `Date "${cell('date')}" can't be read as ${DATE_FORMATS[dateFormat].label}` }
+
+    const dose = parseFloat(cell('dose').replace(',', '.'))
+    if (!Number.isFinite(dose) || dose <= 0) return { line, error: `Caffeine "${cell('dose')}" is not an amount in mg` }
+
+    const startValue = cell('start') || embeddedTime
+    const startTimeString = readTime(startValue, timeFormat)
+    if (!startTimeString) return { line, error: describeTimeProblem('Start time', startValue, timeFormat) }
+
+    const endTimeString = cell('end') ? readTime(cell('end'), timeFormat) : ''
+    if (endTimeString === null) return { line, error: describeTimeProblem('End time', cell('end'), timeFormat) }
+
+    return {
+      line,
+      date,
+      drink: {
+        name: unescapeFormula(cell('name')) || 'Unnamed drink',
+        dose,
+        startTime: new Date(`${date}T${startTimeString}`).getTime(),
+        endTime: new Date(`${date}T${endTimeString || startTimeString}`).getTime(),
+        startTimeString,
+        endTimeString,
+        ...(cell('category') && { category: unescapeFormula(cell('category')) })
+      }
+    }
+  })
+}
+
+// Dry run of an import: which drinks get added to which day, leaving out rows already logged
+// (currentDays: { 'YYYY-MM-DD': drinks }). Returns { days: [{ date, drinks }] with the drinks
+// to add, imported, duplicates, errors: [{ line, error }] }
+export const planCsvImport = (results, currentDays) => {
+  const errors = results.filter(result => result.error)
+  const signatures = {}
+  const additions = {}
+  let duplicates = 0
+
+  results.filter(result => !result.error).forEach(({ date, drink }) => {
+    signatures[date] = signatures[date] || new Set((currentDays[date] || []).map(drinkSignature))
+    if (signatures[date].has(drinkSignature(drink))) {
+      duplicates += 1
+      return
+    }
+    signatures[date].add(drinkSignature(drink))
+    additions[date] = [...(additions[date] || []), drink]
+  })
+
+  const days = Object.keys(additions).sort().map(date => ({ date, drinks: additions[date] }))
+  return {
+    days,
+    imported: days.reduce((sum, day) => sum + day.drinks.length, 0),
+    duplicates,
+    errors
+  }
+}
@@ -0,0 +1,20 @@
+// YYYY-MM-DD date strings, shared by storage and the planners. Days are the user's local
+// calendar days, so dates are read and written in local time, never through UTC
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// The local calendar day a Date falls on
+export const toDateString = (date) => {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+export const getTodayDate = () => {
+  return toDateString(new Date()) // YYYY-MM-DD format
+}
+
+// Shift a YYYY-MM-DD string by a number of days (noon keeps a DST change from moving the day)
+export const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T12:00:00`)
+  shifted.setDate(shifted.getDate() + days)
+  return toDateString(shifted)
+}
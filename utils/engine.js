@@ -0,0 +1,871 @@
+// Caffeine pharmacokinetics engine
+// Pure functions only: no React, no DOM, no localStorage. The calculator page,
+// the history page and any scripts share this module so they all use the same math.
+
+export const BASE_HALF_LIFE = 5 // hours
+export const SAFE_SLEEP_THRESHOLD = 30 // mg
+export const CARRY_OVER_DAYS = 2 // earlier days that still contribute residual caffeine
+
+// Absorption models: 'absorption' is first-order uptake from the gut (Bateman),
+// 'bolus' treats every dose as entering the bloodstream instantly
+export const ABSORPTION_MODELS = ['absorption', 'bolus']
+export const DEFAULT_ABSORPTION_RATE = 5 // per hour, peaks ~40 min after an instant drink
+export const DEFAULT_KINETICS = { model: 'absorption', absorptionRate: DEFAULT_ABSORPTION_RATE }
+
+const MS_PER_HOUR = 1000 * 60 * 60
+
+const resolveKinetics = (kinetics) => ({ ...DEFAULT_KINETICS, ...kinetics })
+
+// Fraction of an oral dose in the body t hours after ingestion (Bateman function)
+export const batemanFraction = (hours, halfLife, absorptionRate = DEFAULT_ABSORPTION_RATE) => {
+  if (hours <= 0) return 0
+  const ke = Math.LN2 / halfLife
+  const ka = absorptionRate
+  if (Math.abs(ka - ke) < 1e-9) return ka * hours * Math.exp(-ke * hours)
+  return (ka / (ka - ke)) * (Math.exp(-ke * hours) - Math.exp(-ka * hours))
+}
+
+// Share of an instant dose still in the body after the given hours
+export const calculateRemainingShare = (hours, halfLife, kinetics = {}) => {
+  if (hours < 0) return 0
+  const { model, absorptionRate } = resolveKinetics(kinetics)
+  return model === 'bolus'
+    ? Math.pow(0.5, hours / halfLife)
+    : batemanFraction(hours, halfLife, absorptionRate)
+}
+
+// Hours after ingestion at which the Bateman curve peaks
+export const calculatePeakHours = (halfLife, absorptionRate = DEFAULT_ABSORPTION_RATE) => {
+  const ke = Math.LN2 / halfLife
+  const ka = absorptionRate
+  if (Math.abs(ka - ke) < 1e-9) return 1 / ke
+  return Math.log(ka / ke) / (ka - ke)
+}
+
+// Local midnight of a YYYY-MM-DD string or Date (defaults to today)
+export const toReferenceDate = (date) => {
+  const reference = !date
+    ? new Date()
+    : date instanceof Date
+      ? new Date(date.getTime())
+      : new Date(`${date}T00:00:00`)
+  reference.setHours(0, 0, 0, 0)
+  return reference
+}
+
+// Turn an "HH:MM" string into a Date on the reference day
+export const timeOnDate = (timeString, date) => {
+  const [hours, minutes] = timeString.split(':').map(part => parseInt(part) || 0)
+  const result = toReferenceDate(date)
+  result.setHours(hours, minutes, 0, 0)
+  return result
+}
+
+// An explicit Date (e.g. the start of a sleep period) is used as is; "HH:MM"
+// bedtimes before noon are treated as the following day (e.g. 01:00)
+export const getBedtimeDate = (bedtime, date) => {
+  if (bedtime instanceof Date) return new Date(bedtime.getTime())
+  const bed = timeOnDate(bedtime, date)
+  if (bed.getHours() < 12) bed.setDate(bed.getDate() + 1)
+  return bed
+}
+
+// Start and end of a drink; an end before the start means it finished after midnight
+export const getIntakeWindow = (drink, date) => {
+  const start = timeOnDate(drink.startTimeString, date)
+  const end = timeOnDate(drink.endTimeString || drink.startTimeString, date)
+  if (end < start) end.setDate(end.getDate() + 1)
+  return { start, end }
+}
+
+export const isValidDrink = (drink) => Boolean(drink.dose && drink.startTimeString)
+
+export const calculateDailyIntake = (drinks) => {
+  return drinks.reduce((total, drink) => {
+    const dose = parseFloat(drink.dose) || 0
+    return total + dose
+  }, 0)
+}
+
+export const convertToMetric = (value, type, unit) => {
+  if (unit === 'metric') return parseFloat(value)
+
+  if (type === 'weight') {
+    // Convert pounds to kg
+    return parseFloat(value) * 0.453592
+  }
+  return parseFloat(value)
+}
+
+// Caffeine distributes roughly through total body water
+export const VOLUME_OF_DISTRIBUTION_PER_KG = 0.6 // L/kg
+// mg limits are set for a 70 kg adult; concentration limits are their mg/L equivalents
+export const REFERENCE_WEIGHT = 70 // kg
+
+export const toReferenceConcentration = (mg) => mg / (REFERENCE_WEIGHT * VOLUME_OF_DISTRIBUTION_PER_KG)
+
+export const calculateVolumeOfDistribution = (personalInfo, units) => {
+  const weight = convertToMetric(personalInfo.weight, 'weight', units.weight)
+  return weight > 0 ? weight * VOLUME_OF_DISTRIBUTION_PER_KG : null
+}
+
+// Convert a modeled amount (mg) into an estimated blood concentration (mg/L)
+export const toConcentration = (mg, volumeOfDistribution) => {
+  return volumeOfDistribution ? mg / volumeOfDistribution : 0
+}
+
+// Metabolic factors that scale the half-life after the age/weight/sex steps
+export const SMOKING_MULTIPLIER = 0.5 // smoking induces CYP1A2, roughly halving the half-life
+export const ORAL_CONTRACEPTIVE_MULTIPLIER = 2
+export const PREGNANCY_TRIMESTERS = {
+  1: { label: '1st trimester', multiplier: 1.5 },
+  2: { label: '2nd trimester', multiplier: 2 },
+  3: { label: '3rd trimester', multiplier: 3 }
+}
+export const LIVER_FUNCTION_LEVELS = {
+  mild: { label: 'Mildly impaired liver function', multiplier: 2 },
+  severe: { label: 'Severely impaired liver function', multiplier: 4 }
+}
+export const CYP1A2_INHIBITORS = {
+  fluvoxamine: { label: 'Fluvoxamine', multiplier: 5 },
+  ciprofloxacin: { label: 'Ciprofloxacin', multiplier: 1.5 },
+  other: { label: 'Other CYP1A2 inhibitor', multiplier: 1.5 }
+}
+
+// Step-by-step half-life estimate: additive hours first, then multipliers
+export const calculateHalfLifeBreakdown = (personalInfo, units) => {
+  const adjustments = []
+
+  const age = parseInt(personalInfo.age)
+  const weight = convertToMetric(personalInfo.weight, 'weight', units.weight)
+  const sex = personalInfo.sex
+
+  // Age adjustments
+  if (age > 50) {
+    adjustments.push({ factor: 'age', label: 'Age over 50', hours: 1 })
+  } else if (age >= 30 && age <= 50) {
+    adjustments.push({ factor: 'age', label: 'Age 30–50', hours: 0.5 })
+  }
+
+  // Weight adjustments (using metric values)
+  if (weight < 60) {
+    adjustments.push({ factor: 'weight', label: 'Weight under 60 kg', hours: 0.5 })
+  } else if (weight > 90) {
+    adjustments.push({ factor: 'weight', label: 'Weight over 90 kg', hours: -0.5 })
+  }
+
+  // Sex adjustment
+  if (sex === 'female') {
+    adjustments.push({ factor: 'sex', label: 'Female', hours: 0.5 })
+  }
+
+  if (personalInfo.smoker) {
+    adjustments.push({ factor: 'smoker', label: 'Smoking', multiplier: SMOKING_MULTIPLIER })
+  }
+
+  if (sex === 'female') {
+    const trimester = PREGNANCY_TRIMESTERS[personalInfo.pregnancyTrimester]
+    if (trimester) {
+      adjustments.push({ factor: 'pregnancy', label: `Pregnancy (${trimester.label})`, multiplier: trimester.multiplier })
+    } else if (personalInfo.oralContraceptives) {
+      adjustments.push({ factor: 'oralContraceptives', label: 'Oral contraceptives', multiplier: ORAL_CONTRACEPTIVE_MULTIPLIER })
+    }
+  }
+
+  const liver = LIVER_FUNCTION_LEVELS[personalInfo.liverFunction]
+  if (liver) {
+    adjustments.push({ factor: 'liverFunction', label: liver.label, multiplier: liver.multiplier })
+  }
+
+  const inhibitor = CYP1A2_INHIBITORS[personalInfo.cyp1a2Inhibitor]
+  if (inhibitor) {
+    adjustments.push({ factor: 'cyp1a2Inhibitor', label: inhibitor.label, multiplier: inhibitor.multiplier })
+  }
+
+  const additive = adjustments.reduce((total, adjustment) => total + (adjustment.hours || 0), BASE_HALF_LIFE)
+  const multiplier = adjustments.reduce((total, adjustment) => total * (adjustment.multiplier || 1), 1)
+
+  return {
+    base: BASE_HALF_LIFE,
+    adjustments,
+    halfLife: Math.max(1, additive * multiplier) // Minimum 1 hour
+  }
+}
+
+export const calculateAdjustedHalfLife = (personalInfo, units) => {
+  return calculateHalfLifeBreakdown(personalInfo, units).halfLife
+}
+
+// Sample a single drink's caffeine level every 10 minutes from its start time
+export const calculateCaffeineCurve = (startTime, endTime, caffeineMg, halfLifeHours = BASE_HALF_LIFE, totalHours = 48, kinetics = {}) => {
+  const { model, absorptionRate } = resolveKinetics(kinetics)
+  const start = new Date(startTime)
+  const end = new Date(endTime)
+  const durationHours = Math.max((end - start) / MS_PER_HOUR, 0)
+  const isInstant = durationHours < 0.016 // <1 min = instant
+  const stepMinutes = 10
+  const step = stepMinutes / 60 // hours
+  const intakeRate = isInstant ? 0 : caffeineMg / durationHours
+
+  let caffeine = 0
+  let gut = 0 // caffeine swallowed but not yet absorbed
+  const points = []
+
+  for (let t = 0; t <= totalHours; t += step) {
+    const currentTime = new Date(start.getTime() + t * MS_PER_HOUR)
+
+    if (model === 'bolus') {
+      if (isInstant) {
+        if (t === 0 || t <= 0.01) {
+          caffeine = caffeineMg
+        } else {
+          caffeine = caffeineMg * Math.pow(0.5, t / halfLifeHours)
+        }
+      } else {
+        const consuming = t < durationHours
+        caffeine *= Math.pow(0.5, step / halfLifeHours) // decay
+        if (consuming) caffeine += intakeRate * step // add intake
+      }
+    } else if (isInstant) {
+      caffeine = caffeineMg * batemanFraction(t, halfLifeHours, absorptionRate)
+    } else if (t > 0) {
+      // Advance the gut and body compartments over the previous step
+      const swallowed = intakeRate * Math.max(0, Math.min(step, durationHours - (t - step)))
+      gut += swallowed
+      const absorbedShare = batemanFraction(step, halfLifeHours, absorptionRate)
+      caffeine = caffeine * Math.pow(0.5, step / halfLifeHours) + gut * absorbedShare
+      gut *= Math.exp(-absorptionRate * step)
+    }
+
+    points.push({ time: currentTime, caffeine: Math.max(0, caffeine) })
+  }
+
+  return points
+}
+
+// Level-over-time function for one drink, valid up to `until`.
+// Gradual drinks are simulated once and then looked up, so sampling a whole day stays cheap.
+export const createDrinkSampler = (drink, halfLife, date, kinetics = {}, until = null) => {
+  if (!isValidDrink(drink)) return () => 0
+  const dose = Number(drink.dose || 0)
+  const { start, end } = getIntakeWindow(drink, date)
+
+  const minutesToAbsorb = Math.max(1, (end - start) / 60000)
+  const isInstant = minutesToAbsorb <= 1
+  const totalHours = until ? Math.max(48, Math.ceil((until - start) / MS_PER_HOUR)) : 48
+  const curve = isInstant ? null : calculateCaffeineCurve(start, end, dose, halfLife, totalHours, kinetics)
+
+  return (target) => {
+    const hoursSinceStart = (target - start) / MS_PER_HOUR
+    if (hoursSinceStart < 0) return 0
+
+    if (isInstant) {
+      return Math.max(0, dose * calculateRemainingShare(hoursSinceStart, halfLife, kinetics))
+    }
+
+    // Gradual consumption: last simulated point (10-minute steps) at or before the target
+    const index = Math.min(curve.length - 1, Math.floor(hoursSinceStart * 6 + 1e-9))
+    return Math.max(0, curve[index].caffeine)
+  }
+}
+
+// Summed sampler over today's drinks and earlier days' logs ([{ date, drinks }])
+export const createTotalSampler = (drinks, halfLife, date, kinetics = {}, previousDays = [], until = null) => {
+  const samplers = [
+    ...drinks.map(drink => createDrinkSampler(drink, halfLife, date, kinetics, until)),
+    ...previousDays.flatMap(day => day.drinks.map(drink => createDrinkSampler(drink, halfLife, day.date, kinetics, until)))
+  ]
+  return (target) => samplers.reduce((total, sample) => total + sample(target), 0)
+}
+
+// Caffeine left from one drink at an arbitrary target time
+export const calculateCaffeineAt = (drink, target, halfLife, date, kinetics = {}) => {
+  return createDrinkSampler(drink, halfLife, date, kinetics, target)(target)
+}
+
+export const calculateTotalCaffeineAt = (drinks, target, halfLife, date, kinetics = {}) => {
+  return drinks.reduce((total, drink) => total + calculateCaffeineAt(drink, target, halfLife, date, kinetics), 0)
+}
+
+export const calculateCaffeineRemaining = (dose, bedtime, halfLife, startTime = null, endTime = null, date, kinetics = {}) => {
+  if (!startTime) return 0
+  const drink = { dose, startTimeString: startTime, endTimeString: endTime }
+  return calculateCaffeineAt(drink, getBedtimeDate(bedtime, date), halfLife, date, kinetics)
+}
+
+export const calculateTotalCaffeineAtBedtime = (drinks, bedtime, halfLife, date, kinetics = {}) => {
+  return calculateTotalCaffeineAt(drinks, getBedtimeDate(bedtime, date), halfLife, date, kinetics)
+}
+
+// Residual caffeine at a target time from earlier days' logs ([{ date, drinks }])
+export const calculateCarryOverAt = (previousDays, target, halfLife, kinetics = {}) => {
+  return previousDays.reduce((total, day) => {
+    return total + calculateTotalCaffeineAt(day.drinks, target, halfLife, day.date, kinetics)
+  }, 0)
+}
+
+// Sample a level function every 10 minutes from midnight of the given day
+const sampleDay = (sample, date, totalHours) => {
+  const dayStart = toReferenceDate(date)
+  const points = []
+  for (let minutes = 0; minutes <= totalHours * 60; minutes += 10) {
+    const time = new Date(dayStart.getTime() + minutes * 60000)
+    points.push({ time, caffeine: sample(time) })
+  }
+  return points
+}
+
+// Carried-over caffeine sampled every 10 minutes from midnight of the given day
+export const calculateCarryOverCurve = (previousDays, date, halfLife, totalHours = 48, kinetics = {}) => {
+  if (previousDays.length === 0) return []
+  const until = new Date(toReferenceDate(date).getTime() + totalHours * MS_PER_HOUR)
+  return sampleDay(createTotalSampler([], halfLife, date, kinetics, previousDays, until), date, totalHours)
+}
+
+// Combined level of all drinks plus carry-over, sampled every 10 minutes from midnight of the day
+export const calculateTotalCurve = (drinks, date, halfLife, totalHours = 48, kinetics = {}, previousDays = []) => {
+  const until = new Date(toReferenceDate(date).getTime() + totalHours * MS_PER_HOUR)
+  return sampleDay(createTotalSampler(drinks, halfLife, date, kinetics, previousDays, until), date, totalHours)
+}
+
+// Explicit sleep periods ([{ start, end, label }], as Dates or "YYYY-MM-DDTHH:MM"
+// strings) for shift workers and naps: the valid ones as Dates, in time order
+export const resolveSleepPeriods = (periods = []) => periods
+  .map(period => ({ ...period, start: new Date(period.start), end: new Date(period.end) }))
+  .filter(period => !isNaN(period.start) && !isNaN(period.end) && period.end > period.start)
+  .sort((a, b) => a.start - b.start)
+
+// The longest period is the main sleep; its start stands in for bedtime
+export const getMainSleepPeriod = (periods) => {
+  return periods.reduce((main, period) => (
+    !main || period.end - period.start > main.end - main.start ? period : main
+  ), null)
+}
+
+// Level when each sleep period starts and its time-average across the period
+export const analyzeSleepPeriods = (periods, sample) => periods.map(period => {
+  const steps = Math.max(1, Math.round((period.end - period.start) / (10 * 60000)))
+  const stepMs = (period.end - period.start) / steps
+  let area = 0
+  let previous = sample(period.start)
+  for (let i = 1; i <= steps; i++) {
+    const level = sample(new Date(period.start.getTime() + i * stepMs))
+    area += (previous + level) / 2 // trapezoid rule
+    previous = level
+  }
+  return {
+    ...period,
+    levelAtStart: sample(period.start),
+    averageLevel: area / steps,
+    levelAtEnd: previous
+  }
+})
+
+// Spread of caffeine half-lives between people (SD of the log half-life)
+export const HALF_LIFE_LOG_SD = 0.35
+const Z_90 = 1.2816 // 90th percentile of the standard normal distribution
+
+// 10th and 90th percentile half-lives around the personal estimate
+export const calculateHalfLifeRange = (halfLife) => ({
+  low: halfLife * Math.exp(-Z_90 * HALF_LIFE_LOG_SD),
+  high: halfLife * Math.exp(Z_90 * HALF_LIFE_LOG_SD)
+})
+
+// Hours after an instant dose until the level falls to the threshold (0 if it never exceeds it)
+export const calculateHoursToThreshold = (dose, threshold, halfLife, kinetics = {}) => {
+  const { model, absorptionRate } = resolveKinetics(kinetics)
+  if (dose <= threshold) return 0
+  if (model === 'bolus') return halfLife * Math.log2(dose / threshold)
+
+  const levelAt = (hours) => dose * batemanFraction(hours, halfLife, absorptionRate)
+  let low = calculatePeakHours(halfLife, absorptionRate)
+  if (levelAt(low) <= threshold) return 0
+
+  // The curve only falls after its peak, so bisect between the peak and a point below the threshold
+  let high = low + halfLife
+  while (levelAt(high) > threshold) high += halfLife
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2
+    if (levelAt(mid) > threshold) low = mid
+    else high = mid
+  }
+  return high
+}
+
+// Format a Date as "h:mm AM/PM"
+export const formatClockTime = (time) => {
+  const hours = time.getHours()
+  const minutes = time.getMinutes()
+  const ampm = hours >= 12 ? 'PM' : 'AM'
+  const displayHours = hours % 12 || 12
+  const displayMinutes = minutes.toString().padStart(2, '0')
+
+  return `${displayHours}:${displayMinutes} ${ampm}`
+}
+
+export const calculateLatestSafeIntakeTime = (bedtime, halfLife, dose, threshold = SAFE_SLEEP_THRESHOLD, options = {}) => {
+  const hoursBeforeBed = calculateHoursToThreshold(dose, threshold, halfLife, options.kinetics)
+  if (hoursBeforeBed <= 0) return 'Any time today'
+
+  const now = options.now || new Date()
+  const bed = getBedtimeDate(bedtime, options.date || now)
+
+  let cutoff = new Date(bed.getTime() - hoursBeforeBed * MS_PER_HOUR)
+
+  // Clamp: not before now
+  if (cutoff < now) return 'Too late for today'
+
+  // Clamp: not after bedtime
+  if (cutoff > bed) cutoff = new Date(bed.getTime() - 15 * 60 * 1000)
+
+  return formatClockTime(cutoff)
+}
+
+export const calculateIndividualCutoffTimes = (drinks, bedtime, halfLife, options = {}) => {
+  const threshold = options.threshold ?? SAFE_SLEEP_THRESHOLD
+  const baseline = options.baseline || 0 // caffeine already expected at bedtime, e.g. carried over
+  const validDrinks = drinks.filter(isValidDrink)
+
+  // For each drink, find when it could be consumed while keeping the total ≤ threshold
+  return validDrinks.map((drink, index) => {
+    const otherDrinks = validDrinks.filter((_, otherIndex) => otherIndex !== index)
+    const otherDrinksCaffeine = baseline + calculateTotalCaffeineAtBedtime(otherDrinks, bedtime, halfLife, options.date, options.kinetics)
+    const maxAllowedCaffeineFromThisDrink = Math.max(0, threshold - otherDrinksCaffeine)
+
+    return {
+      name: drink.name,
+      dose: drink.dose,
+      cutoffTime: maxAllowedCaffeineFromThisDrink > 0
+        ? calculateLatestSafeIntakeTime(bedtime, halfLife, parseFloat(drink.dose), maxAllowedCaffeineFromThisDrink, options)
+        : 'Already over limit'
+    }
+  })
+}
+
+// Date for a new drink at "HH:MM"; times after midnight but before an after-midnight bedtime belong to the next day
+export const resolveIntakeTime = (timeString, bedtime, date) => {
+  const intake = timeOnDate(timeString, date)
+  if (!bedtime) return intake
+  const nextDay = new Date(intake.getTime() + 24 * MS_PER_HOUR)
+  return nextDay <= getBedtimeDate(bedtime, date) ? nextDay : intake
+}
+
+// Largest instant dose that can be taken at `intakeTime` while staying under the
+// sleep threshold from bedtime on (and, when given, within the remaining daily allowance)
+export const calculateMaxDoseAt = (drinks, intakeTime, bedtime, halfLife, options = {}) => {
+  const { model, absorptionRate } = resolveKinetics(options.kinetics)
+  const threshold = options.threshold ?? SAFE_SLEEP_THRESHOLD
+  const bed = getBedtimeDate(bedtime, options.date)
+  const existingAtBedtime = (options.baseline || 0) +
+    calculateTotalCaffeineAt(drinks, bed, halfLife, options.date, options.kinetics)
+
+  if (intakeTime >= bed) {
+    return { maxDose: 0, sleepMax: 0, existingAtBedtime, limitedBy: 'bedtime' }
+  }
+
+  // Highest mg in the body from bedtime on for every 1 mg taken at intakeTime. A dose taken
+  // within its absorption peak of bedtime is still rising then, so its peak counts (as in planDay)
+  const hoursToBed = (bed - intakeTime) / MS_PER_HOUR
+  const peakHours = model === 'bolus' ? 0 : calculatePeakHours(halfLife, absorptionRate)
+  const share = calculateRemainingShare(Math.max(hoursToBed, peakHours), halfLife, options.kinetics)
+  const headroom = Math.max(0, threshold - existingAtBedtime)
+  const sleepMax = share > 0 ? headroom / share : Infinity
+
+  const dailyRemaining = options.dailyRemaining ?? Infinity
+  const maxDose = Math.max(0, Math.min(sleepMax, dailyRemaining))
+
+  return {
+    maxDose,
+    sleepMax,
+    existingAtBedtime,
+    limitedBy: dailyRemaining < sleepMax ? 'daily' : 'sleep'
+  }
+}
+
+// Split drink options ({ name, caffeine }) into those that fit under maxDose and those that don't
+export const findDrinksThatFit = (drinkOptions, maxDose) => {
+  const sorted = [...drinkOptions].sort((a, b) => a.caffeine - b.caffeine)
+  return {
+    fits: sorted.filter(drink => drink.caffeine <= maxDose).reverse(), // strongest that still fit first
+    tooStrong: sorted.filter(drink => drink.caffeine > maxDose)
+  }
+}
+
+// Share of the headroom the recommended plan aims for, leaving a safety margin
+export const PLAN_RECOMMENDED_SHARE = 0.8
+
+// Plan intended drinks ([{ name, dose }], in the order they'll be had) between wake
+// time and bedtime. Drinks are evenly spaced from waking; the spacing is stretched as
+// far as the combined bedtime level allows, so all latest times hold at once (unlike
+// the per-drink cutoffs). When no schedule works, suggests what to drop or downsize.
+export const planDay = (plannedDrinks, { wakeTime, bedtime, halfLife, date, kinetics = {}, threshold = SAFE_SLEEP_THRESHOLD, baseline = 0 }) => {
+  const { model, absorptionRate } = resolveKinetics(kinetics)
+  const drinks = plannedDrinks
+    .map(drink => ({ ...drink, dose: parseFloat(drink.dose) || 0 }))
+    .filter(drink => drink.dose > 0)
+  const bed = getBedtimeDate(bedtime, date)
+  const wake = timeOnDate(wakeTime, date)
+  const windowHours = Math.max(0, (bed - wake) / MS_PER_HOUR)
+  const headroom = threshold - baseline
+
+  // Drink times for a given span (hours from waking to the last drink)
+  const timesFor = (span) => drinks.map((_, index) => {
+    const offset = drinks.length === 1 ? span : span * index / (drinks.length - 1)
+    return new Date(wake.getTime() + offset * MS_PER_HOUR)
+  })
+  const levelFor = (span) => timesFor(span).reduce((total, time, index) => {
+    return total + drinks[index].dose * calculateRemainingShare((bed - time) / MS_PER_HOUR, halfLife, kinetics)
+  }, 0)
+
+  // Stop before the absorption peak would fall after bedtime, where the level stops rising with span
+  const lastGap = model === 'bolus' ? 0.25 : Math.max(0.25, calculatePeakHours(halfLife, absorptionRate))
+  const maxSpan = Math.max(0, windowHours - lastGap)
+
+  if (drinks.length === 0 || levelFor(0) > headroom) {
+    return {
+      feasible: drinks.length === 0 && headroom >= 0,
+      headroom,
+      schedule: [],
+      suggestions: drinks.length > 0 || headroom < 0
+        ? suggestPlanChanges(drinks, levelFor(0) - headroom, calculateRemainingShare(windowHours, halfLife, kinetics))
+        : []
+    }
+  }
+
+  // Longest span whose combined bedtime level stays within the target
+  const spanFor = (target) => {
+    if (levelFor(0) > target) return 0
+    if (levelFor(maxSpan) <= target) return maxSpan
+    let low = 0
+    let high = maxSpan
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2
+      if (levelFor(mid) > target) high = mid
+      else low = mid
+    }
+    return low
+  }
+
+  const latestSpan = spanFor(headroom)
+  const recommendedSpan = spanFor(headroom * PLAN_RECOMMENDED_SHARE)
+  const latestTimes = timesFor(latestSpan)
+  const recommendedTimes = timesFor(recommendedSpan)
+
+  const schedule = drinks.map((drink, index) => ({
+    ...drink,
+    recommendedTime: recommendedTimes[index],
+    latestTime: latestTimes[index],
+    atBedtime: drink.dose * calculateRemainingShare((bed - recommendedTimes[index]) / MS_PER_HOUR, halfLife, kinetics)
+  }))
+
+  return {
+    feasible: true,
+    headroom,
+    schedule,
+    bedtimeLevel: baseline + levelFor(recommendedSpan),
+    latestBedtimeLevel: baseline + levelFor(latestSpan),
+    suggestions: []
+  }
+}
+
+// Ways to remove `excess` mg from the bedtime level when every drink is taken at wake time
+const suggestPlanChanges = (drinks, excess, earliestShare) => {
+  const suggestions = []
+  const removable = drinks.reduce((total, drink) => total + drink.dose * earliestShare, 0)
+
+  if (removable < excess || earliestShare <= 0) {
+    return [{ type: 'skip' }] // already over the limit without any of these drinks
+  }
+
+  // Smallest single drink whose removal is enough
+  const droppable = [...drinks]
+    .sort((a, b) => a.dose - b.dose)
+    .find(drink => drink.dose * earliestShare >= excess)
+  if (droppable) {
+    suggestions.push({ type: 'drop', name: droppable.name, dose: droppable.dose })
+  }
+
+  // Or cut the largest drink down
+  const largest = [...drinks].sort((a, b) => b.dose - a.dose)[0]
+  const newDose = Math.floor(largest.dose - excess / earliestShare)
+  if (newDose > 0) {
+    suggestions.push({ type: 'downsize', name: largest.name, dose: largest.dose, newDose })
+  }
+
+  if (suggestions.length === 0) {
+    suggestions.push({ type: 'reduce', amount: Math.ceil(excess / earliestShare) })
+  }
+  return suggestions
+}
+
+// Alertness maintenance: doses that keep the level above a floor through a work window
+export const DEFAULT_MAX_SINGLE_DOSE = 200 // mg, largest single dose considered safe for healthy adults
+export const ALERTNESS_DOSE_STEP = 5 // mg
+export const ALERTNESS_MIN_DOSE = 20 // mg, smaller top-ups aren't worth scheduling
+
+// Fewest doses that keep the total level at or above `floor` from windowStart to windowEnd
+// ("HH:MM"; an end before the start runs past midnight). Each time the curve would dip
+// below the floor, a dose is scheduled to peak right then, just big enough to last the rest
+// of the window, or as big as allowed. Every dose is capped by the single-dose limit, what's
+// left of the daily limit and the bedtime threshold; uncovered stretches are reported as gaps.
+export const planAlertness = ({ windowStart, windowEnd, floor, drinks = [], previousDays = [], halfLife, date, kinetics = {}, bedtime = null, threshold = SAFE_SLEEP_THRESHOLD, dailyRemaining = Infinity, maxSingleDose = DEFAULT_MAX_SINGLE_DOSE, chartHours = 48 }) => {
+  const { model, absorptionRate } = resolveKinetics(kinetics)
+  const start = timeOnDate(windowStart, date)
+  let end = timeOnDate(windowEnd, date)
+  if (end <= start) end = new Date(end.getTime() + 24 * MS_PER_HOUR)
+  const bed = bedtime ? getBedtimeDate(bedtime, date) : null
+  const until = new Date(Math.max(end, bed || 0, toReferenceDate(date).getTime() + chartHours * MS_PER_HOUR))
+
+  const existing = createTotalSampler(drinks.filter(isValidDrink), halfLife, date, kinetics, previousDays, until)
+  const doses = []
+  const levelAt = (time, extra = null) => {
+    const planned = extra ? [...doses, extra] : doses
+    return existing(time) + planned.reduce((total, dose) => {
+      return total + dose.dose * calculateRemainingShare((time - dose.time) / MS_PER_HOUR, halfLife, kinetics)
+    }, 0)
+  }
+
+  // First 10-minute step from `from` to the window end where the level is below the floor
+  const scanStep = 10 * 60000
+  const firstDip = (from, extra = null) => {
+    for (let time = from.getTime(); time <= end.getTime(); time += scanStep) {
+      if (levelAt(new Date(time), extra) < floor - 1e-6) return new Date(time)
+    }
+    return null
+  }
+
+  // Take doses so they peak at the dip
+  const leadHours = model === 'bolus' ? 0 : calculatePeakHours(halfLife, absorptionRate)
+  let dip = firstDip(start)
+  let limitedBy = null
+
+  while (dip && doses.length < 24) {
+    const time = new Date(dip.getTime() - leadHours * MS_PER_HOUR)
+    const used = doses.reduce((total, dose) => total + dose.dose, 0)
+    let maxDose = Math.min(maxSingleDose, dailyRemaining - used)
+    limitedBy = maxDose === maxSingleDose ? 'single' : 'daily'
+
+    if (bed) {
+      const share = calculateRemainingShare((bed - time) / MS_PER_HOUR, halfLife, kinetics)
+      const sleepMax = share > 0 ? (threshold - levelAt(bed)) / share : Infinity
+      if (sleepMax < maxDose) {
+        maxDose = sleepMax
+        limitedBy = 'sleep'
+      }
+    }
+    maxDose = Math.floor(maxDose / ALERTNESS_DOSE_STEP) * ALERTNESS_DOSE_STEP
+    if (maxDose < ALERTNESS_MIN_DOSE) break
+
+    // Smallest dose (in whole steps) that lasts to the end of the window, if one is allowed
+    let dose = maxDose
+    if (!firstDip(dip, { time, dose: maxDose })) {
+      let low = 0
+      let high = maxDose / ALERTNESS_DOSE_STEP
+      while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2)
+        if (firstDip(dip, { time, dose: mid * ALERTNESS_DOSE_STEP })) low = mid
+        else high = mid
+      }
+      dose = Math.max(ALERTNESS_MIN_DOSE, high * ALERTNESS_DOSE_STEP)
+      limitedBy = null
+    }
+
+    const nextDip = firstDip(dip, { time, dose })
+    if (nextDip && nextDip <= dip) break // even the largest allowed dose doesn't lift the level
+    doses.push({ time, dose })
+    dip = nextDip
+  }
+
+  // Stretches of the window still below the floor
+  const gaps = []
+  for (let time = start.getTime(); time <= end.getTime(); time += scanStep) {
+    const below = levelAt(new Date(time)) < floor - 1e-6
+    const last = gaps[gaps.length - 1]
+    if (below && last && last.end.getTime() === time - scanStep) last.end = new Date(time)
+    else if (below) gaps.push({ start: new Date(time), end: new Date(time) })
+  }
+
+  return {
+    windowStart: start,
+    windowEnd: end,
+    floor,
+    doses,
+    totalDose: doses.reduce((total, dose) => total + dose.dose, 0),
+    covered: gaps.length === 0,
+    gaps,
+    limitedBy: gaps.length > 0 ? limitedBy : null,
+    bedtimeLevel: bed ? levelAt(bed) : null,
+    points: sampleDay(levelAt, date, chartHours)
+  }
+}
+
+// 10th–90th percentile band for the total curve and the bedtime level.
+// Remaining caffeine grows with the half-life at every moment, so the level
+// percentiles are simply the levels at the half-life percentiles.
+export const calculateUncertainty = ({ drinks, bedtime, date, halfLife, kinetics = {}, previousDays = [], chartHours = 48 }) => {
+  const halfLifeRange = calculateHalfLifeRange(halfLife)
+  const bedtimeLevelAt = (candidateHalfLife) => {
+    const bed = getBedtimeDate(bedtime, date)
+    return calculateTotalCaffeineAt(drinks, bed, candidateHalfLife, date, kinetics) +
+      calculateCarryOverAt(previousDays, bed, candidateHalfLife, kinetics)
+  }
+
+  return {
+    halfLife: halfLifeRange,
+    bedtimeLevel: bedtime
+      ? { low: bedtimeLevelAt(halfLifeRange.low), high: bedtimeLevelAt(halfLifeRange.high) }
+      : null,
+    lowPoints: calculateTotalCurve(drinks, date, halfLifeRange.low, chartHours, kinetics, previousDays),
+    highPoints: calculateTotalCurve(drinks, date, halfLifeRange.high, chartHours, kinetics, previousDays)
+  }
+}
+
+// Secondary methylxanthines: theobromine (chocolate) and theophylline (tea), logged
+// per drink as `compounds: { theobromine: mg, theophylline: mg }`. Each has its own
+// fixed kinetics; potency is relative to caffeine, for the weighted stimulant total.
+export const SECONDARY_COMPOUNDS = {
+  theobromine: { label: 'Theobromine', halfLife: 7.2, absorptionRate: 1.5, potency: 0.1 }, // peaks ~2 h
+  theophylline: { label: 'Theophylline', halfLife: 8, absorptionRate: 2, potency: 1 } // peaks ~1.5 h
+}
+
+// Compound amounts for another serving of the same drink, in proportion to its caffeine
+// (rounded to 0.1 mg). Left as they are when either dose isn't a positive amount
+export const scaleCompounds = (compounds, fromDose, toDose) => {
+  const from = parseFloat(fromDose)
+  const to = parseFloat(toDose)
+  if (!compounds || !(from > 0) || !(to > 0)) return compounds || null
+  return Object.fromEntries(Object.entries(compounds).map(([key, amount]) => (
+    [key, Math.round(parseFloat(amount) * to / from * 10) / 10]
+  )))
+}
+
+// Drinks re-dosed with their amount of one compound (those without it are dropped)
+const toCompoundDrinks = (drinks, key) => drinks
+  .filter(drink => isValidDrink(drink) && parseFloat(drink.compounds?.[key]) > 0)
+  .map(drink => ({ ...drink, dose: parseFloat(drink.compounds[key]) }))
+
+// Curve, bedtime level and daily amount of each secondary compound present in the day
+export const calculateCompoundLevels = (drinks, { date, bedtime = null, kinetics = {}, previousDays = [], chartHours = 48 }) => {
+  return Object.entries(SECONDARY_COMPOUNDS).flatMap(([key, compound]) => {
+    const compoundDrinks = toCompoundDrinks(drinks, key)
+    const compoundDays = previousDays.map(day => ({ ...day, drinks: toCompoundDrinks(day.drinks, key) }))
+    if (compoundDrinks.length === 0 && compoundDays.every(day => day.drinks.length === 0)) return []
+
+    const compoundKinetics = { ...kinetics, absorptionRate: compound.absorptionRate }
+    const bed = bedtime ? getBedtimeDate(bedtime, date) : null
+    return [{
+      key,
+      ...compound,
+      dailyIntake: calculateDailyIntake(compoundDrinks),
+      atBedtime: bed
+        ? calculateTotalCaffeineAt(compoundDrinks, bed, compound.halfLife, date, compoundKinetics) +
+          calculateCarryOverAt(compoundDays, bed, compound.halfLife, compoundKinetics)
+        : null,
+      points: calculateTotalCurve(compoundDrinks, date, compound.halfLife, chartHours, compoundKinetics, compoundDays)
+    }]
+  })
+}
+
+// Caffeine plus the potency-weighted secondary compounds, in caffeine-equivalent mg
+export const calculateStimulantTotal = (caffeineMg, compounds, field) => {
+  return compounds.reduce((total, compound) => total + (compound[field] || 0) * compound.potency, caffeineMg)
+}
+
+// Tolerance: habitual users respond less to the same level. Estimated from the
+// recency-weighted average intake on logged days in the trailing weeks.
+export const TOLERANCE_WINDOW_DAYS = 28
+export const TOLERANCE_MIN_LOGGED_DAYS = 7 // fewer logged days than this isn't a habit we can judge
+export const TOLERANCE_RECENCY_DAYS = 7 // a day's weight halves for every week further back
+export const MAX_TOLERANCE = 0.5 // share of the effect lost at very high habitual intake
+export const TOLERANCE_HALF_SATURATION = 300 // mg/day at which half the maximum tolerance is reached
+
+export const TOLERANCE_LEVELS = [
+  { level: 'naive', label: 'Caffeine-naive', below: 50 },
+  { level: 'light', label: 'Light', below: 150 },
+  { level: 'moderate', label: 'Moderate', below: 350 },
+  { level: 'high', label: 'High', below: Infinity }
+]
+
+// previousDays: [{ date, drinks }], most recent first (as loaded for carry-over)
+export const estimateTolerance = (previousDays = []) => {
+  const loggedDays = previousDays
+    .map((day, index) => ({ total: calculateDailyIntake(day.drinks.filter(isValidDrink)), daysAgo: index + 1 }))
+    .filter(day => day.total > 0)
+
+  if (loggedDays.length < TOLERANCE_MIN_LOGGED_DAYS) {
+    return { level: 'unknown', label: 'Not enough history', dailyAverage: null, loggedDays: loggedDays.length, tolerance: 0, sensitivity: 1 }
+  }
+
+  const weights = loggedDays.map(day => Math.pow(0.5, (day.daysAgo - 1) / TOLERANCE_RECENCY_DAYS))
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0)
+  const dailyAverage = loggedDays.reduce((sum, day, index) => sum + day.total * weights[index], 0) / totalWeight
+  const tolerance = MAX_TOLERANCE * dailyAverage / (dailyAverage + TOLERANCE_HALF_SATURATION)
+  const { level, label } = TOLERANCE_LEVELS.find(entry => dailyAverage < entry.below)
+
+  return { level, label, dailyAverage, loggedDays: loggedDays.length, tolerance, sensitivity: 1 - tolerance }
+}
+
+// One-shot evaluation of a day: profile + intake events + target time in, numbers out
+export const analyzeDay = ({ personalInfo, units, drinks, bedtime, date, now, threshold = SAFE_SLEEP_THRESHOLD, kinetics = {}, previousDays = [], chartHours = 48, sleepPeriods = [], tolerance = null }) => {
+  const halfLifeBreakdown = calculateHalfLifeBreakdown(personalInfo, units)
+  const halfLife = halfLifeBreakdown.halfLife
+  const validDrinks = drinks.filter(isValidDrink)
+  const carryOverAtBedtime = bedtime
+    ? calculateCarryOverAt(previousDays, getBedtimeDate(bedtime, date), halfLife, kinetics)
+    : 0
+  const options = { date, now, threshold, kinetics, baseline: carryOverAtBedtime }
+  const bedtimeLevel = bedtime
+    ? carryOverAtBedtime + calculateTotalCaffeineAtBedtime(validDrinks, bedtime, halfLife, date, kinetics)
+    : null
+  // Every drink plus carry-over
+  const totalPoints = calculateTotalCurve(validDrinks, date, halfLife, chartHours, kinetics, previousDays)
+  const compounds = calculateCompoundLevels(validDrinks, { date, bedtime, kinetics, previousDays, chartHours })
+  const periods = resolveSleepPeriods(sleepPeriods)
+  const chartEnd = new Date(toReferenceDate(date).getTime() + chartHours * MS_PER_HOUR)
+  const sleepUntil = new Date(Math.max(
+    chartEnd.getTime(),
+    ...periods.map(period => period.end.getTime())
+  ))
+
+  return {
+    halfLife,
+    halfLifeBreakdown,
+    volumeOfDistribution: calculateVolumeOfDistribution(personalInfo, units),
+    dailyIntake: calculateDailyIntake(validDrinks),
+    bedtimeLevel,
+    cutoffs: bedtime ? calculateIndividualCutoffTimes(validDrinks, bedtime, halfLife, options) : [],
+    carryOver: {
+      atDayStart: calculateCarryOverAt(previousDays, toReferenceDate(date), halfLife, kinetics),
+      atBedtime: carryOverAtBedtime,
+      points: calculateCarryOverCurve(previousDays, date, halfLife, chartHours, kinetics)
+    },
+    uncertainty: calculateUncertainty({ drinks: validDrinks, bedtime, date, halfLife, kinetics, previousDays, chartHours }),
+    totalPoints,
+    // Felt effect of the total level once tolerance is taken into account
+    stimulation: tolerance && tolerance.tolerance > 0
+      ? {
+          sensitivity: tolerance.sensitivity,
+          points: totalPoints.map(point => ({ time: point.time, caffeine: point.caffeine * tolerance.sensitivity }))
+        }
+      : null,
+    compounds,
+    stimulants: {
+      dailyIntake: calculateStimulantTotal(calculateDailyIntake(validDrinks), compounds, 'dailyIntake'),
+      atBedtime: bedtime ? calculateStimulantTotal(bedtimeLevel, compounds, 'atBedtime') : null
+    },
+    sleepPeriods: analyzeSleepPeriods(
+      periods,
+      createTotalSampler(validDrinks, halfLife, date, kinetics, previousDays, sleepUntil)
+    ),
+    // Sampled on the same 10-minute grid as the totals, so the curves line up and can be stacked
+    curves: validDrinks.map(drink => {
+      const { start, end } = getIntakeWindow(drink, date)
+      return {
+        drink,
+        start,
+        end,
+        points: sampleDay(createDrinkSampler(drink, halfLife, date, kinetics, chartEnd), date, chartHours)
+      }
+    })
+  }
+}
@@ -0,0 +1,4 @@
+// Stable ID generator
+export const generateStableId = () => {
+  return Date.now().toString() + Math.random().toString(36).substr(2, 9)
+}
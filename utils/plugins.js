@@ -1,28 +1,59 @@
+import { layouts } from 'chart.js'
+
+// Annotation labels sit in a strip between the legend and the plot, in up to two rows
+const LABEL_ROW_HEIGHT = 14
+const LABEL_ROWS = 2
+
+// Charts rendered inside a `.dark` container use the dark palette
+const isDarkChart = (chart) => Boolean(chart.canvas.closest('.dark'))
+
+// Label in the annotation strip above the plot, kept within the plot's width
+const drawTopLabel = (chart, x, text, color, row = 0) => {
+  const { ctx, chartArea } = chart
+  ctx.save()
+  ctx.font = '12px Arial'
+  const halfWidth = ctx.measureText(text).width / 2
+  ctx.fillStyle = color
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'bottom'
+  ctx.fillText(
+    text,
+    Math.min(chartArea.right - halfWidth, Math.max(chartArea.left + halfWidth, x)),
+    chartArea.top - 2 - row * LABEL_ROW_HEIGHT
+  )
+  ctx.restore()
+}
+
+// Plugin that reserves the annotation strip as a layout box just above the plot
+export const annotationStripPlugin = {
+  id: 'annotationStrip',
+  beforeInit: (chart) => {
+    layouts.addBox(chart, {
+      position: 'top',
+      weight: -1, // Closest to the plot, inside the title and legend
+      fullSize: true,
+      isHorizontal: () => true,
+      update(maxWidth) {
+        this.width = maxWidth
+        this.height = LABEL_ROWS * LABEL_ROW_HEIGHT + 4
+      },
+      draw: () => {}
+    })
+  }
+}
+
 // Plugin to draw vertical line at bedtime
+// (position in hours from the start of the chart's first day)
 export const verticalLinePlugin = {
   id: 'verticalLine',
   afterDraw: (chart) => {
     const { ctx, chartArea, scales } = chart
-    const bedtime = chart.options.plugins?.verticalLine?.bedtime
-    const chartHours = chart.options.plugins?.verticalLine?.chartHours || 24
+    const bedtimeHours = chart.options.plugins?.verticalLine?.bedtimeHours
     
-    if (!bedtime || !chartArea) return
+    if (bedtimeHours === null || bedtimeHours === undefined || !chartArea) return
     
-    // Convert bedtime to chart position
-    const bedtimeHour = parseInt(bedtime.split(':')[0])
-    const bedtimeMinute = parseInt(bedtime.split(':')[1]) || 0
-    
-    // Calculate the correct chart position
-    let chartPosition
-    if (chartHours > 24 && bedtimeHour < 12) {
-      // Bedtime is next day in extended chart
-      chartPosition = bedtimeHour + 24 + (bedtimeMinute / 60)
-    } else {
-      // Bedtime is same day
-      chartPosition = bedtimeHour + (bedtimeMinute / 60)
-    }
-    
-    const x = scales.x.getPixelForValue(chartPosition)
+    const x = scales.x.getPixelForValue(bedtimeHours)
+    if (x < chartArea.left || x > chartArea.right) return // Zoomed out of view
     
     // Draw vertical line
     ctx.save()
@@ -34,12 +65,413 @@ export const verticalLinePlugin = {
     ctx.lineTo(x, chartArea.bottom)
     ctx.stroke()
     
-    // Add label
-    ctx.fillStyle = '#ef4444'
-    ctx.font = '12px Arial'
-    ctx.textAlign = 'center'
-    ctx.fillText('Bedtime', x, chartArea.top - 10)
     ctx.restore()
+    
+    drawTopLabel(chart, x, 'Bedtime', isDarkChart(chart) ? '#f87171' : '#ef4444')
+  }
+}
+
+
+// Plugin to shade sleep periods ([{ startHours, endHours, label }], in hours from
+// the start of the chart's first day) behind the curves
+export const sleepPeriodsPlugin = {
+  id: 'sleepPeriods',
+  beforeDatasetsDraw: (chart) => {
+    const { ctx, chartArea, scales } = chart
+    const periods = chart.options.plugins?.sleepPeriods?.periods || []
+    
+    if (periods.length === 0 || !chartArea) return
+    
+    ctx.save()
+    periods.forEach(period => {
+      const left = Math.max(chartArea.left, scales.x.getPixelForValue(period.startHours))
+      const right = Math.min(chartArea.right, scales.x.getPixelForValue(period.endHours))
+      if (right <= left) return
+      
+      // Shaded band
+      ctx.fillStyle = 'rgba(99,102,241,0.12)' // Indigo
+      ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top)
+    })
+    ctx.restore()
+    
+    periods.forEach(period => {
+      const left = Math.max(chartArea.left, scales.x.getPixelForValue(period.startHours))
+      const right = Math.min(chartArea.right, scales.x.getPixelForValue(period.endHours))
+      if (right > left) {
+        drawTopLabel(chart, (left + right) / 2, period.label || 'Sleep', isDarkChart(chart) ? '#a5b4fc' : '#6366f1')
+      }
+    })
+  }
+}
+
+
+
+// Plugin to shade the safe, caution and high-risk zones ([{ zone, label, from, to }], in
+// y-axis units) behind the curves
+const ZONE_COLORS = {
+  safe: { fill: 'rgba(34,197,94,0.07)', light: '#15803d', dark: '#4ade80' },
+  caution: { fill: 'rgba(249,115,22,0.08)', light: '#c2410c', dark: '#fb923c' },
+  'high-risk': { fill: 'rgba(239,68,68,0.08)', light: '#b91c1c', dark: '#f87171' }
+}
+
+export const zoneBandsPlugin = {
+  id: 'zoneBands',
+  beforeDatasetsDraw: (chart) => {
+    const { ctx, chartArea, scales } = chart
+    const zones = chart.options.plugins?.zoneBands?.zones || []
+    
+    if (zones.length === 0 || !chartArea) return
+    
+    const isDark = isDarkChart(chart)
+    ctx.save()
+    zones.forEach(band => {
+      const colors = ZONE_COLORS[band.zone]
+      const top = Math.max(chartArea.top, scales.y.getPixelForValue(Math.min(band.to, scales.y.max)))
+      const bottom = Math.min(chartArea.bottom, scales.y.getPixelForValue(band.from))
+      if (!colors || bottom <= top) return
+      
+      // Shaded band
+      ctx.fillStyle = colors.fill
+      ctx.fillRect(chartArea.left, top, chartArea.right - chartArea.left, bottom - top)
+      
+      // Name it in the corner when there is room
+      if (bottom - top >= 16) {
+        ctx.fillStyle = isDark ? colors.dark : colors.light
+        ctx.font = '11px Arial'
+        ctx.textAlign = 'right'
+        ctx.textBaseline = 'top'
+        ctx.fillText(band.label, chartArea.right - 4, top + 3)
+      }
+    })
+    ctx.restore()
+  }
+}
+
+
+// Plugin to draw a vertical line at the current time (hours from the start of the chart's first day)
+export const nowLinePlugin = {
+  id: 'nowLine',
+  afterDatasetsDraw: (chart) => {
+    const { ctx, chartArea, scales } = chart
+    const hours = chart.options.plugins?.nowLine?.hours
+    
+    if (hours === null || hours === undefined || !chartArea) return
+    
+    const x = scales.x.getPixelForValue(hours)
+    if (x < chartArea.left || x > chartArea.right) return // Another day, or zoomed out of view
+    
+    const color = isDarkChart(chart) ? '#60a5fa' : '#2563eb' // Blue
+    ctx.save()
+    ctx.strokeStyle = color
+    ctx.lineWidth = 1.5
+    ctx.beginPath()
+    ctx.moveTo(x, chartArea.top)
+    ctx.lineTo(x, chartArea.bottom)
+    ctx.stroke()
+    ctx.restore()
+    
+    drawTopLabel(chart, x, `Now ${formatChartHours(hours)}`, color, 1)
+  }
+}
+
+
+// Plugin to mark when each drink was started and finished along the bottom of the plot.
+// Reads datasets carrying intake: { drinkId, startHours, endHours, draggable } and uses their
+// colors. Draggable markers can be moved with the pointer: the start marker shifts the whole
+// drink, the end marker only its finish. Positions snap to 5 minutes and are reported through
+// options.plugins.intakeMarkers.onDrag(drinkId, { startHours, endHours }) while moving and
+// onDrop(drinkId, { startHours, endHours }) on release
+const INTAKE_SNAP_HOURS = 5 / 60
+
+const getMarkerPixels = (chart, intake) => {
+  const start = chart.scales.x.getPixelForValue(intake.startHours)
+  const end = chart.scales.x.getPixelForValue(intake.endHours)
+  return { start, end, hasEnd: end - start > 2 }
+}
+
+export const intakeMarkersPlugin = {
+  id: 'intakeMarkers',
+  afterInit: (chart) => {
+    const canvas = chart.canvas
+    
+    // Draggable marker under the pointer, preferring the closest one
+    const findMarker = (event) => {
+      const { chartArea } = chart
+      if (!chartArea || event.offsetY < chartArea.bottom - 14 || event.offsetY > chartArea.bottom + 6) return null
+      let found = null
+      chart.data.datasets.forEach((dataset, index) => {
+        if (!dataset.intake?.draggable || !chart.isDatasetVisible(index)) return
+        const { start, end, hasEnd } = getMarkerPixels(chart, dataset.intake)
+        const candidates = hasEnd ? [['start', start], ['end', end]] : [['start', start]]
+        candidates.forEach(([handle, x]) => {
+          const distance = Math.abs(event.offsetX - x)
+          if (distance <= 7 && (!found || distance < found.distance)) {
+            found = { handle, distance, intake: dataset.intake }
+          }
+        })
+      })
+      return found
+    }
+    
+    // Where the dragged drink would be at the current pointer position
+    const getDraggedIntake = (event) => {
+      const { drag } = chart.$intakeMarkers
+      const shift = chart.scales.x.getValueForPixel(event.offsetX) - chart.scales.x.getValueForPixel(drag.x)
+      const { startHours, endHours } = drag.intake
+      if (drag.handle === 'end') {
+        const end = Math.round((endHours + shift) / INTAKE_SNAP_HOURS) * INTAKE_SNAP_HOURS
+        return { startHours, endHours: Math.min(startHours + 24 - INTAKE_SNAP_HOURS, Math.max(startHours, end)) }
+      }
+      // Start times are clock times on the chart's first day
+      const start = Math.min(24 - INTAKE_SNAP_HOURS, Math.max(0, Math.round((startHours + shift) / INTAKE_SNAP_HOURS) * INTAKE_SNAP_HOURS))
+      return { startHours: start, endHours: start + (endHours - startHours) }
+    }
+    
+    const onPointerDown = (event) => {
+      if (event.button !== 0) return
+      const marker = findMarker(event)
+      if (!marker) return
+      event.stopImmediatePropagation() // Don't pan the chart at the same time
+      chart.$intakeMarkers.drag = { ...marker, x: event.offsetX, pointerId: event.pointerId, preview: marker.intake }
+      canvas.setPointerCapture(event.pointerId)
+    }
+    
+    const onPointerMove = (event) => {
+      const { drag } = chart.$intakeMarkers
+      if (!drag) {
+        canvas.style.cursor = findMarker(event) ? 'ew-resize' : ''
+        return
+      }
+      if (event.pointerId !== drag.pointerId) return
+      event.stopImmediatePropagation()
+      const preview = getDraggedIntake(event)
+      if (preview.startHours === drag.preview.startHours && preview.endHours === drag.preview.endHours) return
+      drag.preview = preview
+      chart.draw()
+      const { onDrag } = chart.options.plugins?.intakeMarkers || {}
+      if (onDrag) onDrag(drag.intake.drinkId, preview)
+    }
+    
+    const onPointerUp = (event) => {
+      const { drag } = chart.$intakeMarkers
+      if (!drag || event.pointerId !== drag.pointerId) return
+      event.stopImmediatePropagation()
+      canvas.releasePointerCapture(event.pointerId)
+      chart.$intakeMarkers.drag = null
+      const { onDrop } = chart.options.plugins?.intakeMarkers || {}
+      if (onDrop) onDrop(drag.intake.drinkId, drag.preview)
+    }
+    
+    canvas.addEventListener('pointerdown', onPointerDown)
+    canvas.addEventListener('pointermove', onPointerMove)
+    canvas.addEventListener('pointerup', onPointerUp)
+    canvas.addEventListener('pointercancel', onPointerUp)
+    
+    chart.$intakeMarkers = {
+      drag: null,
+      cleanup: () => {
+        canvas.removeEventListener('pointerdown', onPointerDown)
+        canvas.removeEventListener('pointermove', onPointerMove)
+        canvas.removeEventListener('pointerup', onPointerUp)
+        canvas.removeEventListener('pointercancel', onPointerUp)
+      }
+    }
+  },
+  afterDatasetsDraw: (chart) => {
+    const { ctx, chartArea } = chart
+    if (!chartArea) return
+    
+    const outline = isDarkChart(chart) ? '#1f2937' : '#ffffff'
+    const isVisible = (x) => x >= chartArea.left && x <= chartArea.right
+    const y = chartArea.bottom
+    const drag = chart.$intakeMarkers?.drag
+    
+    ctx.save()
+    chart.data.datasets.forEach((dataset, index) => {
+      if (!dataset.intake || !chart.isDatasetVisible(index)) return
+      
+      // The dragged drink follows the pointer until the recomputed data arrives
+      const intake = drag && drag.intake.drinkId === dataset.intake.drinkId ? drag.preview : dataset.intake
+      const { start, end, hasEnd } = getMarkerPixels(chart, intake)
+      ctx.fillStyle = dataset.borderColor
+      ctx.strokeStyle = dataset.borderColor
+      ctx.lineWidth = 3
+      
+      // Drinking period along the axis
+      if (hasEnd) {
+        ctx.beginPath()
+        ctx.moveTo(Math.max(chartArea.left, start), y - 1.5)
+        ctx.lineTo(Math.min(chartArea.right, end), y - 1.5)
+        ctx.stroke()
+      }
+      
+      // Filled triangle at the first sip, hollow one at the last
+      const markers = hasEnd ? [[start, true], [end, false]] : [[start, true]]
+      markers.forEach(([x, isStart]) => {
+        if (!isVisible(x)) return
+        ctx.beginPath()
+        ctx.moveTo(x, y - 9)
+        ctx.lineTo(x - 5, y)
+        ctx.lineTo(x + 5, y)
+        ctx.closePath()
+        ctx.lineWidth = 1.5
+        ctx.fillStyle = isStart ? dataset.borderColor : outline
+        ctx.strokeStyle = isStart ? outline : dataset.borderColor
+        ctx.fill()
+        ctx.stroke()
+      })
+    })
+    ctx.restore()
+  },
+  beforeDestroy: (chart) => {
+    if (chart.$intakeMarkers) chart.$intakeMarkers.cleanup()
   }
 }
 
+
+// Plugin to mark the moment the Total dataset last drops below a threshold
+// ({ value, label }, value in y-axis units) and stays there
+export const thresholdCrossingPlugin = {
+  id: 'thresholdCrossing',
+  afterDatasetsDraw: (chart) => {
+    const { ctx, chartArea, scales } = chart
+    const { value, label } = chart.options.plugins?.thresholdCrossing || {}
+    const totalIndex = chart.data.datasets.findIndex(dataset => dataset.isTotal)
+    
+    if (!value || totalIndex === -1 || !chart.isDatasetVisible(totalIndex) || !chartArea) return
+    
+    const points = chart.data.datasets[totalIndex].data
+    let crossing = null
+    for (let i = 1; i < points.length; i++) {
+      const previous = points[i - 1]
+      const point = points[i]
+      if (previous.y >= value && point.y < value) {
+        crossing = previous.x + (point.x - previous.x) * (previous.y - value) / (previous.y - point.y)
+      }
+    }
+    if (crossing === null) return
+    
+    const x = scales.x.getPixelForValue(crossing)
+    const y = scales.y.getPixelForValue(value)
+    if (x < chartArea.left || x > chartArea.right) return // Zoomed out of view
+    
+    const color = isDarkChart(chart) ? '#4ade80' : '#16a34a' // Green
+    ctx.save()
+    ctx.strokeStyle = color
+    ctx.lineWidth = 1
+    ctx.setLineDash([2, 3])
+    ctx.beginPath()
+    ctx.moveTo(x, chartArea.top)
+    ctx.lineTo(x, y)
+    ctx.stroke()
+    ctx.setLineDash([])
+    ctx.fillStyle = color
+    ctx.beginPath()
+    ctx.arc(x, y, 4, 0, 2 * Math.PI)
+    ctx.fill()
+    ctx.restore()
+    
+    drawTopLabel(chart, x, `${label || 'Below threshold'} at ${formatChartHours(crossing)}`, color, 1)
+  }
+}
+
+// Clock label for a position on the time axis (hours from the start of the chart's first day)
+export const formatChartHours = (hours) => {
+  const totalMinutes = Math.round(hours * 60)
+  const day = Math.floor(totalMinutes / (24 * 60))
+  const hour = Math.floor((totalMinutes % (24 * 60)) / 60)
+  const minute = totalMinutes % 60
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}${day ? ` (+${day})` : ''}`
+}
+
+// Tooltip line for a dataset point; a drink's contribution also shows its share of the total
+// at that time. Points are { x, y } on the linear time axis
+export const formatTooltipLabel = (item, { unit, digits }) => {
+  const value = `${item.dataset.label}: ${item.parsed.y.toFixed(digits)} ${unit}`
+  const total = item.chart.data.datasets.find(dataset => dataset.isTotal)?.data[item.dataIndex]?.y
+  return item.dataset.isContribution && total > 0
+    ? `${value} (${Math.round(item.parsed.y / total * 100)}%)`
+    : value
+}
+
+// Tick spacing (in hours) that gives at most about a dozen clock-aligned ticks for a visible range
+const TIME_STEPS = [1 / 6, 1 / 4, 1 / 2, 1, 2, 3, 4, 6]
+export const getTimeStep = (rangeHours) => {
+  return TIME_STEPS.find(step => rangeHours / step <= 12) || TIME_STEPS[TIME_STEPS.length - 1]
+}
+
+// Keep a visible time range ({ min, max } in hours) inside the chart and no narrower than minRange
+export const clampTimeRange = ({ min, max }, { min: lower, max: upper, minRange = 0.5 }) => {
+  const width = Math.min(upper - lower, Math.max(minRange, max - min))
+  const center = (min + max) / 2
+  const start = Math.min(upper - width, Math.max(lower, center - width / 2))
+  return { min: start, max: start + width }
+}
+
+// Plugin to zoom the time axis with the mouse wheel and pan it by dragging. The visible range
+// is reported through options.plugins.zoomPan.onRangeChange so the page can keep it in state;
+// limits ({ min, max, minRange }) bound the range
+export const zoomPanPlugin = {
+  id: 'zoomPan',
+  afterInit: (chart) => {
+    const canvas = chart.canvas
+    let drag = null
+
+    const getOptions = () => chart.options.plugins?.zoomPan || {}
+    const report = (range) => {
+      const { onRangeChange, limits } = getOptions()
+      if (onRangeChange && limits) onRangeChange(clampTimeRange(range, limits))
+    }
+
+    const onWheel = (event) => {
+      const { chartArea, scales } = chart
+      if (!getOptions().onRangeChange || !chartArea) return
+      if (event.offsetX < chartArea.left || event.offsetX > chartArea.right) return
+      event.preventDefault()
+
+      // Zoom around the time under the cursor
+      const { min, max } = scales.x
+      const center = scales.x.getValueForPixel(event.offsetX)
+      const factor = event.deltaY < 0 ? 0.8 : 1.25
+      report({ min: center - (center - min) * factor, max: center + (max - center) * factor })
+    }
+
+    const onPointerDown = (event) => {
+      const { chartArea, scales } = chart
+      if (!getOptions().onRangeChange || !chartArea || event.button !== 0) return
+      if (event.offsetX < chartArea.left || event.offsetX > chartArea.right) return
+      drag = { x: event.clientX, min: scales.x.min, max: scales.x.max, pointerId: event.pointerId }
+      canvas.setPointerCapture(event.pointerId)
+    }
+
+    const onPointerMove = (event) => {
+      if (!drag || event.pointerId !== drag.pointerId) return
+      const { chartArea } = chart
+      const shift = (drag.x - event.clientX) * (drag.max - drag.min) / (chartArea.right - chartArea.left)
+      report({ min: drag.min + shift, max: drag.max + shift })
+    }
+
+    const onPointerUp = (event) => {
+      if (!drag || event.pointerId !== drag.pointerId) return
+      canvas.releasePointerCapture(event.pointerId)
+      drag = null
+    }
+
+    canvas.addEventListener('wheel', onWheel, { passive: false })
+    canvas.addEventListener('pointerdown', onPointerDown)
+    canvas.addEventListener('pointermove', onPointerMove)
+    canvas.addEventListener('pointerup', onPointerUp)
+    canvas.addEventListener('pointercancel', onPointerUp)
+
+    chart.$zoomPan = () => {
+      canvas.removeEventListener('wheel', onWheel)
+      canvas.removeEventListener('pointerdown', onPointerDown)
+      canvas.removeEventListener('pointermove', onPointerMove)
+      canvas.removeEventListener('pointerup', onPointerUp)
+      canvas.removeEventListener('pointercancel', onPointerUp)
+    }
+  },
+  beforeDestroy: (chart) => {
+    if (chart.$zoomPan) chart.$zoomPan()
+  }
+}
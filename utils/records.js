@@ -0,0 +1,52 @@
+// LocalStorage records with schema versioning (see schema.js) and a quarantine for
+// anything that can't be read
+import { parseRecord, wrapRecord } from './schema'
+
+// Records that could not be read are moved here ([{ key, reason, value, quarantinedAt }])
+const QUARANTINE_KEY = 'cupacity-quarantine'
+
+export const loadQuarantine = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(QUARANTINE_KEY))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+export const clearQuarantine = () => {
+  localStorage.removeItem(QUARANTINE_KEY)
+}
+
+export const quarantine = (entries) => {
+  const quarantinedAt = new Date().toISOString()
+  localStorage.setItem(QUARANTINE_KEY, JSON.stringify([
+    ...loadQuarantine(),
+    ...entries.map(entry => ({ ...entry, quarantinedAt }))
+  ]))
+}
+
+// Versioned JSON records (see schema.js)
+export const writeRecord = (key, data) => {
+  localStorage.setItem(key, JSON.stringify(wrapRecord(data)))
+}
+
+// Read a record of the given kind, upgrading it to the current schema. Unreadable records are
+// quarantined and replaced by the fallback; bad list entries are quarantined one by one
+export const readRecord = (key, kind, fallback) => {
+  const stored = localStorage.getItem(key)
+  if (stored === null) return fallback
+
+  const { data, rejected, changed, error } = parseRecord(kind, stored)
+  if (error) {
+    quarantine([{ key, reason: error, value: stored }])
+    localStorage.removeItem(key)
+    return fallback
+  }
+
+  if (rejected.length > 0) {
+    quarantine(rejected.map(({ item, reason }) => ({ key, reason, value: item })))
+  }
+  if (changed) writeRecord(key, data)
+  return data
+}
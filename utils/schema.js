@@ -0,0 +1,146 @@
+// Versioned storage schema
+// Stored JSON records are wrapped as { version, data }. Anything written before versioning
+// counts as version 1. On load a record is upgraded one version at a time through MIGRATIONS,
+// then checked by VALIDATORS so bad data can be set aside instead of breaking the app.
+// Pure functions only: storage.js does the reading, writing and quarantining.
+import { generateStableId } from './ids'
+
+export const SCHEMA_VERSION = 3
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isAmount = (value) => Number.isFinite(value) && value >= 0
+
+// Give a logged drink a persistent id and created/updated times if it has none yet.
+// Backfilled drinks count as created when they were drunk, if that's known
+export const withDrinkIdentity = (drink) => {
+  if (!isObject(drink) || drink.id) return drink
+  const createdAt = Number.isFinite(drink.startTime) ? new Date(drink.startTime).toISOString() : new Date().toISOString()
+  return { ...drink, id: generateStableId(), createdAt, updatedAt: createdAt }
+}
+
+// Upgrades per record kind, keyed by the version they produce
+const MIGRATIONS = {
+  day: {
+    // v2: startTimeString replaces the old `time` field and doses are stored as numbers
+    2: (drinks) => Array.isArray(drinks)
+      ? drinks.map(drink => {
+        if (!isObject(drink)) return drink
+        const { time, ...rest } = drink
+        return {
+          ...rest,
+          dose: parseFloat(rest.dose),
+          startTimeString: rest.startTimeString || time || '',
+          endTimeString: rest.endTimeString || ''
+        }
+      })
+      : drinks,
+    // v3: every drink has a persistent id, so edits and deletes no longer depend on list position
+    3: (drinks) => Array.isArray(drinks) ? drinks.map(withDrinkIdentity) : drinks
+  }
+}
+
+// Checks per record kind: `record` rejects the whole value, `item` rejects single entries of a list.
+// Each returns a reason string, or null when the data is usable
+const VALIDATORS = {
+  day: {
+    record: (data) => Array.isArray(data) ? null : 'Expected a list of drinks',
+    item: (drink) => {
+      if (!isObject(drink)) return 'Not a drink entry'
+      if (typeof drink.id !== 'string' || !drink.id) return 'Missing drink id'
+      if (typeof drink.name !== 'string') return 'Missing drink name'
+      if (!isAmount(drink.dose)) return 'Dose is not a number'
+      if (!TIME_PATTERN.test(drink.startTimeString)) return 'Start time is not HH:MM'
+      if (drink.endTimeString && !TIME_PATTERN.test(drink.endTimeString)) return 'End time is not HH:MM'
+      if (drink.compounds && (!isObject(drink.compounds) || !Object.values(drink.compounds).every(isAmount))) {
+        return 'Compound amounts are not numbers'
+      }
+      return null
+    }
+  },
+  customDrinks: {
+    record: (data) => Array.isArray(data) ? null : 'Expected a list of drinks',
+    item: (drink) => isObject(drink) && drink.name && isAmount(drink.caffeine) ? null : 'Not a custom drink'
+  },
+  recentDrinks: {
+    record: (data) => Array.isArray(data) ? null : 'Expected a list of drinks',
+    item: (drink) => isObject(drink) && typeof drink.name === 'string' ? null : 'Not a drink'
+  },
+  sleepPeriods: {
+    record: (data) => Array.isArray(data) ? null : 'Expected a list of sleep periods',
+    item: (period) => isObject(period) && typeof period.start === 'string' && typeof period.end === 'string'
+      ? null
+      : 'Sleep period needs a start and end'
+  },
+  scenarios: {
+    record: (data) => Array.isArray(data) ? null : 'Expected a list of scenarios',
+    item: (scenario) => isObject(scenario) && typeof scenario.name === 'string' && Array.isArray(scenario.drinks)
+      ? null
+      : 'Scenario needs a name and drinks'
+  },
+  personalInfo: {
+    record: (data) => isObject(data) && isObject(data.personalInfo) ? null : 'Expected personal information'
+  },
+  sleepSchedule: {
+    record: (data) => isObject(data) && isObject(data.weekly) ? null : 'Expected a weekly schedule'
+  },
+  thresholdSettings: {
+    record: (data) => isObject(data) ? null : 'Expected limit settings'
+  },
+  alertnessSettings: {
+    record: (data) => isObject(data) ? null : 'Expected alertness settings'
+  },
+  taperPlan: {
+    record: (data) => isObject(data) && DATE_PATTERN.test(data.startDate) &&
+      isAmount(data.startAverage) && isAmount(data.target) && data.durationDays > 0
+      ? null
+      : 'Expected a taper plan'
+  }
+}
+
+// Wrap data for storage at the current version
+export const wrapRecord = (data) => ({ version: SCHEMA_VERSION, data })
+
+// Parse, upgrade and validate a stored string. Returns { error } when the whole record is unusable,
+// otherwise { data, rejected: [{ item, reason }], changed }; changed means it should be written back
+export const parseRecord = (kind, raw) => {
+  let parsed
+  try {
+    parsed = JSON.parse(raw)
+  } catch {
+    return { error: 'Not valid JSON' }
+  }
+
+  const isWrapped = isObject(parsed) && Number.isInteger(parsed.version) && 'data' in parsed
+  let version = isWrapped ? parsed.version : 1
+  let data = isWrapped ? parsed.data : parsed
+  if (version > SCHEMA_VERSION) return { error: `Written by a newer version of the app (v${version})` }
+
+  const migrations = MIGRATIONS[kind] || {}
+  while (version < SCHEMA_VERSION) {
+    version += 1
+    try {
+      if (migrations[version]) data = migrations[version](data)
+    } catch (error) {
+      return { error: `Upgrade to v${version} failed: ${error.message}` }
+    }
+  }
+
+  const validator = VALIDATORS[kind] || {}
+  const recordError = validator.record ? validator.record(data) : null
+  if (recordError) return { error: recordError }
+
+  // Drop bad entries from lists, keeping the rest
+  const rejected = []
+  if (validator.item) {
+    data = data.filter(item => {
+      const reason = validator.item(item)
+      if (reason) rejected.push({ item, reason })
+      return !reason
+    })
+  }
+
+  return { data, rejected, changed: !isWrapped || parsed.version !== SCHEMA_VERSION || rejected.length > 0 }
+}
@@ -0,0 +1,73 @@
+// Weekly sleep schedule
+// A bedtime and wake time per weekday plus one-off overrides for specific dates,
+// resolved into the times that apply to a given day.
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'] // Date#getDay() order
+
+export const WEEKDAY_LABELS = {
+  sunday: 'Sunday',
+  monday: 'Monday',
+  tuesday: 'Tuesday',
+  wednesday: 'Wednesday',
+  thursday: 'Thursday',
+  friday: 'Friday',
+  saturday: 'Saturday'
+}
+
+export const DEFAULT_WAKE_TIME = '07:00'
+
+export const DEFAULT_SLEEP_SCHEDULE = {
+  weekly: Object.fromEntries(WEEKDAYS.map(day => [day, { bedtime: '', wakeTime: DEFAULT_WAKE_TIME }])),
+  overrides: {} // { 'YYYY-MM-DD': { bedtime, wakeTime } }
+}
+
+// Weekday key of a YYYY-MM-DD string (noon avoids timezone rollover)
+export const getWeekday = (date) => WEEKDAYS[new Date(`${date}T12:00:00`).getDay()]
+
+// Bedtime and wake time for a date: its override if there is one, otherwise its weekday
+export const resolveSleepSchedule = (schedule = DEFAULT_SLEEP_SCHEDULE, date) => {
+  const weekday = getWeekday(date)
+  const weekly = schedule.weekly?.[weekday] || {}
+  const override = schedule.overrides?.[date]
+
+  return {
+    weekday,
+    bedtime: override?.bedtime ?? weekly.bedtime ?? '',
+    wakeTime: override?.wakeTime ?? weekly.wakeTime ?? DEFAULT_WAKE_TIME,
+    isOverride: Boolean(override)
+  }
+}
+
+// Change the times for one date only; an override matching the weekday is dropped again
+export const setScheduleOverride = (schedule, date, changes) => {
+  const weekly = schedule.weekly?.[getWeekday(date)] || {}
+  const override = { ...resolveSleepSchedule(schedule, date), ...changes }
+  const overrides = { ...schedule.overrides }
+
+  if (override.bedtime === (weekly.bedtime ?? '') && override.wakeTime === (weekly.wakeTime ?? DEFAULT_WAKE_TIME)) {
+    delete overrides[date]
+  } else {
+    overrides[date] = { bedtime: override.bedtime, wakeTime: override.wakeTime }
+  }
+  return { ...schedule, overrides }
+}
+
+// Change the usual times for a date's weekday. Weekdays without a bedtime yet take the new one
+// too, so a first bedtime applies to every night rather than only one day of the week
+export const setWeekdaySchedule = (schedule, date, changes) => {
+  const weekday = getWeekday(date)
+  const weekly = Object.fromEntries(WEEKDAYS.map(day => {
+    const times = { ...DEFAULT_SLEEP_SCHEDULE.weekly[day], ...schedule.weekly?.[day] }
+    if (day === weekday) return [day, { ...times, ...changes }]
+    if (changes.bedtime && !times.bedtime) return [day, { ...times, bedtime: changes.bedtime }]
+    return [day, times]
+  }))
+  return { ...schedule, weekly }
+}
+
+// Remove the override for a date, going back to the weekday's times
+export const clearScheduleOverride = (schedule, date) => {
+  const overrides = { ...schedule.overrides }
+  delete overrides[date]
+  return { ...schedule, overrides }
+}
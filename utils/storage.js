@@ -1,42 +1,150 @@
-// LocalStorage utilities
-export const getStorageKey = (date) => `caffeine-data-${date}`
+import { DEFAULT_THRESHOLD_SETTINGS } from './thresholds'
+import { DEFAULT_SLEEP_SCHEDULE, WEEKDAYS } from './sleepSchedule'
+import { readRecord, writeRecord } from './records'
+import { createLocalStorageAdapter, createIndexedDBAdapter, STORAGE_BLOCKED_ERROR } from './storageAdapters'
+import { BACKUP_SETTINGS, createBackup, validateSettings } from './backup'
+import { generateStableId } from './ids'
+import { shiftDate, toDateString } from './dates'
 
-export const getTodayDate = () => {
-  return new Date().toISOString().split('T')[0] // YYYY-MM-DD format
+export { getStorageKey } from './storageAdapters'
+export { loadQuarantine, clearQuarantine } from './records'
+export { generateStableId } from './ids'
+export { getTodayDate, shiftDate } from './dates'
+
+// Day logs live in IndexedDB when the browser supports it, otherwise in localStorage
+let storageAdapter = null
+
+export const getStorageAdapter = () => {
+  if (!storageAdapter) {
+    storageAdapter = typeof indexedDB === 'undefined'
+      ? Promise.resolve(createLocalStorageAdapter())
+      : createIndexedDBAdapter().catch(error => {
+        // Blocked by another tab: the logs are in the database, so don't fall back to an empty
+        // localStorage; the next call tries again
+        if (error.name === STORAGE_BLOCKED_ERROR) {
+          storageAdapter = null
+          throw error
+        }
+        return createLocalStorageAdapter()
+      })
+  }
+  return storageAdapter
 }
 
-export const saveDailyData = (date, drinks) => {
-  const validDrinks = drinks.filter(drink => drink.dose && drink.startTimeString)
-  const dailyData = validDrinks.map(drink => ({
-    name: drink.name || 'Unnamed drink',
-    time: drink.startTimeString, // Use startTimeString as the main time for backward compatibility
-    dose: parseFloat(drink.dose),
-    startTime: drink.startTime || Date.now(),
-    endTime: drink.endTime || Date.now(),
-    startTimeString: drink.startTimeString || '',
-    endTimeString: drink.endTimeString || ''
-  }))
-  
-  localStorage.setItem(getStorageKey(date), JSON.stringify(dailyData))
+// The fields of a logged drink that count as an edit
+const sameDrinkContent = (a, b) => {
+  return ['name', 'dose', 'startTimeString', 'endTimeString', 'category'].every(field => (a[field] || '') === (b[field] || '')) &&
+    JSON.stringify(a.compounds || null) === JSON.stringify(b.compounds || null)
+}
+
+// Stored drinks keep their id and createdAt; updatedAt moves only when something about the drink changed
+const stampDrink = (drink, stored) => {
+  const now = new Date().toISOString()
+  return {
+    ...drink,
+    id: drink.id || generateStableId(),
+    createdAt: stored ? stored.createdAt : now,
+    updatedAt: stored && sameDrinkContent(stored, drink) ? stored.updatedAt : now
+  }
+}
+
+// A drink as the page holds it, in the stored shape
+const toStoredDrink = (drink) => ({
+  id: drink.id,
+  name: drink.name || 'Unnamed drink',
+  dose: parseFloat(drink.dose),
+  startTime: drink.startTime || Date.now(),
+  endTime: drink.endTime || Date.now(),
+  startTimeString: drink.startTimeString || '',
+  endTimeString: drink.endTimeString || '',
+  ...(drink.category && { category: drink.category }),
+  ...(drink.compounds && { compounds: drink.compounds }) // theobromine/theophylline, when the drink has any
+})
+
+// What to tell the user when a storage call fails: a blocked upgrade says how to clear it
+export const describeStorageError = (error) => {
+  return error?.name === STORAGE_BLOCKED_ERROR
+    ? error.message
+    : "Your saved drinks couldn't be reached. Reload the page to try again."
 }
 
-export const loadDailyData = (date) => {
-  const stored = localStorage.getItem(getStorageKey(date))
-  return stored ? JSON.parse(stored) : []
+// Save one view of a day's log (drinks still being filled in are skipped) against a fresh read, so
+// other tabs' changes survive. `baseline` is the day as this view last read it: drinks are matched
+// by id, only the ones that differ from it are written, and only the ones dropped from it are
+// deleted. Drinks logged elsewhere since then are kept. Returns the saved day
+export const saveDailyData = async (date, drinks, baseline = []) => {
+  const adapter = await getStorageAdapter()
+  const stored = await adapter.getDay(date)
+  const viewIds = new Set(drinks.map(drink => drink.id))
+  const removedIds = new Set(baseline.map(drink => drink.id).filter(id => !viewIds.has(id)))
+
+  const changes = drinks
+    .filter(drink => drink.dose && drink.startTimeString)
+    .map(toStoredDrink)
+    .filter(drink => {
+      const read = baseline.find(baselineDrink => baselineDrink.id === drink.id)
+      return !read || !sameDrinkContent(read, drink)
+    })
+    .map(drink => stampDrink(drink, stored.find(storedDrink => storedDrink.id === drink.id)))
+
+  const dailyData = [
+    ...stored
+      .filter(drink => !removedIds.has(drink.id))
+      .map(drink => changes.find(changed => changed.id === drink.id) || drink),
+    ...changes.filter(changed => !stored.some(drink => drink.id === changed.id))
+  ]
+  await adapter.setDay(date, dailyData)
+  return dailyData
+}
+
+export const loadDailyData = async (date) => {
+  const adapter = await getStorageAdapter()
+  return adapter.getDay(date)
+}
+
+// Logs of every day from startDate to endDate (inclusive, oldest first), empty days included
+export const loadDateRange = async (startDate, endDate) => {
+  const adapter = await getStorageAdapter()
+  const logged = Object.fromEntries(
+    (await adapter.getRange(startDate, endDate)).map(day => [day.date, day.drinks])
+  )
+  const days = []
+  for (let date = startDate; date <= endDate; date = shiftDate(date, 1)) {
+    days.push({ date, drinks: logged[date] || [] })
+  }
+  return days
+}
+
+// Logs of the days before `date`, most recent first, for carry-over calculations
+export const loadPreviousDays = async (date, days = 2) => {
+  const range = await loadDateRange(shiftDate(date, -days), shiftDate(date, -1))
+  return range.reverse()
 }
 
-export const getHistoryData = (days = 7) => {
-  const history = []
+// Logged drinks with a given name or category across all days ([{ date, ...drink }])
+export const findLoggedDrinks = async (query) => {
+  const adapter = await getStorageAdapter()
+  return adapter.findDrinks(query)
+}
+
+export const getHistoryData = async (days = 7) => {
   const today = new Date()
-  
+  const dates = []
   for (let i = 0; i < days; i++) {
     const date = new Date(today)
     date.setDate(today.getDate() - i)
-    const dateStr = date.toISOString().split('T')[0]
-    const dailyData = loadDailyData(dateStr)
+    dates.push(date)
+  }
+  
+  const range = await loadDateRange(toDateString(dates[dates.length - 1]), toDateString(dates[0]))
+  const logged = Object.fromEntries(range.map(day => [day.date, day.drinks]))
+  
+  return dates.map((date, i) => {
+    const dateStr = toDateString(date)
+    const dailyData = logged[dateStr] || []
     const total = dailyData.reduce((sum, drink) => sum + drink.dose, 0)
     
-    history.push({
+    return {
       date: dateStr,
       dateDisplay: date.toLocaleDateString('en-US', { 
         weekday: 'short', 
@@ -46,17 +154,35 @@ export const getHistoryData = (days = 7) => {
       drinks: dailyData,
       total: total,
       isToday: i === 0
-    })
-  }
-  
-  return history
+    }
+  })
 }
 
 // Personal information storage utilities
 const PERSONAL_INFO_KEY = 'cupacity-personal-info'
-const BEDTIME_KEY = 'cupacity-bedtime'
+const BEDTIME_KEY = 'cupacity-bedtime' // single global bedtime, superseded by the sleep schedule
+const SLEEP_SCHEDULE_KEY = 'cupacity-sleep-schedule'
 const RECENT_DRINKS_KEY = 'cupacity-recent-drinks'
 const CUSTOM_DRINKS_KEY = 'cupacity-custom-drinks'
+const ABSORPTION_MODEL_KEY = 'cupacity-absorption-model'
+const DISPLAY_MODE_KEY = 'cupacity-display-mode'
+const THRESHOLD_SETTINGS_KEY = 'cupacity-threshold-settings'
+const ALERTNESS_SETTINGS_KEY = 'cupacity-alertness-settings'
+const SLEEP_MODE_KEY = 'cupacity-sleep-mode'
+const TAPER_PLAN_KEY = 'cupacity-taper-plan'
+const CHART_VIEW_KEY = 'cupacity-chart-view'
+const DARK_MODE_KEY = 'cupacity-dark-mode'
+
+export const DEFAULT_PERSONAL_INFO = {
+  age: '',
+  sex: '',
+  weight: '',
+  smoker: false,
+  oralContraceptives: false,
+  pregnancyTrimester: '',
+  liverFunction: 'normal',
+  cyp1a2Inhibitor: ''
+}
 
 export const savePersonalInfo = (personalInfo, units) => {
   const dataToSave = {
@@ -64,39 +190,151 @@ export const savePersonalInfo = (personalInfo, units) => {
     units,
     lastUpdated: new Date().toISOString()
   }
-  localStorage.setItem(PERSONAL_INFO_KEY, JSON.stringify(dataToSave))
+  writeRecord(PERSONAL_INFO_KEY, dataToSave)
 }
 
 export const loadPersonalInfo = () => {
-  const stored = localStorage.getItem(PERSONAL_INFO_KEY)
-  if (stored) {
-    const data = JSON.parse(stored)
+  const data = readRecord(PERSONAL_INFO_KEY, 'personalInfo', null)
+  if (data) {
     return {
-      personalInfo: data.personalInfo || { age: '', sex: '', weight: '' },
+      personalInfo: { ...DEFAULT_PERSONAL_INFO, ...data.personalInfo },
       units: data.units || { weight: 'metric' }
     }
   }
   return {
-    personalInfo: { age: '', sex: '', weight: '' },
+    personalInfo: { ...DEFAULT_PERSONAL_INFO },
     units: { weight: 'metric' }
   }
 }
 
-export const saveBedtime = (bedtime) => {
-  localStorage.setItem(BEDTIME_KEY, bedtime)
+export const saveSleepSchedule = (schedule) => {
+  writeRecord(SLEEP_SCHEDULE_KEY, schedule)
+}
+
+export const loadSleepSchedule = () => {
+  const data = readRecord(SLEEP_SCHEDULE_KEY, 'sleepSchedule', null)
+  if (data) {
+    return {
+      weekly: Object.fromEntries(WEEKDAYS.map(day => [day, { ...DEFAULT_SLEEP_SCHEDULE.weekly[day], ...data.weekly?.[day] }])),
+      overrides: data.overrides || {}
+    }
+  }
+  
+  // Carry an old single bedtime over to every day of the week
+  const legacyBedtime = localStorage.getItem(BEDTIME_KEY) || ''
+  return {
+    weekly: Object.fromEntries(WEEKDAYS.map(day => [day, { ...DEFAULT_SLEEP_SCHEDULE.weekly[day], bedtime: legacyBedtime }])),
+    overrides: {}
+  }
+}
+
+// 'bedtime' (one bedtime a night) or 'periods' (explicit sleep periods, for shift work)
+export const saveSleepMode = (mode) => {
+  localStorage.setItem(SLEEP_MODE_KEY, mode)
+}
+
+export const loadSleepMode = () => {
+  return localStorage.getItem(SLEEP_MODE_KEY) || 'bedtime'
+}
+
+// Sleep periods ([{ start, end, label }] with "YYYY-MM-DDTHH:MM" times) kept per day
+export const getSleepPeriodsKey = (date) => `cupacity-sleep-periods-${date}`
+
+export const saveSleepPeriods = (date, periods) => {
+  writeRecord(getSleepPeriodsKey(date), periods)
 }
 
-export const loadBedtime = () => {
-  return localStorage.getItem(BEDTIME_KEY) || ''
+export const loadSleepPeriods = (date) => {
+  return readRecord(getSleepPeriodsKey(date), 'sleepPeriods', [])
+}
+
+// What-if scenarios forked from a day's log ([{ id, name, drinks }]), kept per day
+export const getScenariosKey = (date) => `cupacity-scenarios-${date}`
+
+export const saveScenarios = (date, scenarios) => {
+  if (scenarios.length === 0) {
+    localStorage.removeItem(getScenariosKey(date))
+    return
+  }
+  writeRecord(getScenariosKey(date), scenarios)
+}
+
+export const loadScenarios = (date) => {
+  return readRecord(getScenariosKey(date), 'scenarios', [])
+}
+
+export const saveAbsorptionModel = (model) => {
+  localStorage.setItem(ABSORPTION_MODEL_KEY, model)
+}
+
+export const loadAbsorptionModel = () => {
+  return localStorage.getItem(ABSORPTION_MODEL_KEY) || 'absorption'
+}
+
+export const saveDisplayMode = (mode) => {
+  localStorage.setItem(DISPLAY_MODE_KEY, mode)
+}
+
+export const loadDisplayMode = () => {
+  return localStorage.getItem(DISPLAY_MODE_KEY) || 'amount'
+}
+
+// 'lines' (overlaid) or 'stacked' (each drink's share of the total)
+export const saveChartView = (view) => {
+  localStorage.setItem(CHART_VIEW_KEY, view)
+}
+
+export const loadChartView = () => {
+  return localStorage.getItem(CHART_VIEW_KEY) || 'lines'
+}
+
+export const saveDarkMode = (isDarkMode) => {
+  localStorage.setItem(DARK_MODE_KEY, JSON.stringify(isDarkMode))
+}
+
+// null until a preference has been saved
+export const loadDarkMode = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DARK_MODE_KEY))
+  } catch {
+    return null
+  }
+}
+
+export const saveThresholdSettings = (settings) => {
+  writeRecord(THRESHOLD_SETTINGS_KEY, settings)
+}
+
+export const loadThresholdSettings = () => {
+  const data = readRecord(THRESHOLD_SETTINGS_KEY, 'thresholdSettings', {})
+  return {
+    preset: data.preset || DEFAULT_THRESHOLD_SETTINGS.preset,
+    custom: { ...DEFAULT_THRESHOLD_SETTINGS.custom, ...data.custom }
+  }
+}
+
+// Target window and minimum level (mg) for alertness-maintenance dosing
+export const DEFAULT_ALERTNESS_SETTINGS = {
+  enabled: false,
+  start: '09:00',
+  end: '18:00',
+  floor: 50
+}
+
+export const saveAlertnessSettings = (settings) => {
+  writeRecord(ALERTNESS_SETTINGS_KEY, settings)
+}
+
+export const loadAlertnessSettings = () => {
+  return { ...DEFAULT_ALERTNESS_SETTINGS, ...readRecord(ALERTNESS_SETTINGS_KEY, 'alertnessSettings', {}) }
 }
 
 export const saveRecentDrinks = (recentDrinks) => {
-  localStorage.setItem(RECENT_DRINKS_KEY, JSON.stringify(recentDrinks))
+  writeRecord(RECENT_DRINKS_KEY, recentDrinks)
 }
 
 export const loadRecentDrinks = () => {
-  const stored = localStorage.getItem(RECENT_DRINKS_KEY)
-  return stored ? JSON.parse(stored) : []
+  return readRecord(RECENT_DRINKS_KEY, 'recentDrinks', [])
 }
 
 export const updateRecentDrinks = (selectedDrink, currentRecent) => {
@@ -108,54 +346,82 @@ export const updateRecentDrinks = (selectedDrink, currentRecent) => {
   return updated
 }
 
-// Functions to manage individual drinks in today's data
-export const updateTodayDrink = (date, drinkIndex, updatedDrink) => {
-  const dailyData = loadDailyData(date)
-  if (drinkIndex >= 0 && drinkIndex < dailyData.length) {
-    dailyData[drinkIndex] = { ...dailyData[drinkIndex], ...updatedDrink }
-    localStorage.setItem(getStorageKey(date), JSON.stringify(dailyData))
+// Functions to manage individual drinks in a day's data, addressed by their stored id.
+// Each reads the day afresh, so a drink changed elsewhere (another tab) is never overwritten by position
+export const updateTodayDrink = async (date, drinkId, updatedDrink) => {
+  const adapter = await getStorageAdapter()
+  const dailyData = await adapter.getDay(date)
+  const index = dailyData.findIndex(drink => drink.id === drinkId)
+  if (index !== -1) {
+    const stored = dailyData[index]
+    dailyData[index] = stampDrink({ ...stored, ...updatedDrink, id: drinkId }, stored)
+    delete dailyData[index].time // Replaced by startTimeString in schema v2
+    await adapter.setDay(date, dailyData)
   }
   return dailyData
 }
 
-export const deleteTodayDrink = (date, drinkIndex) => {
-  const dailyData = loadDailyData(date)
-  if (drinkIndex >= 0 && drinkIndex < dailyData.length) {
-    dailyData.splice(drinkIndex, 1)
-    localStorage.setItem(getStorageKey(date), JSON.stringify(dailyData))
+export const deleteTodayDrink = async (date, drinkId) => {
+  const adapter = await getStorageAdapter()
+  const dailyData = await adapter.getDay(date)
+  const remaining = dailyData.filter(drink => drink.id !== drinkId)
+  if (remaining.length !== dailyData.length) {
+    await adapter.setDay(date, remaining)
   }
-  return dailyData
+  return remaining
 }
 
-export const addQuickDrink = (date, drink) => {
-  const dailyData = loadDailyData(date)
-  const newDrink = {
+// Adding a drink the auto-save has already stored (same id) replaces it rather than logging it twice
+export const addQuickDrink = async (date, drink) => {
+  const adapter = await getStorageAdapter()
+  const dailyData = await adapter.getDay(date)
+  const stored = dailyData.find(storedDrink => storedDrink.id === drink.id)
+  const newDrink = stampDrink({
+    id: drink.id,
     name: drink.name || 'Quick drink',
-    time: drink.time || new Date().toTimeString().slice(0, 5), // Current time as HH:MM
     dose: parseFloat(drink.dose) || 0,
     startTime: drink.startTime || Date.now(),
     endTime: drink.endTime || Date.now(),
-    startTimeString: drink.startTimeString || '',
-    endTimeString: drink.endTimeString || ''
+    startTimeString: drink.startTimeString || drink.time || new Date().toTimeString().slice(0, 5), // Current time as HH:MM
+    endTimeString: drink.endTimeString || '',
+    ...(drink.category && { category: drink.category }),
+    ...(drink.compounds && { compounds: drink.compounds })
+  }, stored)
+  const updatedData = stored
+    ? dailyData.map(storedDrink => storedDrink.id === newDrink.id ? newDrink : storedDrink)
+    : [...dailyData, newDrink]
+  await adapter.setDay(date, updatedData)
+  return updatedData
+}
+
+// Taper plan ({ startDate, startAverage, target, durationDays }); null when none is active
+export const saveTaperPlan = (plan) => {
+  if (plan) {
+    writeRecord(TAPER_PLAN_KEY, plan)
+  } else {
+    localStorage.removeItem(TAPER_PLAN_KEY)
   }
-  dailyData.push(newDrink)
-  localStorage.setItem(getStorageKey(date), JSON.stringify(dailyData))
-  return dailyData
 }
 
-// Stable ID generator
-export const generateStableId = () => {
-  return Date.now().toString() + Math.random().toString(36).substr(2, 9)
+export const loadTaperPlan = () => {
+  return readRecord(TAPER_PLAN_KEY, 'taperPlan', null)
 }
 
 // Custom drinks storage utilities
 export const saveCustomDrinks = (customDrinks) => {
-  localStorage.setItem(CUSTOM_DRINKS_KEY, JSON.stringify(customDrinks))
+  writeRecord(CUSTOM_DRINKS_KEY, customDrinks)
 }
 
 export const loadCustomDrinks = () => {
-  const stored = localStorage.getItem(CUSTOM_DRINKS_KEY)
-  return stored ? JSON.parse(stored) : []
+  return readRecord(CUSTOM_DRINKS_KEY, 'customDrinks', [])
+}
+
+// Compound amounts entered on the custom drink form; null when none were given
+const toCustomCompounds = (compounds = {}) => {
+  const amounts = Object.entries(compounds)
+    .map(([key, amount]) => [key, parseFloat(amount)])
+    .filter(([, amount]) => amount > 0)
+  return amounts.length > 0 ? Object.fromEntries(amounts) : null
 }
 
 export const addCustomDrink = (customDrink) => {
@@ -166,6 +432,7 @@ export const addCustomDrink = (customDrink) => {
     caffeine: parseFloat(customDrink.caffeine),
     category: customDrink.category || 'Custom',
     colorTag: customDrink.colorTag || null,
+    compounds: toCustomCompounds(customDrink.compounds),
     isCustom: true,
     createdAt: new Date().toISOString()
   }
@@ -183,7 +450,8 @@ export const updateCustomDrink = (drinkId, updatedDrink) => {
       name: updatedDrink.name,
       caffeine: parseFloat(updatedDrink.caffeine),
       category: updatedDrink.category || 'Custom',
-      colorTag: updatedDrink.colorTag || null
+      colorTag: updatedDrink.colorTag || null,
+      compounds: toCustomCompounds(updatedDrink.compounds)
     }
     saveCustomDrinks(customDrinks)
     return customDrinks[index]
@@ -198,3 +466,76 @@ export const deleteCustomDrink = (drinkId) => {
   return filtered
 }
 
+// Storage keys of the settings that go into a backup (see backup.js)
+const BACKUP_SETTING_KEYS = {
+  personalInfo: PERSONAL_INFO_KEY,
+  sleepSchedule: SLEEP_SCHEDULE_KEY,
+  recentDrinks: RECENT_DRINKS_KEY,
+  customDrinks: CUSTOM_DRINKS_KEY,
+  thresholdSettings: THRESHOLD_SETTINGS_KEY,
+  alertnessSettings: ALERTNESS_SETTINGS_KEY,
+  taperPlan: TAPER_PLAN_KEY,
+  darkMode: DARK_MODE_KEY,
+  absorptionModel: ABSORPTION_MODEL_KEY,
+  displayMode: DISPLAY_MODE_KEY,
+  chartView: CHART_VIEW_KEY,
+  sleepMode: SLEEP_MODE_KEY
+}
+
+// Settings as stored, null where nothing has been saved yet
+export const loadStoredSettings = () => {
+  return Object.fromEntries(Object.entries(BACKUP_SETTINGS).map(([name, kind]) => {
+    const key = BACKUP_SETTING_KEYS[name]
+    if (kind) return [name, readRecord(key, kind, null)]
+    return [name, name === 'darkMode' ? loadDarkMode() : localStorage.getItem(key)]
+  }))
+}
+
+const saveStoredSettings = (settings) => {
+  Object.entries(settings).forEach(([name, value]) => {
+    const key = BACKUP_SETTING_KEYS[name]
+    if (BACKUP_SETTINGS[name]) {
+      writeRecord(key, value)
+    } else if (name === 'darkMode') {
+      saveDarkMode(value)
+    } else {
+      localStorage.setItem(key, value)
+    }
+  })
+}
+
+// Every logged day as { 'YYYY-MM-DD': drinks }
+export const loadAllDays = async () => {
+  const adapter = await getStorageAdapter()
+  const days = await adapter.getRange('0000-01-01', '9999-12-31')
+  return Object.fromEntries(days.map(day => [day.date, day.drinks]))
+}
+
+export const exportBackup = async () => {
+  return createBackup({
+    days: await loadAllDays(),
+    // The resolved schedule carries an old single bedtime along
+    settings: { ...loadStoredSettings(), sleepSchedule: loadSleepSchedule() }
+  })
+}
+
+// Write a restore plan from planRestore (backup.js). Settings are checked before anything is
+// written and only written once every day is in. Days go in one at a time, so when storage fails
+// part-way (full, or blocked by another tab) the error's `restoredDates` says which days made it.
+// Returns { restoredDates, rejectedSettings }
+export const applyRestorePlan = async (plan) => {
+  const { settings, rejected } = validateSettings(plan.settings)
+  const adapter = await getStorageAdapter()
+  const restoredDates = []
+  try {
+    for (const { date, drinks } of plan.days.filter(day => day.status !== 'unchanged')) {
+      await adapter.setDay(date, drinks)
+      restoredDates.push(date)
+    }
+    saveStoredSettings(settings)
+  } catch (error) {
+    error.restoredDates = restoredDates
+    throw error
+  }
+  return { restoredDates, rejectedSettings: rejected }
+}
@@ -0,0 +1,195 @@
+// Day-log storage backends behind one async interface:
+//   getDay(date)                  -> drinks logged on that date, in logged order
+//   setDay(date, drinks)          -> replace the date's log (an empty list removes it)
+//   setDays([{ date, drinks }])   -> replace several days at once
+//   getRange(startDate, endDate)  -> [{ date, drinks }] for logged dates in the range, oldest first
+//   findDrinks({ name } or { category }) -> [{ date, ...drink }] with that name or category, oldest first
+// localStorage keeps one versioned record per day; IndexedDB keeps one record per drink,
+// indexed by date, drink name and category.
+import { readRecord, writeRecord } from './records'
+import { withDrinkIdentity } from './schema'
+
+const DAY_KEY_PREFIX = 'caffeine-data-'
+
+export const getStorageKey = (date) => `${DAY_KEY_PREFIX}${date}`
+
+// Dates with a day log in localStorage, oldest first
+const listLocalDates = () => {
+  return Array.from({ length: localStorage.length }, (_, index) => localStorage.key(index))
+    .filter(key => key.startsWith(DAY_KEY_PREFIX))
+    .map(key => key.slice(DAY_KEY_PREFIX.length))
+    .sort()
+}
+
+const matchesQuery = (drink, { name, category }) => {
+  return name !== undefined ? drink.name === name : drink.category === category
+}
+
+export const createLocalStorageAdapter = () => {
+  const getDay = (date) => readRecord(getStorageKey(date), 'day', [])
+  const setDay = (date, drinks) => {
+    if (drinks.length === 0) {
+      localStorage.removeItem(getStorageKey(date))
+    } else {
+      writeRecord(getStorageKey(date), drinks)
+    }
+  }
+
+  return {
+    name: 'localStorage',
+    getDay: async (date) => getDay(date),
+    setDay: async (date, drinks) => setDay(date, drinks),
+    setDays: async (days) => days.forEach(({ date, drinks }) => setDay(date, drinks)),
+    getRange: async (startDate, endDate) => {
+      return listLocalDates()
+        .filter(date => date >= startDate && date <= endDate)
+        .map(date => ({ date, drinks: getDay(date) }))
+        .filter(day => day.drinks.length > 0)
+    },
+    findDrinks: async (query) => {
+      return listLocalDates().flatMap(date => (
+        getDay(date).filter(drink => matchesQuery(drink, query)).map(drink => ({ date, ...drink }))
+      ))
+    }
+  }
+}
+
+const DB_NAME = 'cupacity'
+const DB_VERSION = 2
+const DRINKS_STORE = 'drinks'
+const MIGRATED_KEY = 'cupacity-indexeddb-migrated' // Set once localStorage day logs have been moved over
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve()
+  transaction.onerror = () => reject(transaction.error)
+  transaction.onabort = () => reject(transaction.error)
+})
+
+// Name of the error opening rejects with while a tab with an older version keeps the database open
+export const STORAGE_BLOCKED_ERROR = 'StorageBlockedError'
+
+// onClose is called when this connection closes to let another tab upgrade the database
+const openDatabase = (onClose) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION)
+  const blocked = new Promise((resolve, reject) => {
+    request.onblocked = () => {
+      const error = new Error('Your saved drinks are being updated. Close other Cupacity tabs, then reload this page.')
+      error.name = STORAGE_BLOCKED_ERROR
+      reject(error)
+    }
+  })
+  request.onupgradeneeded = (event) => {
+    if (event.oldVersion < 1) {
+      const store = request.result.createObjectStore(DRINKS_STORE, { keyPath: 'key', autoIncrement: true })
+      store.createIndex('date', 'date')
+      store.createIndex('name', 'name')
+      store.createIndex('category', 'category')
+      return
+    }
+    // v2: backfill persistent drink ids, as schema v3 does for localStorage records
+    if (event.oldVersion < 2) {
+      const cursorRequest = request.transaction.objectStore(DRINKS_STORE).openCursor()
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result
+        if (!cursor) return
+        if (!cursor.value.id) cursor.update(withDrinkIdentity(cursor.value))
+        cursor.continue()
+      }
+    }
+  }
+  const opened = requestResult(request).then(db => {
+    db.onversionchange = () => {
+      db.close()
+      onClose()
+    }
+    return db
+  })
+  return Promise.race([opened, blocked])
+}
+
+// Stored records are { key, date, position, ...drink }
+const toDrink = (record) => {
+  const drink = { ...record }
+  delete drink.key
+  delete drink.date
+  delete drink.position
+  return drink
+}
+
+const byDateAndPosition = (a, b) => a.date.localeCompare(b.date) || a.position - b.position
+
+// Replace the logs of several days ([{ date, drinks }]) in one transaction
+const replaceDays = async (db, days) => {
+  const transaction = db.transaction(DRINKS_STORE, 'readwrite')
+  const done = transactionDone(transaction)
+  const store = transaction.objectStore(DRINKS_STORE)
+  for (const { date, drinks } of days) {
+    const keys = await requestResult(store.index('date').getAllKeys(date))
+    keys.forEach(key => store.delete(key))
+    drinks.forEach((drink, position) => store.add({ ...drink, date, position }))
+  }
+  await done
+}
+
+const readRecords = async (db, indexName, query) => {
+  const transaction = db.transaction(DRINKS_STORE, 'readonly')
+  const records = await requestResult(transaction.objectStore(DRINKS_STORE).index(indexName).getAll(query))
+  return records.sort(byDateAndPosition)
+}
+
+// Move existing localStorage day logs into the database, then free their localStorage space.
+// Runs until it has succeeded once; replacing whole days makes a retry safe
+const migrateFromLocalStorage = async (db) => {
+  if (localStorage.getItem(MIGRATED_KEY)) return
+
+  const localAdapter = createLocalStorageAdapter()
+  const days = await localAdapter.getRange('0000-00-00', '9999-99-99')
+  await replaceDays(db, days)
+  listLocalDates().forEach(date => localStorage.removeItem(getStorageKey(date)))
+  localStorage.setItem(MIGRATED_KEY, new Date().toISOString())
+}
+
+// Opens (and on first use migrates into) the database; rejects if IndexedDB is unusable.
+// A connection closed for another tab's upgrade is opened again on the next read or write
+export const createIndexedDBAdapter = async () => {
+  let connection = null
+  const getDb = () => {
+    connection = connection || openDatabase(() => { connection = null }).catch(error => {
+      connection = null
+      throw error
+    })
+    return connection
+  }
+  await migrateFromLocalStorage(await getDb())
+
+  return {
+    name: 'indexedDB',
+    getDay: async (date) => (await readRecords(await getDb(), 'date', date)).map(toDrink),
+    setDay: async (date, drinks) => replaceDays(await getDb(), [{ date, drinks }]),
+    setDays: async (days) => replaceDays(await getDb(), days),
+    getRange: async (startDate, endDate) => {
+      const records = await readRecords(await getDb(), 'date', IDBKeyRange.bound(startDate, endDate))
+      const days = []
+      records.forEach(record => {
+        const last = days[days.length - 1]
+        if (last && last.date === record.date) {
+          last.drinks.push(toDrink(record))
+        } else {
+          days.push({ date: record.date, drinks: [toDrink(record)] })
+        }
+      })
+      return days
+    },
+    findDrinks: async ({ name, category }) => {
+      const records = name !== undefined
+        ? await readRecords(await getDb(), 'name', name)
+        : await readRecords(await getDb(), 'category', category)
+      return records.map(record => ({ date: record.date, ...toDrink(record) }))
+    }
+  }
+}
@@ -0,0 +1,73 @@
+// Caffeine taper planner
+// Turns a starting average, a target and a duration into a day-by-day budget,
+// then checks the logged totals against it.
+import { shiftDate } from './dates'
+
+export const TAPER_AVERAGE_DAYS = 14 // days of history behind the "current average"
+export const TAPER_BUDGET_STEP = 5 // mg, budgets are rounded to this
+export const WITHDRAWAL_DROP = 0.25 // a day this far below the previous few days' average may bring withdrawal
+export const WITHDRAWAL_LOOKBACK_DAYS = 3 // symptoms follow a drop within a day or two
+
+// Average over logged days only ([{ date, drinks }]); null without any logs
+export const calculateAverageIntake = (days) => {
+  const totals = days
+    .map(day => day.drinks.reduce((sum, drink) => sum + (parseFloat(drink.dose) || 0), 0))
+    .filter(total => total > 0)
+  return totals.length > 0 ? totals.reduce((sum, total) => sum + total, 0) / totals.length : null
+}
+
+// Linear reduction from the starting average to the target over the plan's days
+export const createTaperSchedule = ({ startDate, startAverage, target, durationDays }) => {
+  const days = Math.max(1, Math.round(durationDays))
+  return Array.from({ length: days }, (_, index) => {
+    const share = (index + 1) / days
+    const budget = startAverage + (target - startAverage) * share
+    return {
+      date: shiftDate(startDate, index),
+      day: index + 1,
+      budget: Math.max(0, Math.round(budget / TAPER_BUDGET_STEP) * TAPER_BUDGET_STEP)
+    }
+  })
+}
+
+// Compare each planned day with its logged total ({ 'YYYY-MM-DD': mg }).
+// Days up to `today` without a log count as missing, later ones as upcoming.
+export const evaluateTaper = (plan, loggedTotals, today) => {
+  const schedule = createTaperSchedule(plan)
+  const recent = Array(WITHDRAWAL_LOOKBACK_DAYS).fill(plan.startAverage)
+
+  const days = schedule.map(day => {
+    const logged = loggedTotals[day.date] ?? null
+    const status = day.date > today
+      ? 'upcoming'
+      : logged === null ? 'missing' : logged <= day.budget ? 'on-track' : 'over'
+
+    // Expected intake for the day: what was logged, or the budget when there's nothing yet
+    const intake = logged ?? day.budget
+    const recentAverage = recent.reduce((sum, value) => sum + value, 0) / recent.length
+    const withdrawalRisk = recentAverage > 0 && intake < recentAverage * (1 - WITHDRAWAL_DROP)
+    recent.shift()
+    recent.push(intake)
+
+    return { ...day, logged, status, withdrawalRisk }
+  })
+
+  const elapsed = days.filter(day => day.status !== 'upcoming')
+  const tracked = elapsed.filter(day => day.status !== 'missing')
+  const onTrack = tracked.filter(day => day.status === 'on-track')
+  const lastTracked = tracked[tracked.length - 1]
+  const plannedReduction = plan.startAverage - plan.target
+
+  return {
+    days,
+    today: days.find(day => day.date === today) || null,
+    daysElapsed: elapsed.length,
+    isComplete: elapsed.length === days.length,
+    adherence: tracked.length > 0 ? onTrack.length / tracked.length : null,
+    // Share of the planned reduction achieved by the latest logged day
+    progress: lastTracked && plannedReduction > 0
+      ? Math.max(0, Math.min(1, (plan.startAverage - lastTracked.logged) / plannedReduction))
+      : 0,
+    withdrawalDays: days.filter(day => day.withdrawalRisk && day.status === 'upcoming')
+  }
+}
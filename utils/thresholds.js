@@ -0,0 +1,68 @@
+// Sleep and daily intake limits
+// Preset profiles plus user-defined values, resolved into the plain numbers
+// that feed zones, warnings, cutoffs and history badges.
+import { convertToMetric } from './engine'
+
+export const DEFAULT_THRESHOLDS = {
+  sleep: 30, // mg at bedtime that is considered safe for sleep
+  caution: 80, // mg at bedtime above which sleep is likely disrupted
+  dailyLimit: 400, // mg/day guideline
+  dailyWarning: 600, // mg/day that triggers the caution banner
+  dailyDanger: 1000 // mg/day that triggers the "please double-check" banner
+}
+
+export const THRESHOLD_FIELDS = {
+  sleep: 'Safe at bedtime (mg)',
+  caution: 'Caution at bedtime (mg)',
+  dailyLimit: 'Daily guideline (mg)',
+  dailyWarning: 'Daily warning (mg)',
+  dailyDanger: 'Daily danger (mg)'
+}
+
+export const THRESHOLD_PRESETS = {
+  standard: {
+    label: 'Standard adult',
+    thresholds: DEFAULT_THRESHOLDS
+  },
+  pregnancy: {
+    label: 'Pregnancy (200 mg/day)',
+    thresholds: { ...DEFAULT_THRESHOLDS, dailyLimit: 200, dailyWarning: 300, dailyDanger: 600 }
+  },
+  adolescent: {
+    label: 'Adolescent (2.5 mg/kg/day)',
+    // Daily limits scale with body weight; the fixed values apply until a weight is entered
+    perKg: { dailyLimit: 2.5, dailyWarning: 4, dailyDanger: 8 },
+    thresholds: { ...DEFAULT_THRESHOLDS, dailyLimit: 125, dailyWarning: 200, dailyDanger: 400 }
+  }
+}
+
+export const DEFAULT_THRESHOLD_SETTINGS = {
+  preset: 'standard', // a THRESHOLD_PRESETS key or 'custom'
+  custom: { ...DEFAULT_THRESHOLDS }
+}
+
+// Turn stored settings (and the profile, for mg/kg presets) into concrete limits
+export const resolveThresholds = (settings = DEFAULT_THRESHOLD_SETTINGS, personalInfo = {}, units = { weight: 'metric' }) => {
+  if (settings.preset === 'custom') {
+    const thresholds = { ...DEFAULT_THRESHOLDS }
+    Object.keys(DEFAULT_THRESHOLDS).forEach(key => {
+      const value = parseFloat(settings.custom?.[key])
+      if (value > 0) thresholds[key] = value
+    })
+    return thresholds
+  }
+
+  const preset = THRESHOLD_PRESETS[settings.preset] || THRESHOLD_PRESETS.standard
+  const thresholds = { ...preset.thresholds }
+
+  if (preset.perKg) {
+    const weight = convertToMetric(personalInfo.weight, 'weight', units.weight)
+    if (weight > 0) {
+      Object.entries(preset.perKg).forEach(([key, perKg]) => {
+        thresholds[key] = Math.round(perKg * weight)
+      })
+    }
+  }
+
+  return thresholds
+}